@@ -1,10 +1,20 @@
-require('dotenv').config();
 const express = require('express');
 const cors = require('cors')
-const mongoose = require('mongoose');
+const cookieParser = require('cookie-parser');
 const potionsRoutes = require('./router/potions');
 const analyticsRoutes = require('./router/analytics');
 const authRoutes = require('./router/auth');
+const vendorsRoutes = require('./router/vendors');
+const ingredientsRoutes = require('./router/ingredients');
+const meRoutes = require('./router/me');
+const webhooksRoutes = require('./router/webhooks');
+const { identifyApiKey } = require('./router/auth');
+const { POLICIES, rateLimit } = require('./lib/rateLimit');
+const { watchPrices } = require('./lib/prices');
+const { watchWebhooks } = require('./lib/webhooks');
+const { watchStream } = require('./lib/potionStream');
+const { watchCache } = require('./lib/cache');
+const { requestId, notFound, errorHandler } = require('./middleware/errors');
 const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
@@ -23,25 +33,96 @@ const swaggerOptions = {
         description: 'Serveur de développement'
       },
     ],
+    components: {
+      securitySchemes: {
+        cookieAuth: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: process.env.COOKIE_NAME || 'demo_node+mongo_token',
+          description: 'Cookie posé par /auth/login. Rôles : admin (tout), moderator (modération des avis), vendor (ses propres potions), customer (lecture et avis).'
+        },
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Jeton d’accès renvoyé par /auth/login (accessToken), pour les clients sans cookies.'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Clé créée par POST /me/api-keys. Elle accepte toute route couverte par ses portées (read, potions:write, analytics), sauf /auth et /me.'
+        }
+      },
+      schemas: {
+        // Corps de toutes les réponses d'erreur (application/problem+json, middleware/errors)
+        Problem: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', example: '/problems/not_found' },
+            title: { type: 'string', example: 'Ressource introuvable' },
+            status: { type: 'integer', example: 404 },
+            detail: { type: 'string', example: 'Potion not found' },
+            instance: { type: 'string', example: '/potions/665f1c2e8b3e4a0012345678' },
+            code: { type: 'string', example: 'not_found' },
+            requestId: { type: 'string', example: '0b6f3c1e-4a52-4a3e-9d0a-6f1d2c3b4a59' },
+            errors: {
+              type: 'array',
+              description: 'Erreurs par champ (code validation_failed)',
+              items: { type: 'object', additionalProperties: true }
+            }
+          }
+        }
+      }
+    },
   },
   // Chemin vers les fichiers contenant les annotations swagger
   apis: ['./router/*.js']
 };
 
-const app = express();
-app.use(express.json());
-app.use(cors())
 const swaggerDocs = swaggerJsDoc(swaggerOptions);
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
-mongoose.connect(process.env.MONGO_URI)
-    .then(() => console.log('Connecté à MongoDB'))
-    .catch(err => console.error('Erreur MongoDB :', err));
+/**
+ * Construit l'application Express sans ouvrir de connexion à MongoDB : server.js (ou un test)
+ * s'en charge avec lib/db. Les abonnements aux événements des potions ne sont posés qu'une fois par processus.
+ */
+function createApp() {
+  const app = express();
+  app.use(requestId);
+  // application/*+json couvre merge-patch+json et json-patch+json (PATCH /potions/:id).
+  // /potions/import lit lui-même son corps en flux, il ne passe donc pas par ce parseur.
+  app.use(express.json({
+    type: req => req.path !== '/potions/import' && Boolean(req.is(['application/json', 'application/*+json']))
+  }));
+  app.use(cors());
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
-const cookieParser = require('cookie-parser');
-app.use(cookieParser());
-app.use('/potions', potionsRoutes);
-app.use('/auth', authRoutes);
-app.use('/analytics', analyticsRoutes);
+  app.use(cookieParser());
+  // Quotas par clé d'API (identifiée dès l'entrée) ou par IP, plus stricts sur les agrégations de /analytics.
+  // Les essais de clé sont comptés par IP avant leur vérification.
+  app.use(rateLimit(POLICIES.apiKeyAttempts), identifyApiKey, rateLimit(POLICIES.api));
+  app.use('/potions', potionsRoutes);
+  app.use('/auth', authRoutes);
+  app.use('/analytics', rateLimit(POLICIES.analytics), analyticsRoutes);
+  app.use('/vendors', vendorsRoutes);
+  app.use('/ingredients', ingredientsRoutes);
+  app.use('/me', meRoutes);
+  app.use('/webhooks', webhooksRoutes);
+
+  // Routes inconnues puis toutes les erreurs : réponses application/problem+json
+  app.use(notFound);
+  app.use(errorHandler);
+
+  // Historique des prix et alertes de baisse, à chaque écriture sur une potion
+  watchPrices();
+  // Événements potion.* vers les webhooks
+  watchWebhooks();
+  // Flux temps réel (GET /potions/stream, /analytics/stream) : change streams ou émetteur interne
+  watchStream().catch(err => console.error('Flux des potions :', err));
+  // Réponses en cache des routes de lecture, périmées à chaque écriture sur une potion
+  watchCache();
+
+  return app;
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = createApp;
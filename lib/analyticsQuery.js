@@ -0,0 +1,135 @@
+const Potion = require('../model/potion');
+const { NUMERIC_RANGES, parseFilters, toList, badRequest } = require('./potionQuery');
+
+// Constructeur de requêtes analytiques : dimensions, mesures et opérations passent toutes par
+// une liste blanche, aucun nom de champ venu du client n'est recopié tel quel dans le pipeline.
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Dimensions de regroupement ; les champs tableaux sont dépliés ($unwind) avant le $group.
+// Une potion sans valeur est regroupée sous null.
+const DIMENSIONS = {
+  vendor_id: { path: 'vendor_id' },
+  categories: { path: 'categories', unwind: 'categories' },
+  ingredients: { path: 'ingredients.name', unwind: 'ingredients' }
+};
+
+// Mesures numériques : mêmes noms que les filtres _min/_max de GET /potions
+const MEASURES = NUMERIC_RANGES;
+
+// Opérations : accumulateur $group et, si besoin, extraction de la valeur dans le $project final.
+// median et pNN reposent sur $median / $percentile (MongoDB 7.0+).
+const OPERATIONS = {
+  avg: field => ({ $avg: field }),
+  sum: field => ({ $sum: field }),
+  min: field => ({ $min: field }),
+  max: field => ({ $max: field }),
+  stddev: field => ({ $stdDevPop: field }),
+  median: field => ({ $median: { input: field, method: 'approximate' } })
+};
+const PERCENTILE = /^p([1-9][0-9]?)$/;
+
+function accumulator(op, field) {
+  if (op === 'count') return { $sum: 1 };
+  const percentile = PERCENTILE.exec(op);
+  if (percentile) return { $percentile: { input: field, p: [Number(percentile[1]) / 100], method: 'approximate' } };
+  return OPERATIONS[op](field);
+}
+
+// "avg:score" -> { op: 'avg', field: 'score', as: 'avg_score' } ; "count" -> { op: 'count', as: 'count' }
+function parseMetric(token) {
+  const [op, field, ...rest] = token.split(':');
+  if (op === 'count' && field === undefined) return { op, as: 'count' };
+  if (rest.length || (!OPERATIONS[op] && !PERCENTILE.test(op))) {
+    throw badRequest(`Métrique "${token}" invalide. Opérations : count, ${Object.keys(OPERATIONS).join(', ')}, p1 à p99.`);
+  }
+  if (!MEASURES[field]) {
+    throw badRequest(`Champ "${field}" invalide pour ${op}. Champs autorisés : ${Object.keys(MEASURES).join(', ')}.`);
+  }
+  return { op, field, as: `${op}_${field}` };
+}
+
+function parseLimit(value) {
+  if (value === undefined) return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit doit être un entier entre 1 et ${MAX_LIMIT}.`);
+  }
+  return limit;
+}
+
+/**
+ * Valide une requête analytique et renvoie sa spécification.
+ * `query` : groupBy (dimensions, "a,b"), metrics ("avg:score,count,p90:price"), sort ("-avg_score"), limit
+ * et les filtres de GET /potions.
+ */
+function parseAnalyticsQuery(query) {
+  const groupBy = toList(query.groupBy);
+  const metrics = toList(query.metrics).map(parseMetric);
+  if (!metrics.length) throw badRequest('Le paramètre metrics est requis (ex. avg:score,count).');
+
+  const sort = toList(query.sort).map(token => [token.replace(/^[-+]/, ''), token.startsWith('-') ? -1 : 1]);
+  return { filters: query, groupBy, metrics, sort, limit: parseLimit(query.limit) };
+}
+
+/**
+ * Construit le pipeline d'agrégation d'une spécification
+ * { filters, groupBy: [dimension], metrics: [{ op, field?, as }], sort?: [[clé, 1|-1]], limit? }
+ * (sans limit, tous les groupes sont renvoyés). Chaque ligne du résultat contient les dimensions puis les métriques, sous leur alias.
+ */
+function buildPipeline({ filters = {}, groupBy = [], metrics, sort = [], limit }) {
+  for (const dimension of groupBy) {
+    if (!DIMENSIONS[dimension]) {
+      throw badRequest(`Regroupement impossible sur "${dimension}". Dimensions autorisées : ${Object.keys(DIMENSIONS).join(', ')}.`);
+    }
+  }
+  const aliases = metrics.map(m => m.as);
+  if (new Set(aliases).size !== aliases.length) throw badRequest('Chaque métrique ne peut être demandée qu’une fois.');
+  for (const [key] of sort) {
+    if (!groupBy.includes(key) && !aliases.includes(key)) {
+      throw badRequest(`Tri impossible sur "${key}". Triez sur une dimension ou une métrique demandée.`);
+    }
+  }
+
+  const pipeline = [];
+  const match = parseFilters(filters);
+  if (Object.keys(match).length) pipeline.push({ $match: match });
+
+  for (const dimension of groupBy) {
+    const { unwind } = DIMENSIONS[dimension];
+    if (unwind) pipeline.push({ $unwind: { path: `$${unwind}`, preserveNullAndEmptyArrays: true } });
+  }
+
+  const group = {
+    _id: groupBy.length
+      ? Object.fromEntries(groupBy.map(d => [d, { $ifNull: [`$${DIMENSIONS[d].path}`, null] }]))
+      : null
+  };
+  const project = { _id: 0 };
+  for (const dimension of groupBy) project[dimension] = `$_id.${dimension}`;
+  for (const { op, field, as } of metrics) {
+    group[as] = accumulator(op, field && `$${MEASURES[field]}`);
+    // $percentile renvoie un tableau d'une valeur
+    project[as] = PERCENTILE.test(op) ? { $arrayElemAt: [`$${as}`, 0] } : 1;
+  }
+  pipeline.push({ $group: group }, { $project: project });
+
+  const sortStage = sort.length ? Object.fromEntries(sort) : Object.fromEntries(groupBy.map(d => [d, 1]));
+  if (Object.keys(sortStage).length) pipeline.push({ $sort: sortStage });
+  if (limit) pipeline.push({ $limit: limit });
+  return pipeline;
+}
+
+// spec.withDeleted inclut les potions de la corbeille (option lue par le hook d'agrégation du modèle)
+async function runAnalytics(spec) {
+  return Potion.aggregate(buildPipeline(spec)).option({ withDeleted: Boolean(spec.withDeleted) });
+}
+
+module.exports = {
+  DIMENSIONS,
+  MEASURES,
+  parseAnalyticsQuery,
+  buildPipeline,
+  runAnalytics
+};
@@ -0,0 +1,214 @@
+const Potion = require('../model/potion');
+const { parseFilters, badRequest } = require('./potionQuery');
+const { DIMENSIONS } = require('./analyticsQuery');
+
+// Séries temporelles sur tryDate : découpage en périodes (UTC, semaines commençant le lundi),
+// périodes vides complétées à zéro, moyennes mobiles et variations d'une période à l'autre.
+
+const INTERVALS = ['day', 'week', 'month', 'year'];
+const MAX_BUCKETS = 1000;
+const DEFAULT_WINDOW = 3;
+const MAX_WINDOW = 52;
+// En dessous de cette pente (points de score par période), la tendance est considérée stable
+const FLAT_SLOPE = 0.01;
+
+function truncate(date, interval) {
+  const d = new Date(date);
+  switch (interval) {
+    case 'day':
+      return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    case 'week':
+      return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7)));
+    case 'month':
+      return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+    default:
+      return new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  }
+}
+
+function nextBucket(date, interval) {
+  const d = new Date(date);
+  if (interval === 'day') d.setUTCDate(d.getUTCDate() + 1);
+  else if (interval === 'week') d.setUTCDate(d.getUTCDate() + 7);
+  else if (interval === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+  else d.setUTCFullYear(d.getUTCFullYear() + 1);
+  return d;
+}
+
+// Débuts de période de from à to inclus
+function bucketStarts(from, to, interval) {
+  const starts = [];
+  for (let d = truncate(from, interval); d <= to; d = nextBucket(d, interval)) {
+    if (starts.length === MAX_BUCKETS) {
+      throw badRequest(`La plage demandée dépasse ${MAX_BUCKETS} périodes, élargissez l'intervalle ou réduisez la plage.`);
+    }
+    starts.push(d);
+  }
+  return starts;
+}
+
+function parseDate(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const date = typeof value === 'string' ? new Date(value) : new Date(NaN);
+  if (isNaN(date.getTime())) throw badRequest(`Le paramètre ${name} doit être une date valide.`);
+  return date;
+}
+
+/**
+ * Valide les paramètres : interval (day, week, month, year), from/to (par défaut l'année écoulée),
+ * splitBy (une dimension de /analytics/query), window (taille de la moyenne mobile) et les filtres de GET /potions.
+ */
+function parseTimeseriesQuery(query) {
+  const interval = query.interval || 'month';
+  if (!INTERVALS.includes(interval)) throw badRequest(`interval invalide. Utilisez ${INTERVALS.join(', ')}.`);
+
+  const to = parseDate(query.to, 'to', new Date());
+  const defaultFrom = new Date(to);
+  defaultFrom.setUTCFullYear(defaultFrom.getUTCFullYear() - 1);
+  const from = parseDate(query.from, 'from', defaultFrom);
+  if (from > to) throw badRequest('from doit être antérieur ou égal à to.');
+
+  const splitBy = query.splitBy;
+  if (splitBy !== undefined && !DIMENSIONS[splitBy]) {
+    throw badRequest(`splitBy invalide. Utilisez ${Object.keys(DIMENSIONS).join(', ')}.`);
+  }
+
+  const window = query.window === undefined ? DEFAULT_WINDOW : Number(query.window);
+  if (!Number.isInteger(window) || window < 1 || window > MAX_WINDOW) {
+    throw badRequest(`window doit être un entier entre 1 et ${MAX_WINDOW}.`);
+  }
+
+  return { interval, from, to, splitBy, window, filters: query };
+}
+
+// Somme et nombre de valeurs numériques, pour des moyennes pondérées sur plusieurs périodes
+function sumAndCount(field) {
+  return [
+    { $sum: { $cond: [{ $isNumber: field }, field, 0] } },
+    { $sum: { $cond: [{ $isNumber: field }, 1, 0] } }
+  ];
+}
+
+// Plage de tryDate agrégée : de from à to, la première période comptée depuis son début, et restreinte
+// par tryDate_from/tryDate_to quand la requête porte aussi ces filtres de GET /potions
+function dateRange({ $gte, $lte } = {}, from, to, interval) {
+  const start = truncate(from, interval);
+  return {
+    $gte: $gte > start ? $gte : start,
+    $lte: $lte < to ? $lte : to
+  };
+}
+
+function buildPipeline({ interval, from, to, splitBy, filters }) {
+  const match = parseFilters(filters);
+  match.tryDate = dateRange(match.tryDate, from, to, interval);
+  const pipeline = [{ $match: match }];
+
+  const dimension = splitBy && DIMENSIONS[splitBy];
+  if (dimension?.unwind) pipeline.push({ $unwind: { path: `$${dimension.unwind}`, preserveNullAndEmptyArrays: true } });
+
+  const [scoreSum, scoreCount] = sumAndCount('$score');
+  const [priceSum, priceCount] = sumAndCount('$price');
+  pipeline.push({
+    $group: {
+      _id: {
+        bucket: { $dateTrunc: { date: '$tryDate', unit: interval, startOfWeek: 'monday' } },
+        series: dimension ? { $ifNull: [`$${dimension.path}`, null] } : null
+      },
+      count: { $sum: 1 },
+      scoreSum,
+      scoreCount,
+      priceSum,
+      priceCount
+    }
+  });
+  return pipeline;
+}
+
+function average(sum, count) {
+  return count ? sum / count : null;
+}
+
+function delta(current, previous) {
+  return current === null || previous === null || previous === undefined ? null : current - previous;
+}
+
+// Pente (moindres carrés) du score moyen par période ; null s'il y a moins de deux périodes notées
+function slope(buckets) {
+  const points = buckets.map((b, x) => [x, b.averageScore]).filter(([, y]) => y !== null);
+  if (points.length < 2) return null;
+  const meanX = points.reduce((s, [x]) => s + x, 0) / points.length;
+  const meanY = points.reduce((s, [, y]) => s + y, 0) / points.length;
+  const num = points.reduce((s, [x, y]) => s + (x - meanX) * (y - meanY), 0);
+  const den = points.reduce((s, [x]) => s + (x - meanX) ** 2, 0);
+  return num / den;
+}
+
+// Périodes complètes d'une série, avec moyennes mobiles (pondérées par le nombre de potions) et variations
+function buildSeries(starts, rows, window) {
+  const byStart = new Map(rows.map(row => [row._id.bucket.getTime(), row]));
+  const totals = starts.map(start => byStart.get(start.getTime()) || { count: 0, scoreSum: 0, scoreCount: 0, priceSum: 0, priceCount: 0 });
+
+  const buckets = totals.map((t, i) => {
+    const recent = totals.slice(Math.max(0, i - window + 1), i + 1);
+    const sum = key => recent.reduce((s, r) => s + r[key], 0);
+    return {
+      start: starts[i],
+      count: t.count,
+      averageScore: average(t.scoreSum, t.scoreCount),
+      averagePrice: average(t.priceSum, t.priceCount),
+      movingAverageScore: average(sum('scoreSum'), sum('scoreCount')),
+      movingAveragePrice: average(sum('priceSum'), sum('priceCount'))
+    };
+  });
+
+  buckets.forEach((bucket, i) => {
+    const previous = buckets[i - 1];
+    bucket.deltaCount = previous ? bucket.count - previous.count : null;
+    bucket.deltaAverageScore = delta(bucket.averageScore, previous?.averageScore);
+    bucket.deltaAveragePrice = delta(bucket.averagePrice, previous?.averagePrice);
+  });
+
+  const scoreSlope = slope(buckets);
+  let direction = null;
+  if (scoreSlope !== null) direction = Math.abs(scoreSlope) < FLAT_SLOPE ? 'flat' : (scoreSlope > 0 ? 'up' : 'down');
+  return { buckets, trend: { scoreSlope, direction } };
+}
+
+/**
+ * Calcule la série temporelle (une série par valeur de splitBy, ou une seule série sous la clé null).
+ * Renvoie { interval, from, to, window, splitBy, series: [{ key, buckets, trend }] }.
+ */
+async function runTimeseries(spec) {
+  const starts = bucketStarts(spec.from, spec.to, spec.interval);
+  const rows = await Potion.aggregate(buildPipeline(spec));
+
+  const groups = new Map();
+  if (!spec.splitBy) groups.set(null, []);
+  for (const row of rows) {
+    const key = row._id.series;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  const series = [...groups.entries()]
+    .sort(([a], [b]) => (a === null ? -1 : b === null ? 1 : String(a).localeCompare(String(b))))
+    .map(([key, groupRows]) => ({ key, ...buildSeries(starts, groupRows, spec.window) }));
+
+  return {
+    interval: spec.interval,
+    from: spec.from,
+    to: spec.to,
+    window: spec.window,
+    splitBy: spec.splitBy || null,
+    series
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  parseDate,
+  parseTimeseriesQuery,
+  runTimeseries,
+  truncate
+};
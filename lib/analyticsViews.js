@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Potion = require('../model/potion');
+const { subscribe } = require('./potionStream');
+const { invalidate } = require('./cache');
+
+// Vues matérialisées des analytics (ANALYTICS_VIEWS=true) : sommes par vendeur et par catégorie écrites par $merge
+// dans des collections de synthèse. /analytics/average_score_by_vendor, /average_score_by_category et /group
+// les lisent au lieu d'agréger toute la collection des potions, sauf avec des filtres ou ?fresh=true.
+// Après une écriture, seuls les groupes touchés sont recalculés, au plus une fois par ANALYTICS_VIEWS_REFRESH_MS.
+
+const ENABLED = process.env.ANALYTICS_VIEWS === 'true';
+const REFRESH_DELAY = Number(process.env.ANALYTICS_VIEWS_REFRESH_MS) || 1000;
+
+// Vue -> collection de synthèse et champ de regroupement (déplié s'il s'agit d'un tableau)
+const VIEWS = {
+  vendor: { collection: 'analytics_vendor_summary', field: 'vendor_id' },
+  category: { collection: 'analytics_category_summary', field: 'categories', unwind: true }
+};
+
+// Groupes à recalculer par vue : Set de valeurs, ou 'all' pour toute la vue
+let dirty = {};
+let timer = null;
+let refreshing = Promise.resolve();
+let ready = false;
+
+function collection(view) {
+  return mongoose.connection.collection(view.collection);
+}
+
+/**
+ * Pipeline de synthèse d'une vue, limité aux groupes listés (tous sans `groups`), terminé par $merge.
+ * Chaque document : { _id: groupe, count, scoreSum, scoreCount, priceSum, priceCount, refreshedAt }.
+ */
+function summaryPipeline(view, groups, refreshedAt) {
+  const path = `$${view.field}`;
+  const match = groups && { $match: { [view.field]: { $in: groups } } };
+  const pipeline = match ? [match] : [];
+  if (view.unwind) {
+    pipeline.push({ $unwind: { path, preserveNullAndEmptyArrays: true } });
+    // Les autres catégories des mêmes potions ne sont pas à recalculer
+    if (match) pipeline.push(match);
+  }
+  pipeline.push(
+    {
+      $group: {
+        _id: { $ifNull: [path, null] },
+        count: { $sum: 1 },
+        scoreSum: { $sum: '$score' },
+        scoreCount: { $sum: { $cond: [{ $isNumber: '$score' }, 1, 0] } },
+        priceSum: { $sum: '$price' },
+        priceCount: { $sum: { $cond: [{ $isNumber: '$price' }, 1, 0] } }
+      }
+    },
+    { $set: { refreshedAt } },
+    { $merge: { into: view.collection, on: '_id', whenMatched: 'replace', whenNotMatched: 'insert' } }
+  );
+  return pipeline;
+}
+
+// Recalcule les groupes listés (toute la vue sans `groups`) ; un groupe devenu vide est supprimé
+async function refreshView(view, groups) {
+  const refreshedAt = new Date();
+  await Potion.aggregate(summaryPipeline(view, groups, refreshedAt));
+  const stale = { refreshedAt: { $ne: refreshedAt } };
+  if (groups) stale._id = { $in: groups };
+  await collection(view).deleteMany(stale);
+}
+
+/**
+ * Recalcule entièrement les vues. Les rafraîchissements sont exécutés l'un après l'autre.
+ */
+function refreshAnalyticsViews() {
+  refreshing = refreshing.catch(() => {})
+    .then(() => Promise.all(Object.values(VIEWS).map(view => refreshView(view))))
+    .then(() => invalidate());
+  return refreshing;
+}
+
+// Recalcul des groupes modifiés depuis le dernier passage
+function flush() {
+  timer = null;
+  const pending = dirty;
+  dirty = {};
+  refreshing = refreshing.catch(() => {})
+    .then(() => Promise.all(Object.entries(pending).map(([name, groups]) => (
+      refreshView(VIEWS[name], groups === 'all' ? undefined : [...groups])
+    ))))
+    .then(() => invalidate())
+    .catch(err => console.error('Vues analytics :', err));
+  return refreshing;
+}
+
+function markDirty(name, groups) {
+  if (dirty[name] === 'all') return;
+  // Groupe null (sans vendeur, sans catégorie) : $in ne le retrouve pas de façon fiable, toute la vue est recalculée
+  if (groups === 'all' || groups.some(group => group === null || group === undefined)) {
+    dirty[name] = 'all';
+    return;
+  }
+  dirty[name] = new Set([...(dirty[name] || []), ...groups]);
+}
+
+// Une potion qui change de vendeur ou de catégories quitte un groupe que l'événement ne donne pas :
+// ses vues sont alors recalculées entièrement, comme après une purge
+function onEvent(event) {
+  const { potion, changes = [] } = event;
+  const moved = event.type !== 'potion.created' && changes.some(({ path }) => /^(vendor_id|categories)(\.|$)/.test(path));
+  const unknown = event.type === 'potion.purged' || potion.vendor_id === undefined;
+
+  markDirty('vendor', moved || unknown ? 'all' : [potion.vendor_id]);
+  const categories = potion.categories?.length ? potion.categories : [null];
+  markDirty('category', moved || unknown ? 'all' : categories);
+  if (!timer) timer = setTimeout(flush, REFRESH_DELAY).unref();
+}
+
+/**
+ * Démarre les vues si ANALYTICS_VIEWS=true : calcul complet puis mises à jour à partir du flux des potions.
+ * Tant que le premier calcul n'est pas terminé, les routes agrègent la collection des potions.
+ */
+async function startAnalyticsViews() {
+  if (!ENABLED) return;
+  subscribe(onEvent);
+  await refreshAnalyticsViews();
+  ready = true;
+}
+
+function viewsReady() {
+  return ready;
+}
+
+/**
+ * Lignes d'une vue triées par groupe, avec les moyennes :
+ * [{ _id, count, averageScore, averagePrice }] (moyenne null si aucune valeur).
+ */
+async function readView(name) {
+  const rows = await collection(VIEWS[name]).find().sort({ _id: 1 }).toArray();
+  return rows.map(row => ({
+    _id: row._id,
+    count: row.count,
+    averageScore: row.scoreCount ? row.scoreSum / row.scoreCount : null,
+    averagePrice: row.priceCount ? row.priceSum / row.priceCount : null
+  }));
+}
+
+module.exports = {
+  VIEWS,
+  summaryPipeline,
+  refreshAnalyticsViews,
+  startAnalyticsViews,
+  viewsReady,
+  readView
+};
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const ApiKey = require('../model/apiKey');
+const User = require('../model/user');
+const { UnauthorizedError } = require('./errors');
+
+// Clés d'API : "pk_" suivi de 32 octets aléatoires. Une valeur aussi longue et aléatoire ne se devine pas :
+// un SHA-256 suffit (pas de bcrypt) et permet de retrouver la clé par son hash à chaque requête.
+
+const KEY_PREFIX = 'pk_';
+// Caractères gardés en clair pour reconnaître une clé dans la liste
+const DISPLAY_LENGTH = 10;
+// lastUsedAt n'est réécrit qu'au plus une fois par minute
+const LAST_USED_THROTTLE = 60 * 1000;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function invalidKey() {
+  return new UnauthorizedError('Clé d’API invalide, expirée ou révoquée.', { code: 'invalid_api_key' });
+}
+
+/**
+ * Crée une clé pour l'utilisateur. Renvoie { apiKey, key } : key (en clair) n'est plus jamais lisible ensuite.
+ */
+async function createApiKey(userId, { name, scopes, expiresAt }) {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const apiKey = await ApiKey.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    prefix: key.slice(0, DISPLAY_LENGTH),
+    keyHash: hashApiKey(key)
+  });
+  return { apiKey, key };
+}
+
+/**
+ * Identifie le propriétaire d'une clé présentée dans X-API-Key. Renvoie l'équivalent de la charge d'un jeton
+ * d'accès (rôle actuel du compte) complété de apiKey: { id, scopes } ; UnauthorizedError si la clé n'est pas valable.
+ */
+async function authenticateApiKey(key, { ip } = {}) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) throw invalidKey();
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) });
+  if (!apiKey || !apiKey.isActive()) throw invalidKey();
+  const user = await User.findById(apiKey.user).lean();
+  if (!user) throw invalidKey();
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_THROTTLE) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } });
+  }
+
+  return {
+    id: String(user._id),
+    username: user.username,
+    role: user.role,
+    vendor_id: user.vendor_id,
+    apiKey: { id: String(apiKey._id), scopes: apiKey.scopes }
+  };
+}
+
+module.exports = {
+  KEY_PREFIX,
+  createApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,96 @@
+const AuditLog = require('../model/auditLog');
+const potionEvents = require('./potionEvents');
+
+// Écriture du journal d'audit et calcul des différences champ par champ.
+
+// Champs exclus des instantanés : identité, version et données calculées à partir des avis
+const UNTRACKED_FIELDS = ['_id', '__v', 'reviewStats'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Instantané JSON d'une potion tel qu'il est conservé dans le journal.
+ */
+function potionSnapshot(potion) {
+  const snapshot = JSON.parse(JSON.stringify(potion));
+  for (const field of UNTRACKED_FIELDS) delete snapshot[field];
+  return snapshot;
+}
+
+// { ratings: { flavor: 2 } } -> { 'ratings.flavor': 2 } ; les tableaux restent des valeurs entières
+function flatten(value, prefix = '', result = {}) {
+  for (const [key, child] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length) flatten(child, path, result);
+    else result[path] = child;
+  }
+  return result;
+}
+
+/**
+ * Différence entre deux instantanés : [{ path, from, to }], un champ absent valant null.
+ */
+function diff(before, after) {
+  const from = flatten(before);
+  const to = flatten(after);
+  const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+  return paths
+    .filter(path => JSON.stringify(from[path] ?? null) !== JSON.stringify(to[path] ?? null))
+    .map(path => ({ path, from: from[path] ?? null, to: to[path] ?? null }));
+}
+
+/**
+ * Ajoute une entrée au journal. `req` fournit l'acteur (req.user, sauf `actor` explicite), l'IP et
+ * le User-Agent ; il vaut null pour les tâches du serveur. Une erreur d'écriture du journal est
+ * signalée dans les logs sans faire échouer l'opération déjà effectuée.
+ */
+async function recordAudit(req, { actor, ...entry }) {
+  const user = actor || req?.user;
+  try {
+    await AuditLog.create({
+      ...entry,
+      actor: user ? { user: user.id ?? user._id, role: user.role } : undefined,
+      ip: req?.ip,
+      userAgent: req?.get('User-Agent')
+    });
+  } catch (err) {
+    console.error('Écriture du journal d’audit :', err);
+  }
+}
+
+/**
+ * Journalise une écriture sur une potion : `before` est l'instantané précédent (null à la création).
+ * Une sauvegarde sans changement n'est pas journalisée. L'écriture est ensuite publiée sur lib/potionEvents.
+ */
+async function recordPotionChange(req, action, potion, before = null, details) {
+  const snapshot = potionSnapshot(potion);
+  const changes = diff(before, snapshot);
+  if (before && !changes.length) return;
+  await recordAudit(req, {
+    action,
+    entity: 'potion',
+    entityId: potion._id,
+    version: potion.__v,
+    changes,
+    snapshot,
+    details
+  });
+  potionEvents.emit('change', {
+    action,
+    potionId: potion._id,
+    version: potion.__v,
+    before,
+    after: snapshot,
+    changes,
+    actor: req?.user || null
+  });
+}
+
+module.exports = {
+  potionSnapshot,
+  diff,
+  recordAudit,
+  recordPotionChange
+};
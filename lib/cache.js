@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const potionEvents = require('./potionEvents');
+const { subscribe } = require('./potionStream');
+
+// Cache des réponses des routes de lecture (GET /potions, /analytics...), avec ETag et Cache-Control.
+// Les entrées ne sont jamais effacées une à une : chaque écriture sur une potion incrémente une génération
+// qui fait partie de la clé, et les entrées des générations précédentes expirent ou sortent du LRU.
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const TTL_SECONDS = envNumber('CACHE_TTL_SECONDS', 60);
+const MAX_ENTRIES = envNumber('CACHE_MAX_ENTRIES', 500);
+// Durée pendant laquelle un client peut réutiliser une réponse sans la revalider (If-None-Match)
+const MAX_AGE_SECONDS = envNumber('CACHE_MAX_AGE_SECONDS', 0);
+const GENERATION_KEY = 'cache:generation';
+
+/**
+ * Stockage en mémoire du processus, LRU borné à `maxEntries` entrées.
+ * Interface commune, reprise de Redis : get(key), set(key, value, 'PX', ttlMs), incr(key).
+ * Un client ioredis peut donc servir de stockage tel quel (useStore(new Redis(url))).
+ */
+class MemoryStore {
+  constructor({ maxEntries = MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    // Les compteurs (génération) ne doivent pas être évincés par le LRU
+    this.counters = new Map();
+  }
+
+  async get(key) {
+    if (this.counters.has(key)) return String(this.counters.get(key));
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return null;
+    // Réinsérée en fin de Map : les clés les moins récemment lues restent en tête
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, mode, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: mode === 'PX' ? Date.now() + ttl : Infinity });
+    while (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+    return 'OK';
+  }
+
+  async incr(key) {
+    const value = (this.counters.get(key) || 0) + 1;
+    this.counters.set(key, value);
+    return value;
+  }
+}
+
+let store = new MemoryStore();
+
+// Permet de remplacer le stockage (client Redis partagé entre les instances de l'API, par exemple)
+function useStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Rend périmées toutes les réponses en cache.
+ */
+function invalidate() {
+  return store.incr(GENERATION_KEY);
+}
+
+function weakEtag(body) {
+  return `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+// Contenu identique pour tous, mais une requête authentifiée ne doit pas remplir un cache partagé
+function cacheControl(req) {
+  const scope = req.user || req.get('X-API-Key') || req.get('Authorization') ? 'private' : 'public';
+  return `${scope}, max-age=${MAX_AGE_SECONDS}, must-revalidate`;
+}
+
+/**
+ * Middleware des routes de lecture : sert la réponse en cache ou enregistre celle de la route (statut 200).
+ * La réponse porte un ETag (celui posé par la route, sinon un hash du corps) : un client qui le renvoie dans
+ * If-None-Match reçoit 304 tant que rien n'a changé. ?fresh=true et les options réservées (includeDeleted...)
+ * contournent le cache.
+ */
+function cached() {
+  return async (req, res, next) => {
+    if (req.query.fresh === 'true' || req.includeDeleted || req.includeHidden) {
+      res.set('Cache-Control', 'no-cache');
+      return next();
+    }
+
+    const key = `cache:${(await store.get(GENERATION_KEY)) || 0}:${req.originalUrl}`;
+    res.set('Cache-Control', cacheControl(req));
+    const hit = await store.get(key);
+    if (hit) {
+      const { etag, body } = JSON.parse(hit);
+      // res.send répond 304 si If-None-Match correspond à l'ETag
+      return res.set({ ETag: etag, 'X-Cache': 'HIT' }).type('json').send(body);
+    }
+
+    res.set('X-Cache', 'MISS');
+    const json = res.json.bind(res);
+    res.json = payload => {
+      if (res.statusCode !== 200) return json(payload);
+      const body = JSON.stringify(payload);
+      const etag = res.get('ETag') || weakEtag(body);
+      store.set(key, JSON.stringify({ etag, body }), 'PX', TTL_SECONDS * 1000)
+        .catch(err => console.error('Cache des réponses :', err));
+      return res.set('ETag', etag).type('json').send(body);
+    };
+    next();
+  };
+}
+
+let watching = false;
+
+/**
+ * Invalide le cache à chaque écriture sur une potion (une seule fois par processus). Les événements de ce
+ * processus arrivent par lib/potionEvents ; le flux des potions apporte en plus, avec les change streams,
+ * les écritures des autres instances.
+ */
+function watchCache() {
+  if (watching) return;
+  watching = true;
+  const onWrite = () => invalidate().catch(err => console.error('Cache des réponses :', err));
+  potionEvents.on('change', onWrite);
+  potionEvents.on('rating', onWrite);
+  subscribe(onWrite);
+}
+
+module.exports = {
+  MemoryStore,
+  useStore,
+  invalidate,
+  cached,
+  watchCache
+};
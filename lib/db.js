@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const Potion = require('../model/potion');
+
+// Connexion à MongoDB, séparée de l'application (app.js) pour que les tests fournissent leur propre base.
+
+/**
+ * Se connecte puis crée les index des potions déclarés par le schéma (dont l'index texte de la recherche)
+ * qui manquent encore. Les index ajoutés à la main (tri sur price, score, tryDate...) sont conservés :
+ * seul `npm run db -- reset` aligne strictement les index sur les schémas (syncIndexes).
+ */
+async function connectDatabase(uri = process.env.MONGO_URI) {
+  await mongoose.connect(uri);
+  await Potion.createIndexes();
+  return mongoose.connection;
+}
+
+function disconnectDatabase() {
+  return mongoose.disconnect();
+}
+
+module.exports = {
+  connectDatabase,
+  disconnectDatabase
+};
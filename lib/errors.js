@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+// Erreurs typées de l'API, traduites en réponses application/problem+json (RFC 7807) par middleware/errors.
+// Chaque erreur porte un statut HTTP et un code stable que les clients peuvent tester sans lire le message.
+
+const TITLES = {
+  400: 'Requête invalide',
+  401: 'Authentification requise',
+  403: 'Accès refusé',
+  404: 'Ressource introuvable',
+  409: 'Conflit',
+  412: 'Précondition échouée',
+  413: 'Requête trop volumineuse',
+  415: 'Type de contenu non pris en charge',
+  429: 'Trop de requêtes',
+  500: 'Erreur interne',
+  503: 'Service indisponible'
+};
+
+const DEFAULT_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  503: 'service_unavailable'
+};
+
+/**
+ * Erreur HTTP : `code` remplace le code par défaut du statut, les autres options
+ * (errors, retryAfter...) sont ajoutées telles quelles à la réponse.
+ */
+class HttpError extends Error {
+  constructor(status, message, { code, ...extensions } = {}) {
+    super(message || TITLES[status]);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || 'error';
+    this.extensions = extensions;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message, options) {
+    super(400, message, options);
+  }
+}
+
+// errors : liste au format express-validator ({ type, value, msg, path, location })
+class FieldValidationError extends HttpError {
+  constructor(errors, message = 'Certains champs sont invalides.') {
+    super(400, message, { code: 'validation_failed', errors });
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Token d’authentification manquant ou invalide', options) {
+    super(401, message, options);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Vous n’avez pas les droits pour effectuer cette action.', options) {
+    super(403, message, options);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message, options) {
+    super(404, message, options);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message, options) {
+    super(409, message, options);
+  }
+}
+
+class PreconditionFailedError extends HttpError {
+  constructor(message, options) {
+    super(412, message, options);
+  }
+}
+
+class UnsupportedMediaTypeError extends HttpError {
+  constructor(message, options) {
+    super(415, message, options);
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(message, retryAfter) {
+    super(429, message, { code: 'too_many_requests', retryAfter });
+  }
+}
+
+// Erreur de champ au format express-validator : { type, value, msg, path, location }
+function fieldError(path, msg, value, location = 'body') {
+  return { type: 'field', value, msg, path, location };
+}
+
+function duplicateFields(err) {
+  return Object.keys(err.keyValue || err.keyPattern || {});
+}
+
+/**
+ * Pour un .catch() autour d'une écriture : une violation d'index unique (E11000) devient une 409 avec ce message.
+ */
+function onDuplicate(message, code = 'duplicate_key') {
+  return err => {
+    if (err?.code === 11000) throw new ConflictError(message, { code, fields: duplicateFields(err) });
+    throw err;
+  };
+}
+
+/**
+ * Ramène n'importe quelle erreur levée pendant une requête à une HttpError.
+ * Erreurs Mongoose, doublons d'index unique, corps JSON illisible et erreurs portant un statut 4xx
+ * (bibliothèques, body-parser) sont reconnus ; tout le reste devient une 500 dont le message n'est pas exposé.
+ */
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+
+  if (err instanceof mongoose.Error.CastError) {
+    const isId = err.kind === 'ObjectId';
+    return new BadRequestError(isId ? 'Identifiant invalide.' : `Valeur invalide pour ${err.path}.`, {
+      code: isId ? 'invalid_id' : 'invalid_value',
+      errors: [fieldError(err.path, `Valeur invalide pour ${err.path}.`, err.value)]
+    });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new FieldValidationError(Object.values(err.errors).map(e => fieldError(e.path, e.message, e.value)));
+  }
+  if (err instanceof mongoose.Error.StrictModeError) {
+    return new FieldValidationError([fieldError(err.path, 'Champ inconnu.')]);
+  }
+  if (err instanceof mongoose.Error.VersionError) {
+    return new PreconditionFailedError('La ressource a été modifiée entre-temps, rechargez-la avant de l’enregistrer.', { code: 'version_conflict' });
+  }
+  if (err?.code === 11000) {
+    const fields = duplicateFields(err);
+    return new ConflictError(`Une ressource existe déjà avec cette valeur${fields.length ? ` (${fields.join(', ')})` : ''}.`, { code: 'duplicate_key', fields });
+  }
+  // body-parser : JSON mal formé, corps trop volumineux...
+  if (err?.type === 'entity.parse.failed') return new BadRequestError('Le corps de la requête n’est pas un JSON valide.', { code: 'invalid_json' });
+  if (err?.type === 'entity.too.large') return new HttpError(413, 'Le corps de la requête est trop volumineux.');
+
+  const status = err?.status ?? err?.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 500) return new HttpError(status, err.message);
+
+  const internal = new HttpError(500);
+  internal.cause = err;
+  return internal;
+}
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  FieldValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+  TITLES,
+  fieldError,
+  onDuplicate,
+  toHttpError
+};
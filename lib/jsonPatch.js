@@ -0,0 +1,160 @@
+const { HttpError } = require('./errors');
+
+// Application de patchs JSON : JSON Merge Patch (RFC 7396) et JSON Patch (RFC 6902).
+// Les deux fonctions travaillent sur une copie et ne modifient jamais le document reçu.
+
+// index : position de l'opération fautive (renvoyée au client dans operation) ; status : 409 pour un "test" échoué, 400 sinon
+class PatchError extends HttpError {
+  constructor(message, index, status = 400) {
+    super(status, message, { code: status === 409 ? 'patch_test_failed' : 'invalid_patch', operation: index });
+    this.name = 'PatchError';
+    this.index = index;
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * RFC 7396 : null supprime la clé, un objet est fusionné récursivement, tout le reste remplace.
+ */
+function mergePatch(target, patch) {
+  if (!isObject(patch)) return clone(patch);
+  const result = isObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = mergePatch(result[key], value);
+  }
+  return result;
+}
+
+// "/ratings/strength" -> ['ratings', 'strength'] (avec décodage ~1 et ~0)
+function parsePointer(pointer, index) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new PatchError(`Chemin JSON Pointer invalide : ${pointer}`, index);
+  }
+  if (pointer === '') return [];
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function arrayIndex(array, token, index, allowEnd) {
+  if (allowEnd && token === '-') return array.length;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) throw new PatchError(`Index de tableau invalide : ${token}`, index);
+  const i = Number(token);
+  if (i > array.length || (!allowEnd && i === array.length)) {
+    throw new PatchError(`Index de tableau hors limites : ${token}`, index);
+  }
+  return i;
+}
+
+// Renvoie le conteneur parent et la dernière clé du chemin
+function resolveParent(doc, tokens, index) {
+  let node = doc;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(node)) node = node[arrayIndex(node, token, index, false)];
+    else if (isObject(node) && Object.prototype.hasOwnProperty.call(node, token)) node = node[token];
+    else throw new PatchError(`Chemin inexistant : /${tokens.join('/')}`, index);
+  }
+  if (!Array.isArray(node) && !isObject(node)) throw new PatchError(`Chemin inexistant : /${tokens.join('/')}`, index);
+  return { parent: node, key: tokens[tokens.length - 1] };
+}
+
+function getValue(doc, tokens, index) {
+  if (!tokens.length) return doc;
+  const { parent, key } = resolveParent(doc, tokens, index);
+  if (Array.isArray(parent)) return parent[arrayIndex(parent, key, index, false)];
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) throw new PatchError(`Chemin inexistant : /${tokens.join('/')}`, index);
+  return parent[key];
+}
+
+function addValue(doc, tokens, value, index) {
+  if (!tokens.length) return value;
+  const { parent, key } = resolveParent(doc, tokens, index);
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, index, true), 0, value);
+  else parent[key] = value;
+  return doc;
+}
+
+function removeValue(doc, tokens, index) {
+  if (!tokens.length) throw new PatchError('Impossible de supprimer la racine du document.', index);
+  getValue(doc, tokens, index);
+  const { parent, key } = resolveParent(doc, tokens, index);
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, index, false), 1);
+  else delete parent[key];
+  return doc;
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!isObject(value)) return value;
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+/**
+ * RFC 6902 : applique les opérations add, remove, replace, move, copy et test dans l'ordre.
+ * Lève une PatchError (avec l'index de l'opération fautive) si une opération échoue.
+ */
+function jsonPatch(target, operations) {
+  if (!Array.isArray(operations)) throw new PatchError('Un JSON Patch doit être une liste d’opérations.');
+  let doc = clone(target);
+
+  operations.forEach((operation, index) => {
+    if (!isObject(operation)) throw new PatchError('Chaque opération doit être un objet.', index);
+    const { op, path, from } = operation;
+    const tokens = parsePointer(path, index);
+    const needsValue = ['add', 'replace', 'test'].includes(op);
+    if (needsValue && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+      throw new PatchError(`L’opération "${op}" nécessite une valeur.`, index);
+    }
+    const value = clone(operation.value);
+
+    switch (op) {
+      case 'add':
+        doc = addValue(doc, tokens, value, index);
+        break;
+      case 'remove':
+        doc = removeValue(doc, tokens, index);
+        break;
+      case 'replace':
+        getValue(doc, tokens, index);
+        doc = tokens.length ? addValue(removeValue(doc, tokens, index), tokens, value, index) : value;
+        break;
+      case 'move': {
+        const fromTokens = parsePointer(from, index);
+        if (tokens.length > fromTokens.length && fromTokens.every((t, i) => tokens[i] === t)) {
+          throw new PatchError('Impossible de déplacer une valeur dans l’un de ses enfants.', index);
+        }
+        const moved = getValue(doc, fromTokens, index);
+        doc = addValue(removeValue(doc, fromTokens, index), tokens, moved, index);
+        break;
+      }
+      case 'copy':
+        doc = addValue(doc, tokens, clone(getValue(doc, parsePointer(from, index), index)), index);
+        break;
+      case 'test':
+        if (!deepEqual(getValue(doc, tokens, index), value)) {
+          throw new PatchError(`Test échoué sur ${path}.`, index, 409);
+        }
+        break;
+      default:
+        throw new PatchError(`Opération inconnue : ${op}`, index);
+    }
+  });
+
+  return doc;
+}
+
+module.exports = {
+  mergePatch,
+  jsonPatch,
+  PatchError
+};
@@ -0,0 +1,132 @@
+const { EventEmitter } = require('events');
+const Potion = require('../model/potion');
+const { subscribe } = require('./potionStream');
+
+// Moyennes par vendeur et par catégorie tenues à jour en mémoire à partir du flux des potions
+// (GET /analytics/stream) : chargées une fois, puis corrigées potion par potion sans relancer d'agrégation.
+
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+
+// Contribution de chaque potion en ligne : id -> { vendor_id, categories, score, price }
+const contributions = new Map();
+const byVendor = new Map();
+const byCategory = new Map();
+let loading = null;
+
+function emptyTotals() {
+  return { count: 0, scoreSum: 0, scoreCount: 0, priceSum: 0 };
+}
+
+function adjust(groups, key, contribution, sign) {
+  if (!groups.has(key)) groups.set(key, emptyTotals());
+  const totals = groups.get(key);
+  totals.count += sign;
+  totals.priceSum += sign * (contribution.price ?? 0);
+  if (typeof contribution.score === 'number') {
+    totals.scoreSum += sign * contribution.score;
+    totals.scoreCount += sign;
+  }
+  if (!totals.count) groups.delete(key);
+}
+
+function apply(contribution, sign) {
+  adjust(byVendor, contribution.vendor_id, contribution, sign);
+  for (const category of contribution.categories) adjust(byCategory, category, contribution, sign);
+}
+
+function averages(totals = emptyTotals()) {
+  return {
+    count: totals.count,
+    averageScore: totals.scoreCount ? totals.scoreSum / totals.scoreCount : null,
+    averagePrice: totals.count ? totals.priceSum / totals.count : null
+  };
+}
+
+/**
+ * Remplace la contribution d'une potion (null : elle ne compte plus) et renvoie les groupes modifiés.
+ * Rejouer un même état ne change rien : l'application est idempotente.
+ */
+function setContribution(id, potion) {
+  const previous = contributions.get(id);
+  const next = potion && {
+    vendor_id: potion.vendor_id,
+    categories: [...new Set(potion.categories || [])],
+    score: potion.score,
+    price: potion.price
+  };
+  if (previous) apply(previous, -1);
+  if (next) apply(next, 1);
+  if (next) contributions.set(id, next);
+  else contributions.delete(id);
+
+  const vendors = new Set([previous?.vendor_id, next?.vendor_id].filter(Boolean));
+  const categories = new Set([...(previous?.categories || []), ...(next?.categories || [])]);
+  return { vendors: [...vendors], categories: [...categories] };
+}
+
+// Une potion supprimée, purgée ou dont le document n'est plus disponible ne compte plus
+function onEvent(event) {
+  const { potion } = event;
+  const live = !['potion.deleted', 'potion.purged'].includes(event.type) && potion.vendor_id !== undefined && !potion.deletedAt;
+  const changed = setContribution(String(potion._id), live ? potion : null);
+  if (!changed.vendors.length && !changed.categories.length) return;
+  updates.emit('update', {
+    at: event.at,
+    vendors: changed.vendors.map(vendor_id => ({ vendor_id, ...averages(byVendor.get(vendor_id)) })),
+    categories: changed.categories.map(category => ({ category, ...averages(byCategory.get(category)) }))
+  });
+}
+
+async function load() {
+  // Les événements reçus pendant le chargement sont appliqués ensuite
+  const pending = [];
+  let ready = false;
+  const unsubscribe = subscribe(event => (ready ? onEvent(event) : pending.push(event)));
+  try {
+    const potions = await Potion.find({}, 'vendor_id categories score price').lean();
+    for (const potion of potions) setContribution(String(potion._id), potion);
+  } catch (err) {
+    unsubscribe();
+    throw err;
+  }
+  ready = true;
+  pending.forEach(onEvent);
+}
+
+/**
+ * Charge les moyennes au premier abonné ; les suivants réutilisent l'état en mémoire.
+ */
+function ensureLoaded() {
+  if (!loading) {
+    loading = load().catch(err => {
+      loading = null;
+      throw err;
+    });
+  }
+  return loading;
+}
+
+/**
+ * État complet : { vendors: [{ vendor_id, count, averageScore, averagePrice }], categories: [{ category, ... }] }.
+ */
+function snapshot() {
+  return {
+    vendors: [...byVendor].map(([vendor_id, totals]) => ({ vendor_id, ...averages(totals) })),
+    categories: [...byCategory].map(([category, totals]) => ({ category, ...averages(totals) }))
+  };
+}
+
+/**
+ * Abonne `listener` aux mises à jour (groupes modifiés uniquement) ; renvoie la fonction de désabonnement.
+ */
+function onUpdate(listener) {
+  updates.on('update', listener);
+  return () => updates.off('update', listener);
+}
+
+module.exports = {
+  ensureLoaded,
+  snapshot,
+  onUpdate
+};
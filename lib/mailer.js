@@ -0,0 +1,85 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Envoi des e-mails derrière une interface commune : transport.send({ to, subject, text })
+
+// SMTP réel (nodemailer), configuré par SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS
+class SmtpTransport {
+  constructor(options = {}) {
+    const nodemailer = require('nodemailer');
+    this.from = options.from || process.env.MAIL_FROM || 'API Potions <no-reply@potions.local>';
+    this.transporter = nodemailer.createTransport({
+      host: options.host || process.env.SMTP_HOST,
+      port: Number(options.port || process.env.SMTP_PORT) || 587,
+      secure: options.secure ?? process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  async send({ to, subject, text }) {
+    await this.transporter.sendMail({ from: this.from, to, subject, text });
+  }
+}
+
+// Écrit chaque e-mail dans un fichier JSON (MAIL_DIR, ./mails par défaut) au lieu de l'envoyer
+class FileTransport {
+  constructor(directory = process.env.MAIL_DIR || 'mails') {
+    this.directory = directory;
+  }
+
+  async send(mail) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const file = path.join(this.directory, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...mail, date: new Date() }, null, 2));
+  }
+}
+
+// Affiche les e-mails dans la console (développement)
+class ConsoleTransport {
+  async send({ to, subject, text }) {
+    console.log(`[mail] à ${to} : ${subject}\n${text}`);
+  }
+}
+
+// Garde les e-mails envoyés en mémoire (tests)
+class MemoryTransport {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(mail) {
+    this.sent.push(mail);
+  }
+}
+
+function createTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+  switch (name) {
+    case 'smtp': return new SmtpTransport();
+    case 'file': return new FileTransport();
+    case 'memory': return new MemoryTransport();
+    case 'console': return new ConsoleTransport();
+    default: throw new Error(`Transport d'e-mail inconnu : ${name}`);
+  }
+}
+
+let transport;
+
+// Permet de remplacer le transport (ex. new MemoryTransport() dans les tests)
+function useTransport(newTransport) {
+  transport = newTransport;
+}
+
+function sendMail(mail) {
+  if (!transport) transport = createTransport();
+  return transport.send(mail);
+}
+
+module.exports = {
+  SmtpTransport,
+  FileTransport,
+  ConsoleTransport,
+  MemoryTransport,
+  createTransport,
+  useTransport,
+  sendMail
+};
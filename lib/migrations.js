@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../model/migration');
+
+// Migrations de schéma versionnées : un fichier par migration dans migrations/, appliquées dans l'ordre
+// de leur nom (préfixe numérique) et enregistrées dans la collection migrations.
+// Chaque fichier exporte { description, up(db), down(db) } ; db est la base MongoDB native, pour qu'une
+// migration ne dépende pas des modèles tels qu'ils seront devenus plus tard.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^\d+-[\w-]+\.js$/;
+
+/**
+ * Scripts de migrations/, triés : [{ name, description, up, down }].
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  return fs.readdirSync(directory)
+    .filter(file => FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(directory, file));
+      const name = path.basename(file, '.js');
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`La migration ${name} doit exporter up(db) et down(db).`);
+      }
+      return { name, description: migration.description || '', up: migration.up, down: migration.down };
+    });
+}
+
+function findIndex(migrations, name) {
+  const index = migrations.findIndex(migration => migration.name === name);
+  if (index === -1) throw new Error(`Migration inconnue : ${name}.`);
+  return index;
+}
+
+/**
+ * État de chaque migration : [{ name, description, appliedAt }] (appliedAt null si elle reste à appliquer).
+ */
+async function migrationStatus() {
+  const applied = new Map((await Migration.find().lean()).map(entry => [entry.name, entry.appliedAt]));
+  return loadMigrations().map(({ name, description }) => ({ name, description, appliedAt: applied.get(name) || null }));
+}
+
+/**
+ * Applique dans l'ordre les migrations en attente, jusqu'à `to` inclus (toutes par défaut).
+ * Renvoie [{ name, result }] ; une migration en échec arrête la suite et n'est pas enregistrée.
+ */
+async function migrateUp({ to } = {}) {
+  const migrations = loadMigrations();
+  const last = to ? findIndex(migrations, to) : migrations.length - 1;
+  const applied = new Set((await Migration.find({}, 'name').lean()).map(entry => entry.name));
+
+  const done = [];
+  for (const migration of migrations.slice(0, last + 1)) {
+    if (applied.has(migration.name)) continue;
+    const result = await migration.up(mongoose.connection.db);
+    await Migration.create({ name: migration.name, result });
+    done.push({ name: migration.name, result });
+  }
+  return done;
+}
+
+/**
+ * Annule les migrations appliquées, de la plus récente à la plus ancienne : les `steps` dernières (1 par défaut)
+ * ou toutes celles postérieures à `to` (`to` reste appliquée). Renvoie [{ name, result }].
+ */
+async function migrateDown({ to, steps = 1 } = {}) {
+  const migrations = loadMigrations();
+  const applied = new Set((await Migration.find({}, 'name').lean()).map(entry => entry.name));
+  const candidates = migrations.filter(migration => applied.has(migration.name)).reverse();
+  const targets = to
+    ? candidates.filter(migration => migration.name > migrations[findIndex(migrations, to)].name)
+    : candidates.slice(0, steps);
+
+  const done = [];
+  for (const migration of targets) {
+    const result = await migration.down(mongoose.connection.db);
+    await Migration.deleteOne({ name: migration.name });
+    done.push({ name: migration.name, result });
+  }
+  return done;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,73 @@
+const Notification = require('../model/notification');
+const User = require('../model/user');
+const { sendMail } = require('./mailer');
+
+// Notifications aux utilisateurs derrière une interface commune : transport.send({ user, type, title, message, data }).
+// NOTIFICATION_TRANSPORTS liste les transports actifs (ex. "inbox,mail") ; chacun reçoit toutes les notifications.
+
+// Boîte de réception in-app, lue par GET /me/notifications
+class InboxTransport {
+  async send({ user, type, title, message, data }) {
+    await Notification.create({ user, type, title, message, data });
+  }
+}
+
+// E-mail (lib/mailer) aux utilisateurs ayant une adresse vérifiée
+class MailTransport {
+  async send({ user, title, message }) {
+    const recipient = await User.findById(user, 'email emailVerified').lean();
+    if (!recipient?.email || !recipient.emailVerified) return;
+    await sendMail({ to: recipient.email, subject: title, text: message || title });
+  }
+}
+
+// Garde les notifications en mémoire (tests)
+class MemoryTransport {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(notification) {
+    this.sent.push(notification);
+  }
+}
+
+function createTransport(name) {
+  switch (name) {
+    case 'inbox': return new InboxTransport();
+    case 'mail': return new MailTransport();
+    case 'memory': return new MemoryTransport();
+    default: throw new Error(`Transport de notification inconnu : ${name}`);
+  }
+}
+
+let transports;
+
+// Permet de remplacer les transports (ex. [new MemoryTransport()] dans les tests)
+function useTransports(newTransports) {
+  transports = newTransports;
+}
+
+/**
+ * Envoie une notification par tous les transports actifs. L'échec d'un transport est signalé
+ * dans les logs sans empêcher les autres.
+ */
+async function notify(notification) {
+  if (!transports) {
+    const names = (process.env.NOTIFICATION_TRANSPORTS || 'inbox').split(',').map(v => v.trim()).filter(Boolean);
+    transports = names.map(createTransport);
+  }
+  const results = await Promise.allSettled(transports.map(transport => transport.send(notification)));
+  for (const result of results) {
+    if (result.status === 'rejected') console.error('Erreur envoi notification :', result.reason);
+  }
+}
+
+module.exports = {
+  InboxTransport,
+  MailTransport,
+  MemoryTransport,
+  createTransport,
+  useTransports,
+  notify
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// Politique de mot de passe, configurable par variables d'environnement
+const POLICY = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: 128,
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true'
+};
+
+const COMMON_PASSWORDS_FILE = process.env.PASSWORD_BLOCKLIST || path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+let commonPasswords;
+
+// Liste chargée une seule fois, à la première vérification
+function loadCommonPasswords() {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+}
+
+/**
+ * Renvoie la liste des règles non respectées (vide si le mot de passe est accepté).
+ * `username` permet de refuser un mot de passe qui le contient.
+ */
+function checkPassword(password, { username } = {}) {
+  if (typeof password !== 'string') return ['Le mot de passe est requis.'];
+
+  const problems = [];
+  if (password.length < POLICY.minLength) problems.push(`Minimum ${POLICY.minLength} caractères.`);
+  if (password.length > POLICY.maxLength) problems.push(`Maximum ${POLICY.maxLength} caractères.`);
+  if (POLICY.requireLowercase && !/\p{Ll}/u.test(password)) problems.push('Au moins une minuscule.');
+  if (POLICY.requireUppercase && !/\p{Lu}/u.test(password)) problems.push('Au moins une majuscule.');
+  if (POLICY.requireDigit && !/\d/.test(password)) problems.push('Au moins un chiffre.');
+  if (POLICY.requireSymbol && !/[^\p{L}\d]/u.test(password)) problems.push('Au moins un caractère spécial.');
+  if (loadCommonPasswords().has(password.toLowerCase())) problems.push('Ce mot de passe est trop courant.');
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    problems.push('Le mot de passe ne doit pas contenir le nom d’utilisateur.');
+  }
+  return problems;
+}
+
+// Validateur express-validator : body('password').custom(passwordValidator('username'))
+function passwordValidator(usernameField) {
+  return (value, { req }) => {
+    const problems = checkPassword(value, { username: usernameField ? req.body?.[usernameField] : req.user?.username });
+    if (problems.length) throw new Error(problems.join(' '));
+    return true;
+  };
+}
+
+module.exports = {
+  POLICY,
+  checkPassword,
+  passwordValidator
+};
@@ -0,0 +1,10 @@
+const { EventEmitter } = require('events');
+
+// Événements internes sur les potions.
+// 'change' : { action, potionId, version, before, after, changes, actor }, après chaque écriture journalisée (lib/audit).
+// before et after sont des instantanés JSON (null avant une création) ; actor est req.user ou null.
+// 'rating' : { potionId }, après le recalcul de la note d'une potion à partir de ses avis (lib/reviews).
+// Les écouteurs asynchrones gèrent eux-mêmes leurs erreurs : l'émission n'attend personne.
+const potionEvents = new EventEmitter();
+
+module.exports = potionEvents;
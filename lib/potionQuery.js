@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const Potion = require('../model/potion');
+const { BadRequestError } = require('./errors');
+
+// Moteur de requête pour la liste des potions : filtres, tri, projection et pagination par curseur.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Champs autorisés pour le tri et la projection (rien d'autre ne passe dans la requête Mongo)
+const SORTABLE_FIELDS = ['name', 'price', 'score', 'tryDate', 'vendor_id', 'ratings.strength', 'ratings.flavor', 'reviewStats.count', 'reviewStats.averageScore'];
+const PROJECTABLE_FIELDS = ['name', 'price', 'score', 'ingredients', 'ratings', 'ratings.strength', 'ratings.flavor', 'tryDate', 'categories', 'vendor_id', 'reviewStats'];
+
+// Bornes numériques : paramètre de requête -> champ du document.
+// reviews et reviewScore portent sur les avis (nombre d'avis visibles, moyenne brute de leurs notes).
+const NUMERIC_RANGES = {
+  price: 'price',
+  score: 'score',
+  strength: 'ratings.strength',
+  flavor: 'ratings.flavor',
+  reviews: 'reviewStats.count',
+  reviewScore: 'reviewStats.averageScore'
+};
+
+function badRequest(message) {
+  return new BadRequestError(message);
+}
+
+// Accepte "a,b" comme ?x=a&x=b et renvoie une liste sans doublons ni vides
+function toList(value) {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return [...new Set(values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean))];
+}
+
+function parseNumber(value, name) {
+  if (Array.isArray(value)) throw badRequest(`Le paramètre ${name} ne doit apparaître qu'une fois.`);
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) throw badRequest(`Le paramètre ${name} doit être un nombre.`);
+  return number;
+}
+
+function parseDate(value, name) {
+  if (Array.isArray(value)) throw badRequest(`Le paramètre ${name} ne doit apparaître qu'une fois.`);
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw badRequest(`Le paramètre ${name} doit être une date valide.`);
+  return date;
+}
+
+function range(query, minKey, maxKey, parse) {
+  const bounds = {};
+  if (query[minKey] !== undefined) bounds.$gte = parse(query[minKey], minKey);
+  if (query[maxKey] !== undefined) bounds.$lte = parse(query[maxKey], maxKey);
+  if (bounds.$gte !== undefined && bounds.$lte !== undefined && bounds.$gte > bounds.$lte) {
+    throw badRequest(`${minKey} doit être inférieur ou égal à ${maxKey}.`);
+  }
+  return Object.keys(bounds).length ? bounds : null;
+}
+
+/**
+ * Construit le filtre Mongo à partir des paramètres de requête.
+ * Filtres : categories, vendor_id, ingredients, ingredients_any, ingredients_none (listes, "a,b"), <price|score|strength|flavor|reviews|reviewScore>_min/_max,
+ * tryDate_from/tryDate_to.
+ */
+function parseFilters(query) {
+  const filter = {};
+
+  const categories = toList(query.categories);
+  if (categories.length) filter.categories = { $in: categories };
+
+  const vendors = toList(query.vendor_id);
+  if (vendors.length) filter.vendor_id = vendors.length === 1 ? vendors[0] : { $in: vendors };
+
+  // ingredients : tous les ingrédients listés ; ingredients_any : au moins un ; ingredients_none : aucun
+  const ingredients = {};
+  const all = toList(query.ingredients);
+  if (all.length) ingredients.$all = all;
+  const any = toList(query.ingredients_any);
+  if (any.length) ingredients.$in = any;
+  const none = toList(query.ingredients_none);
+  if (none.length) ingredients.$nin = none;
+  if (Object.keys(ingredients).length) filter['ingredients.name'] = ingredients;
+
+  for (const [param, field] of Object.entries(NUMERIC_RANGES)) {
+    const bounds = range(query, `${param}_min`, `${param}_max`, parseNumber);
+    if (bounds) filter[field] = bounds;
+  }
+
+  const tryDate = range(query, 'tryDate_from', 'tryDate_to', parseDate);
+  if (tryDate) filter.tryDate = tryDate;
+
+  return filter;
+}
+
+// "-score,price" -> [['score', -1], ['price', 1], ['_id', -1]] ; _id départage toujours les égalités
+function parseSort(value) {
+  const keys = [];
+  for (const token of toList(value)) {
+    const direction = token.startsWith('-') ? -1 : 1;
+    const field = token.replace(/^[-+]/, '');
+    if (!SORTABLE_FIELDS.includes(field)) {
+      throw badRequest(`Tri impossible sur "${field}". Champs autorisés : ${SORTABLE_FIELDS.join(', ')}.`);
+    }
+    if (!keys.some(([f]) => f === field)) keys.push([field, direction]);
+  }
+  const last = keys.length ? keys[keys.length - 1][1] : 1;
+  keys.push(['_id', last]);
+  return keys;
+}
+
+function parseFields(value) {
+  const fields = toList(value);
+  for (const field of fields) {
+    if (!PROJECTABLE_FIELDS.includes(field)) {
+      throw badRequest(`Champ "${field}" inconnu. Champs autorisés : ${PROJECTABLE_FIELDS.join(', ')}.`);
+    }
+  }
+  return fields;
+}
+
+function parseLimit(value) {
+  if (value === undefined) return DEFAULT_LIMIT;
+  const limit = parseNumber(value, 'limit');
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit doit être un entier entre 1 et ${MAX_LIMIT}.`);
+  }
+  return limit;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// Le curseur est opaque pour le client : base64url d'un JSON { d: 'next' | 'prev', v: [valeurs de tri] }
+function encodeCursor(doc, sortKeys, direction) {
+  const values = sortKeys.map(([field]) => {
+    const value = getPath(doc, field);
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (field === '_id') return String(value);
+    return value === undefined ? null : value;
+  });
+  return Buffer.from(JSON.stringify({ d: direction, v: values })).toString('base64url');
+}
+
+function decodeCursor(cursor, sortKeys) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw badRequest('Curseur invalide.');
+  }
+  if (!decoded || !['next', 'prev'].includes(decoded.d) || !Array.isArray(decoded.v) || decoded.v.length !== sortKeys.length) {
+    throw badRequest('Curseur invalide ou incompatible avec le tri demandé.');
+  }
+  const values = decoded.v.map((value, i) => {
+    if (value && typeof value === 'object' && value.$date) return new Date(value.$date);
+    if (sortKeys[i][0] === '_id') {
+      if (!mongoose.isValidObjectId(value)) throw badRequest('Curseur invalide.');
+      return new mongoose.Types.ObjectId(value);
+    }
+    return value;
+  });
+  return { direction: decoded.d, values };
+}
+
+// Condition "strictement après la valeur" pour un champ dans un sens de parcours donné.
+// Mongo classe null/absent avant toute autre valeur, ce qui est pris en compte ici.
+function after(field, value, direction) {
+  if (direction === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  if (value === null) return null;
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+}
+
+// Filtre de keyset : (k1 > v1) OU (k1 = v1 ET k2 > v2) OU ...
+function keysetFilter(sortKeys, values) {
+  const branches = [];
+  for (let i = 0; i < sortKeys.length; i++) {
+    const condition = after(sortKeys[i][0], values[i], sortKeys[i][1]);
+    if (!condition) continue;
+    const equalities = sortKeys.slice(0, i).map(([field], j) => ({ [field]: values[j] }));
+    branches.push(equalities.length ? { $and: [...equalities, condition] } : condition);
+  }
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+}
+
+// Curseur par décalage, pour les listes dont le tri ne se prête pas au keyset (pertinence) ou qui restent courtes (avis)
+function encodeOffset(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+function decodeOffset(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isInteger(o) && o >= 0) return o;
+  } catch (err) {
+    // traité ci-dessous
+  }
+  throw badRequest('Curseur invalide.');
+}
+
+function pageLink(req, cursor) {
+  if (!cursor) return null;
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key === 'cursor') continue;
+    for (const v of [].concat(value)) params.append(key, v);
+  }
+  params.set('cursor', cursor);
+  return `${req.baseUrl}${req.path}?${params}`;
+}
+
+// MongoDB refuse une projection contenant un champ et l'un de ses sous-champs (ratings et ratings.flavor) :
+// le sous-champ est déjà couvert par son parent
+function withoutNestedPaths(paths) {
+  const unique = [...new Set(paths)];
+  return unique.filter(path => !unique.some(other => path.startsWith(`${other}.`)));
+}
+
+/**
+ * Exécute une recherche paginée de potions.
+ * `query` contient les paramètres (filtres, sort, fields, limit, cursor) ;
+ * `req` sert uniquement à construire les liens next/prev ; options.withDeleted inclut la corbeille.
+ * Renvoie { data, total, limit, links: { next, prev } }.
+ */
+async function findPotions(query, req, { withDeleted = false } = {}) {
+  const filter = parseFilters(query);
+  const sortKeys = parseSort(query.sort);
+  const fields = parseFields(query.fields);
+  const limit = parseLimit(query.limit);
+  const cursor = query.cursor ? decodeCursor(query.cursor, sortKeys) : null;
+
+  // En remontant (prev), on parcourt le tri à l'envers puis on remet la page dans l'ordre
+  const backwards = cursor?.direction === 'prev';
+  const walkKeys = backwards ? sortKeys.map(([f, d]) => [f, -d]) : sortKeys;
+  const pageFilter = cursor ? { $and: [filter, keysetFilter(walkKeys, cursor.values)] } : filter;
+
+  // Les champs de tri sont toujours lus pour pouvoir calculer les curseurs
+  const projection = fields.length
+    ? withoutNestedPaths([...fields, ...sortKeys.map(([f]) => f)]).join(' ')
+    : null;
+
+  const [docs, total] = await Promise.all([
+    Potion.find(pageFilter, projection).sort(walkKeys).limit(limit + 1).setOptions({ withDeleted }).lean(),
+    Potion.countDocuments(filter).setOptions({ withDeleted })
+  ]);
+
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+  const data = fields.length ? page.map(doc => pick(doc, fields)) : page;
+
+  return {
+    data,
+    total,
+    limit,
+    links: {
+      next: pageLink(req, last && hasNext ? encodeCursor(last, sortKeys, 'next') : null),
+      prev: pageLink(req, first && hasPrev ? encodeCursor(first, sortKeys, 'prev') : null)
+    }
+  };
+}
+
+function pick(doc, fields) {
+  const result = { _id: doc._id };
+  for (const field of fields) {
+    const value = getPath(doc, field);
+    if (value === undefined) continue;
+    const [head, sub] = field.split('.');
+    if (sub) result[head] = { ...result[head], [sub]: value };
+    else result[head] = value;
+  }
+  return result;
+}
+
+module.exports = {
+  NUMERIC_RANGES,
+  findPotions,
+  parseFilters,
+  parseSort,
+  parseFields,
+  parseLimit,
+  pageLink,
+  encodeOffset,
+  decodeOffset,
+  toList,
+  badRequest
+};
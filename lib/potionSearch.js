@@ -0,0 +1,199 @@
+const Potion = require('../model/potion');
+const { parseFilters, parseLimit, pageLink, encodeOffset, decodeOffset, badRequest } = require('./potionQuery');
+
+// Recherche plein texte des potions : index texte MongoDB, tolérance aux fautes de frappe,
+// suggestions par préfixe et extraits surlignés.
+
+const MAX_QUERY_LENGTH = 100;
+const VOCABULARY_TTL = 60 * 1000;
+
+// "Élixir de Force" -> "elixir de force" (minuscules, sans accents)
+function normalize(text) {
+  return String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function tokenize(text) {
+  return normalize(text).split(/[^\p{L}\p{N}]+/u).filter(term => term.length >= 2);
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Distance tolérée selon la longueur du mot : aucune faute sous 4 lettres, 1 jusqu'à 7, 2 au-delà
+function maxDistance(term) {
+  if (term.length < 4) return 0;
+  return term.length <= 7 ? 1 : 2;
+}
+
+let vocabulary = null;
+
+/**
+ * Vocabulaire du catalogue (noms de potions, ingrédients, catégories), gardé en cache une minute.
+ * terms : mots normalisés pour la correction ; entries : libellés complets pour l'autocomplétion.
+ */
+async function getVocabulary() {
+  if (vocabulary && vocabulary.expiresAt > Date.now()) return vocabulary;
+
+  const [names, ingredients, categories] = await Promise.all([
+    Potion.distinct('name'),
+    Potion.distinct('ingredients.name'),
+    Potion.distinct('categories')
+  ]);
+  const entries = [
+    ...names.map(value => ({ value, type: 'potion' })),
+    ...ingredients.map(value => ({ value, type: 'ingredient' })),
+    ...categories.map(value => ({ value, type: 'category' }))
+  ].map(entry => ({ ...entry, normalized: normalize(entry.value) }));
+
+  vocabulary = {
+    terms: new Set(entries.flatMap(entry => tokenize(entry.value))),
+    entries,
+    expiresAt: Date.now() + VOCABULARY_TTL
+  };
+  return vocabulary;
+}
+
+// Pour les tests ou après un import massif
+function clearVocabulary() {
+  vocabulary = null;
+}
+
+// Mot connu le plus proche dans la distance tolérée, ou null
+function closestTerm(term, terms) {
+  let best = null;
+  let bestDistance = maxDistance(term) + 1;
+  for (const candidate of terms) {
+    if (Math.abs(candidate.length - term.length) >= bestDistance) continue;
+    const distance = levenshtein(term, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function parseQuery(q) {
+  if (typeof q !== 'string' || !q.trim()) throw badRequest('Le paramètre q est requis.');
+  if (q.length > MAX_QUERY_LENGTH) throw badRequest(`Le paramètre q est limité à ${MAX_QUERY_LENGTH} caractères.`);
+  const terms = [...new Set(tokenize(q))];
+  if (!terms.length) throw badRequest('La recherche doit contenir au moins un mot de 2 lettres.');
+  return terms;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Un mot du texte correspond s'il commence par un terme recherché ou l'inverse (pluriels, racines)
+function wordMatches(word, terms) {
+  const normalized = normalize(word);
+  return normalized.length >= 2 && terms.some(term => normalized.startsWith(term) || (normalized.length >= 3 && term.startsWith(normalized)));
+}
+
+// Texte échappé avec les mots correspondants entourés de <mark>, ou null si rien ne correspond
+function highlight(text, terms) {
+  if (typeof text !== 'string') return null;
+  let matched = false;
+  const html = text.split(/([\p{L}\p{N}]+)/u).map(part => {
+    if (/^[\p{L}\p{N}]+$/u.test(part) && wordMatches(part, terms)) {
+      matched = true;
+      return `<mark>${escapeHtml(part)}</mark>`;
+    }
+    return escapeHtml(part);
+  }).join('');
+  return matched ? html : null;
+}
+
+function highlights(potion, terms) {
+  const result = {};
+  const name = highlight(potion.name, terms);
+  if (name) result.name = name;
+  const ingredients = (potion.ingredients || []).map(i => highlight(i.name, terms)).filter(Boolean);
+  if (ingredients.length) result.ingredients = ingredients;
+  const categories = (potion.categories || []).map(c => highlight(c, terms)).filter(Boolean);
+  if (categories.length) result.categories = categories;
+  return result;
+}
+
+/**
+ * Recherche plein texte paginée. Les mots inconnus du catalogue sont corrigés vers le mot connu
+ * le plus proche ; les filtres de GET /potions s'appliquent en plus.
+ * Renvoie { data, total, limit, links, corrections }, chaque potion portant relevance et highlights.
+ */
+async function searchPotions(query, req) {
+  const terms = parseQuery(query.q);
+  const filters = parseFilters(query);
+  const limit = parseLimit(query.limit);
+  // Le tri par pertinence ne permet pas de keyset : le curseur contient un décalage
+  const offset = query.cursor ? decodeOffset(query.cursor) : 0;
+
+  const { terms: known } = await getVocabulary();
+  const corrections = [];
+  for (const term of terms) {
+    if (known.has(term)) continue;
+    const suggestion = closestTerm(term, known);
+    if (suggestion) corrections.push({ term, suggestion });
+  }
+  const searchTerms = [...new Set([...terms, ...corrections.map(c => c.suggestion)])];
+
+  const filter = { ...filters, $text: { $search: searchTerms.join(' ') } };
+  const [docs, total] = await Promise.all([
+    Potion.find(filter, { relevance: { $meta: 'textScore' } })
+      .sort({ relevance: { $meta: 'textScore' }, _id: 1 })
+      .skip(offset)
+      .limit(limit + 1)
+      .lean(),
+    Potion.countDocuments(filter)
+  ]);
+
+  const page = docs.slice(0, limit);
+  return {
+    data: page.map(potion => ({ ...potion, highlights: highlights(potion, searchTerms) })),
+    total,
+    limit,
+    links: {
+      next: pageLink(req, docs.length > limit ? encodeOffset(offset + limit) : null),
+      prev: pageLink(req, offset > 0 ? encodeOffset(Math.max(offset - limit, 0)) : null)
+    },
+    corrections
+  };
+}
+
+/**
+ * Suggestions d'autocomplétion : libellés dont un mot commence par le préfixe saisi.
+ * Les libellés qui commencent eux-mêmes par le préfixe passent en premier.
+ */
+async function suggest(prefix, limit = 10) {
+  if (typeof prefix !== 'string' || !prefix.trim()) throw badRequest('Le paramètre q est requis.');
+  const normalized = normalize(prefix.trim()).slice(0, MAX_QUERY_LENGTH);
+  const { entries } = await getVocabulary();
+
+  return entries
+    .map(entry => {
+      if (entry.normalized.startsWith(normalized)) return { entry, rank: 0 };
+      if (entry.normalized.split(/[^\p{L}\p{N}]+/u).some(word => word.startsWith(normalized))) return { entry, rank: 1 };
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank || a.entry.value.localeCompare(b.entry.value))
+    .slice(0, limit)
+    .map(({ entry }) => ({ value: entry.value, type: entry.type }));
+}
+
+module.exports = {
+  searchPotions,
+  suggest,
+  clearVocabulary,
+  levenshtein,
+  highlight
+};
@@ -0,0 +1,203 @@
+const { EventEmitter } = require('events');
+const Potion = require('../model/potion');
+const potionEvents = require('./potionEvents');
+
+// Flux des changements de potions (GET /potions/stream, lib/liveAnalytics).
+// Source : les change streams MongoDB quand le serveur est un replica set (toutes les instances de l'API
+// voient toutes les écritures), sinon l'émetteur interne lib/potionEvents (écritures de ce processus).
+// Les derniers événements sont gardés en mémoire pour reprendre un flux après une déconnexion (Last-Event-ID).
+
+const BUFFER_SIZE = Number(process.env.STREAM_BUFFER_SIZE) || 1000;
+// auto, changestream ou emitter
+const SOURCE = process.env.STREAM_SOURCE || 'auto';
+const RESTART_DELAY = 5000;
+
+// Action du journal d'audit -> type d'événement
+const ACTION_TYPES = {
+  create: 'potion.created',
+  update: 'potion.updated',
+  revert: 'potion.updated',
+  delete: 'potion.deleted',
+  restore: 'potion.restored'
+};
+
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+const buffer = [];
+// Événements antérieurs à cet identifiant : plus disponibles (avant le démarrage ou sortis du tampon)
+let horizon = [Math.floor(Date.now() / 1000), 0];
+let counter = 0;
+let started = false;
+
+// Les identifiants "secondes-compteur" (clusterTime d'un change stream, ou horloge locale et compteur)
+// sont ordonnés de la même façon quelle que soit la source
+function parseId(id) {
+  const match = /^(\d+)-(\d+)$/.exec(String(id));
+  return match ? [Number(match[1]), Number(match[2])] : null;
+}
+
+function compareIds(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+function localId() {
+  return `${Math.floor(Date.now() / 1000)}-${++counter}`;
+}
+
+// Champs gardés d'une potion supprimée ou purgée : son identifiant et ce que filtrent les abonnés
+const REMOVED_FIELDS = ['_id', 'vendor_id', 'categories'];
+
+/**
+ * Forme diffusée d'un événement (null : non diffusé). Une potion à la corbeille reste cachée comme sur les routes
+ * de lecture : sa suppression ne donne que son identifiant, ses modifications ultérieures ne sont pas diffusées,
+ * et l'auteur d'une suppression (deletedBy) n'apparaît jamais.
+ */
+function publicEvent(event) {
+  const { potion, changes, ...rest } = event;
+  if (['potion.deleted', 'potion.purged'].includes(event.type)) {
+    const fields = REMOVED_FIELDS.filter(field => potion[field] !== undefined);
+    return { ...rest, potion: Object.fromEntries(fields.map(field => [field, potion[field]])) };
+  }
+  if (potion.deletedAt) return null;
+  const { deletedBy, ...visible } = potion;
+  const result = { ...rest, potion: visible };
+  if (changes) result.changes = changes.filter(({ path }) => path !== 'deletedBy');
+  return result;
+}
+
+function publish(raw) {
+  const event = publicEvent(raw);
+  if (!event) return;
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) horizon = parseId(buffer.shift().id);
+  hub.emit('event', event);
+}
+
+/**
+ * Abonne `listener` aux événements { id, type, at, potion, changes } ; renvoie la fonction de désabonnement.
+ */
+function subscribe(listener) {
+  hub.on('event', listener);
+  return () => hub.off('event', listener);
+}
+
+/**
+ * Événements postérieurs à `lastEventId`. resync vaut true si certains ne sont plus disponibles
+ * (identifiant inconnu, trop ancien ou antérieur au démarrage du serveur) : le client doit recharger ses données.
+ */
+function replay(lastEventId) {
+  if (!lastEventId) return { events: [], resync: false };
+  const last = parseId(lastEventId);
+  if (!last || compareIds(last, horizon) < 0) return { events: [...buffer], resync: true };
+  return { events: buffer.filter(event => compareIds(parseId(event.id), last) > 0), resync: false };
+}
+
+/**
+ * Filtre d'un abonné : listes de vendor_id et de catégories (vides : pas de filtre).
+ */
+function matches(event, { vendors = [], categories = [] }) {
+  const { potion } = event;
+  if (vendors.length && !vendors.includes(potion.vendor_id)) return false;
+  if (categories.length && !(potion.categories || []).some(category => categories.includes(category))) return false;
+  return true;
+}
+
+// Renvoie la fonction qui détache l'émetteur
+function watchEmitter() {
+  const onChange = ({ action, potionId, after, changes }) => {
+    const type = ACTION_TYPES[action];
+    if (!type) return;
+    publish({ id: localId(), type, at: new Date(), potion: { _id: potionId, ...after }, changes });
+  };
+  // Le recalcul de la note ne passe pas par le journal : on relit la potion
+  const onRating = ({ potionId }) => {
+    Potion.findById(potionId).setOptions({ withDeleted: true }).lean()
+      .then(potion => {
+        if (!potion) return;
+        const changes = ['score', 'ratings', 'reviewStats'].map(path => ({ path, to: potion[path] ?? null }));
+        publish({ id: localId(), type: 'potion.updated', at: new Date(), potion, changes });
+      })
+      .catch(err => console.error('Flux des potions :', err));
+  };
+  potionEvents.on('change', onChange);
+  potionEvents.on('rating', onRating);
+  return () => {
+    potionEvents.off('change', onChange);
+    potionEvents.off('rating', onRating);
+  };
+}
+
+// Événement de change stream -> événement du flux
+function fromChange(change) {
+  const id = `${change.clusterTime.getHighBits()}-${change.clusterTime.getLowBits()}`;
+  const at = change.wallTime || new Date();
+  const potion = change.fullDocument || { _id: change.documentKey._id };
+
+  if (change.operationType === 'insert') return { id, type: 'potion.created', at, potion };
+  if (change.operationType === 'delete') return { id, type: 'potion.purged', at, potion };
+  if (!['update', 'replace'].includes(change.operationType)) return null;
+
+  const { updatedFields = {}, removedFields = [] } = change.updateDescription || {};
+  const changes = [
+    ...Object.entries(updatedFields).map(([path, to]) => ({ path, to })),
+    ...removedFields.map(path => ({ path, to: null }))
+  ].filter(({ path }) => path !== '__v');
+  let type = 'potion.updated';
+  if (updatedFields.deletedAt) type = 'potion.deleted';
+  else if (removedFields.includes('deletedAt')) type = 'potion.restored';
+  return { id, type, at, potion, changes };
+}
+
+function watchChangeStream(resumeAfter) {
+  const stream = Potion.watch([], { fullDocument: 'updateLookup', resumeAfter });
+  let lastToken = resumeAfter;
+  stream.on('change', change => {
+    lastToken = change._id;
+    const event = fromChange(change);
+    if (event) publish(event);
+  });
+  // Coupure (réseau, élection...) : on reprend là où le change stream s'était arrêté
+  stream.on('error', err => {
+    console.error('Change stream des potions :', err.message);
+    stream.close().catch(() => {});
+    setTimeout(() => watchChangeStream(lastToken), RESTART_DELAY).unref();
+  });
+}
+
+// Les change streams exigent un replica set ou un cluster shardé ; sinon (ou si MongoDB est injoignable), l'émetteur interne
+async function detectSource() {
+  if (SOURCE !== 'auto') return SOURCE;
+  try {
+    const connection = await Potion.db.asPromise();
+    const hello = await connection.db.admin().command({ hello: 1 });
+    return hello.setName || hello.msg === 'isdbgrid' ? 'changestream' : 'emitter';
+  } catch (err) {
+    return 'emitter';
+  }
+}
+
+/**
+ * Démarre l'alimentation du flux (une seule fois par processus). Renvoie la source retenue.
+ * L'émetteur interne sert dès le démarrage ; il est remplacé par les change streams une fois le replica set détecté.
+ */
+async function watchStream() {
+  if (started) return null;
+  started = true;
+  const stopEmitter = SOURCE === 'changestream' ? () => {} : watchEmitter();
+  const source = await detectSource();
+  if (source === 'changestream') {
+    stopEmitter();
+    watchChangeStream();
+  }
+  console.log(`Flux des potions : ${source === 'changestream' ? 'change streams MongoDB' : 'émetteur interne'}`);
+  return source;
+}
+
+module.exports = {
+  watchStream,
+  publicEvent,
+  subscribe,
+  replay,
+  matches,
+  fromChange
+};
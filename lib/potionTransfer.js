@@ -0,0 +1,248 @@
+const readline = require('readline');
+const { once } = require('events');
+const { parse } = require('csv-parse');
+const StreamArray = require('stream-json/streamers/StreamArray');
+const Potion = require('../model/potion');
+const { parseFilters, parseSort, badRequest } = require('./potionQuery');
+const { validateDocument, mongooseErrors, fieldError } = require('../middleware/validation');
+const { canManagePotion } = require('../middleware/permissions');
+const { potionRules } = require('../validators/potion');
+const { potionSnapshot, recordPotionChange } = require('./audit');
+const { UnsupportedMediaTypeError } = require('./errors');
+
+// Import et export en masse des potions : CSV, NDJSON et tableau JSON, traités en flux.
+
+const MAX_IMPORT_ROWS = Number(process.env.MAX_IMPORT_ROWS) || 10000;
+
+// Colonnes CSV : ratings est aplati, categories et ingredients sont des listes séparées par "|"
+// (un ingrédient s'écrit "nom:quantité:unité"), ou des tableaux JSON si une valeur contient "|" ou ":"
+const CSV_COLUMNS = ['name', 'price', 'score', 'ratings.strength', 'ratings.flavor', 'tryDate', 'categories', 'ingredients', 'vendor_id'];
+// Champs exportés : ceux qu'un client écrit (les colonnes CSV), pour qu'un export puisse être réimporté tel quel
+const EXPORT_PROJECTION = Object.fromEntries([
+  ['_id', 0],
+  ...[...new Set(CSV_COLUMNS.map(column => column.split('.')[0]))].map(field => [field, 1])
+]);
+const NUMERIC_COLUMNS = ['price', 'score', 'ratings.strength', 'ratings.flavor'];
+// Début de cellule qu'un tableur interprète comme une formule : la cellule exportée est préfixée d'une
+// apostrophe (injection CSV), retirée à l'import
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+function toNumber(value) {
+  const number = Number(value);
+  return value !== '' && Number.isFinite(number) ? number : value;
+}
+
+// Liste écrite en tableau JSON ; null si la cellule est une liste séparée par "|"
+function jsonList(cell) {
+  if (!cell.startsWith('[')) return null;
+  try {
+    const list = JSON.parse(cell);
+    return Array.isArray(list) ? list : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function hasSeparator(value) {
+  return typeof value === 'string' && /[|:]/.test(value);
+}
+
+// Ligne CSV -> document potion (les cellules vides sont ignorées)
+function fromCsvRow(row) {
+  const potion = {};
+  for (const [column, cell] of Object.entries(row)) {
+    if (cell === undefined || cell === '') continue;
+    const raw = cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+    const value = NUMERIC_COLUMNS.includes(column) ? toNumber(raw) : raw;
+
+    if (column === 'categories') {
+      potion.categories = jsonList(raw) ?? raw.split('|').map(v => v.trim()).filter(Boolean);
+    } else if (column === 'ingredients') {
+      potion.ingredients = jsonList(raw) ?? raw.split('|').map(v => v.trim()).filter(Boolean).map(item => {
+        const [name, quantity, unit] = item.split(':').map(v => v.trim());
+        const ingredient = { name };
+        if (quantity) ingredient.quantity = toNumber(quantity);
+        if (unit) ingredient.unit = unit;
+        return ingredient;
+      });
+    } else if (column.startsWith('ratings.')) {
+      potion.ratings = { ...potion.ratings, [column.slice('ratings.'.length)]: value };
+    } else {
+      potion[column] = value;
+    }
+  }
+  return potion;
+}
+
+// Document potion -> cellules CSV, dans l'ordre de CSV_COLUMNS
+function toCsvRow(potion) {
+  const categories = potion.categories || [];
+  const ingredients = (potion.ingredients || []).map(({ name, quantity, unit }) => ({ name, quantity, unit }));
+  const cells = {
+    name: potion.name,
+    price: potion.price,
+    score: potion.score,
+    'ratings.strength': potion.ratings?.strength,
+    'ratings.flavor': potion.ratings?.flavor,
+    tryDate: potion.tryDate instanceof Date ? potion.tryDate.toISOString() : potion.tryDate,
+    categories: categories.some(hasSeparator) ? JSON.stringify(categories) : categories.join('|'),
+    ingredients: ingredients.some(i => hasSeparator(i.name) || hasSeparator(i.unit))
+      ? JSON.stringify(ingredients)
+      : ingredients.map(i => [i.name, i.quantity ?? '', i.unit ?? ''].join(':').replace(/:+$/, '')).join('|'),
+    vendor_id: potion.vendor_id
+  };
+  return CSV_COLUMNS.map(column => csvCell(cells[column])).join(',');
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Lit le corps de la requête enregistrement par enregistrement selon son Content-Type.
+ * Produit { value } pour un enregistrement lisible, { error } pour une ligne illisible.
+ */
+async function* readRecords(req) {
+  if (req.is('text/csv')) {
+    const parser = req.pipe(parse({ columns: true, bom: true, trim: true, skip_empty_lines: true }));
+    for await (const row of parser) yield { value: fromCsvRow(row) };
+  } else if (req.is(['application/x-ndjson', 'application/ndjson'])) {
+    const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield { value: JSON.parse(line) };
+      } catch (err) {
+        yield { error: 'Ligne JSON invalide.' };
+      }
+    }
+  } else if (req.is('application/json')) {
+    const items = req.pipe(StreamArray.withParser());
+    for await (const { value } of items) yield { value };
+  } else {
+    throw new UnsupportedMediaTypeError('Utilisez text/csv, application/x-ndjson ou un tableau application/json.');
+  }
+}
+
+// Valide puis crée ou met à jour une potion (clé : name + vendor_id). Renvoie la ligne du rapport.
+async function importRecord(record, req) {
+  const { user } = req;
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { status: 'rejected', errors: [fieldError('', 'Chaque enregistrement doit être un objet.', record)] };
+  }
+  if (user.role === 'vendor') {
+    if (record.vendor_id !== undefined && record.vendor_id !== user.vendor_id) {
+      return { status: 'rejected', errors: [fieldError('vendor_id', 'Un vendeur ne peut gérer que ses propres potions.', record.vendor_id)] };
+    }
+    record.vendor_id = user.vendor_id;
+  }
+
+  const { body, errors } = await validateDocument(potionRules, record);
+  if (errors.length) return { status: 'rejected', errors };
+
+  try {
+    // Corbeille comprise : une potion supprimée garde sa clé jusqu'à la purge
+    const existing = await Potion.findOne({ name: body.name, vendor_id: body.vendor_id }).setOptions({ withDeleted: true });
+    if (existing?.deletedAt) {
+      return { status: 'rejected', errors: [fieldError('name', 'Une potion de même nom et vendeur est dans la corbeille : restaurez-la avant de l’importer.', body.name)] };
+    }
+    if (existing) {
+      if (!canManagePotion(user, existing)) {
+        return { status: 'rejected', errors: [fieldError('vendor_id', 'Un vendeur ne peut gérer que ses propres potions.', body.vendor_id)] };
+      }
+      const before = potionSnapshot(existing);
+      existing.replaceWith(body);
+      await existing.save();
+      await recordPotionChange(req, 'update', existing, before, { source: 'import' });
+      return { status: 'updated', id: existing._id };
+    }
+    const created = await Potion.create(body);
+    await recordPotionChange(req, 'create', created, null, { source: 'import' });
+    return { status: 'created', id: created._id };
+  } catch (err) {
+    const fieldErrors = mongooseErrors(err);
+    if (!fieldErrors) throw err;
+    return { status: 'rejected', errors: fieldErrors };
+  }
+}
+
+/**
+ * Importe le corps de la requête et renvoie le rapport
+ * { created, updated, rejected, truncated, rows: [{ row, status, id?, errors? }] }.
+ */
+async function importPotions(req) {
+  const report = { created: 0, updated: 0, rejected: 0, truncated: false, rows: [] };
+  let row = 0;
+
+  try {
+    for await (const { value, error } of readRecords(req)) {
+      if (++row > MAX_IMPORT_ROWS) {
+        report.truncated = true;
+        break;
+      }
+      const result = error
+        ? { status: 'rejected', errors: [fieldError('', error)] }
+        : await importRecord(value, req);
+      report[result.status]++;
+      report.rows.push({ row, ...result });
+    }
+  } catch (err) {
+    if (err.status) throw err;
+    // Flux illisible (CSV mal formé, JSON tronqué...) : on s'arrête et on le signale dans le rapport
+    report.rejected++;
+    report.rows.push({ row: row + 1, status: 'rejected', errors: [fieldError('', `Lecture interrompue : ${err.message}`)] });
+  }
+
+  // Le reste du corps n'est plus lu : on le vide pour libérer la connexion
+  req.resume();
+  return report;
+}
+
+async function write(res, chunk) {
+  if (!res.write(chunk)) await once(res, 'drain');
+}
+
+/**
+ * Exporte en flux les potions correspondant aux filtres de GET /potions (format : csv, ndjson ou json).
+ */
+async function exportPotions(query, res) {
+  const format = query.format || 'json';
+  if (!FORMATS[format]) throw badRequest('Format inconnu. Utilisez csv, ndjson ou json.');
+  const filter = parseFilters(query);
+  const sort = parseSort(query.sort);
+
+  res.set('Content-Type', FORMATS[format]);
+  res.set('Content-Disposition', `attachment; filename="potions.${format}"`);
+
+  const cursor = Potion.find(filter, EXPORT_PROJECTION).sort(sort).lean().cursor();
+  let first = true;
+
+  if (format === 'csv') await write(res, CSV_COLUMNS.join(',') + '\n');
+  if (format === 'json') await write(res, '[');
+
+  for await (const potion of cursor) {
+    if (format === 'csv') await write(res, toCsvRow(potion) + '\n');
+    else if (format === 'ndjson') await write(res, JSON.stringify(potion) + '\n');
+    else await write(res, (first ? '' : ',') + JSON.stringify(potion));
+    first = false;
+  }
+
+  if (format === 'json') await write(res, ']');
+  res.end();
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  importPotions,
+  exportPotions,
+  fromCsvRow,
+  toCsvRow
+};
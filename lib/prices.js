@@ -0,0 +1,132 @@
+const PriceHistory = require('../model/priceHistory');
+const PriceAlert = require('../model/priceAlert');
+const potionEvents = require('./potionEvents');
+const { notify } = require('./notifications');
+const { parseDate } = require('./analyticsTimeseries');
+const { badRequest } = require('./potionQuery');
+
+// Historique des prix et alertes de baisse, alimentés par les événements de lib/potionEvents.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Enregistre le prix à la création et à chaque changement, puis déclenche les alertes en cas de baisse
+async function onPotionChange({ action, potionId, before, after, actor }) {
+  const previousPrice = before?.price ?? null;
+  if (action !== 'create' && after.price === previousPrice) return;
+  await PriceHistory.create({
+    potion: potionId,
+    price: after.price,
+    previousPrice: previousPrice ?? undefined,
+    changedBy: actor?.id
+  });
+  if (previousPrice !== null && after.price < previousPrice) {
+    await triggerAlerts(potionId, after.name, previousPrice, after.price);
+  }
+}
+
+/**
+ * Déclenche les alertes actives dont le prix cible est atteint et prévient leurs abonnés.
+ * Chaque alerte est désactivée avant l'envoi : elle ne part qu'une fois, même en cas d'écritures concurrentes.
+ */
+async function triggerAlerts(potionId, name, previousPrice, price) {
+  const alerts = await PriceAlert.find({ potion: potionId, active: true });
+  for (const alert of alerts) {
+    if (price > alert.targetPrice()) continue;
+    const claimed = await PriceAlert.updateOne(
+      { _id: alert._id, active: true },
+      { $set: { active: false, triggeredAt: new Date(), triggeredPrice: price } }
+    );
+    if (!claimed.modifiedCount) continue;
+    await notify({
+      user: alert.user,
+      type: 'price_alert',
+      title: `Baisse de prix : ${name}`,
+      message: `Le prix de ${name} est passé de ${previousPrice} à ${price}.`,
+      data: { potion: potionId, alert: alert._id, previousPrice, price }
+    });
+  }
+}
+
+let watching = false;
+
+/**
+ * Abonne l'historique des prix aux écritures sur les potions (une seule fois par processus).
+ */
+function watchPrices() {
+  if (watching) return;
+  watching = true;
+  potionEvents.on('change', event => {
+    onPotionChange(event).catch(err => console.error('Historique des prix :', err));
+  });
+}
+
+/**
+ * Historique des prix d'une potion sur [from, to] (par défaut les 90 derniers jours).
+ * Renvoie { potion, price, from, to, min, max, average, data } : min et max portent sur les prix en vigueur
+ * pendant la période, average est pondéré par leur durée ; data liste les changements de la période.
+ */
+async function priceHistory(potion, query) {
+  const now = new Date();
+  const to = parseDate(query.to, 'to', now);
+  const from = parseDate(query.from, 'from', new Date(to.getTime() - 90 * DAY));
+  if (from > to) throw badRequest('from doit être antérieur ou égal à to.');
+
+  const [opening, changes] = await Promise.all([
+    PriceHistory.findOne({ potion: potion._id, changedAt: { $lt: from } }).sort({ changedAt: -1 }).lean(),
+    PriceHistory.find({ potion: potion._id, changedAt: { $gte: from, $lte: to } }, '-potion').sort({ changedAt: 1 }).lean()
+  ]);
+
+  // Prix en vigueur au début de la période ; sans historique (potions antérieures au suivi), le prix actuel
+  let start = from;
+  let openingPrice = opening?.price ?? changes[0]?.previousPrice;
+  if (openingPrice === undefined) {
+    if (changes.length) start = changes[0].changedAt;
+    else openingPrice = potion.price;
+  }
+
+  const end = to < now ? to : now;
+  const segments = openingPrice === undefined ? [] : [{ price: openingPrice, at: start }];
+  for (const change of changes) segments.push({ price: change.price, at: change.changedAt });
+
+  let weighted = 0;
+  let duration = 0;
+  segments.forEach((segment, i) => {
+    const until = i + 1 < segments.length ? segments[i + 1].at : end;
+    const length = Math.max(until - segment.at, 0);
+    weighted += segment.price * length;
+    duration += length;
+  });
+  const prices = segments.map(segment => segment.price);
+
+  return {
+    potion: potion._id,
+    price: potion.price,
+    from,
+    to,
+    min: prices.length ? Math.min(...prices) : null,
+    max: prices.length ? Math.max(...prices) : null,
+    average: duration ? round(weighted / duration) : (prices.length ? prices[prices.length - 1] : null),
+    data: changes
+  };
+}
+
+/**
+ * Supprime l'historique et les alertes des potions purgées.
+ */
+async function deletePriceData(potionIds) {
+  await Promise.all([
+    PriceHistory.deleteMany({ potion: { $in: potionIds } }),
+    PriceAlert.deleteMany({ potion: { $in: potionIds } })
+  ]);
+}
+
+module.exports = {
+  watchPrices,
+  priceHistory,
+  triggerAlerts,
+  deletePriceData
+};
@@ -0,0 +1,130 @@
+const RateLimitCounter = require('../model/rateLimitCounter');
+const { TooManyRequestsError } = require('./errors');
+
+// Quotas de requêtes par fenêtre fixe : une requête qui présente une clé d'API consomme le quota de la clé,
+// les autres celui de leur IP. Les réponses portent les en-têtes RateLimit-* (draft IETF httpapi-ratelimit-headers).
+
+const MINUTE = 60 * 1000;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// limits : nombre de requêtes par fenêtre, par clé d'API (key) ou par IP (ip) ; une politique sans limite par clé
+// compte toujours l'IP. appliesTo (facultatif) restreint la politique aux requêtes concernées.
+const POLICIES = {
+  api: {
+    prefix: 'api',
+    windowMs: MINUTE,
+    limits: {
+      key: envNumber('RATE_LIMIT_KEY_PER_MINUTE', 600),
+      ip: envNumber('RATE_LIMIT_IP_PER_MINUTE', 300)
+    }
+  },
+  // Présentation d'une clé d'API, comptée par IP avant sa vérification : essayer des clés au hasard
+  // (et la lecture en base de chaque essai) reste limité
+  apiKeyAttempts: {
+    prefix: 'api-key-attempts',
+    windowMs: MINUTE,
+    appliesTo: req => req.get('X-API-Key') !== undefined,
+    limits: {
+      ip: envNumber('API_KEY_ATTEMPTS_IP_PER_MINUTE', 600)
+    }
+  },
+  // Agrégations coûteuses de /analytics : quota propre, qui s'ajoute au précédent
+  analytics: {
+    prefix: 'analytics',
+    windowMs: MINUTE,
+    limits: {
+      key: envNumber('ANALYTICS_RATE_LIMIT_KEY_PER_MINUTE', 60),
+      ip: envNumber('ANALYTICS_RATE_LIMIT_IP_PER_MINUTE', 30)
+    }
+  }
+};
+
+/**
+ * Stockage des compteurs en mémoire (tests, instance unique).
+ * Interface commune : increment(key, { windowMs, now }) -> { count, resetAt }.
+ */
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async increment(key, { windowMs, now }) {
+    const counter = this.counters.get(key);
+    const next = counter && counter.resetAt.getTime() > now
+      ? { count: counter.count + 1, resetAt: counter.resetAt }
+      : { count: 1, resetAt: new Date(now + windowMs) };
+    this.counters.set(key, next);
+    return { ...next };
+  }
+}
+
+// Stockage MongoDB (par défaut) : compteurs partagés entre les instances de l'API, incrément atomique
+class MongoStore {
+  increment(key, { windowMs, now }) {
+    const current = { $gt: [{ $ifNull: ['$resetAt', null] }, new Date(now)] };
+    return RateLimitCounter.findOneAndUpdate({ key }, [{
+      $set: {
+        count: { $cond: [current, { $add: ['$count', 1] }, 1] },
+        resetAt: { $cond: [current, '$resetAt', new Date(now + windowMs)] }
+      }
+    }], { upsert: true, new: true, lean: true });
+  }
+}
+
+let store = new MongoStore();
+
+// Permet de remplacer le stockage (ex. new MemoryStore() dans les tests)
+function useStore(newStore) {
+  store = newStore;
+}
+
+// Client compté : la clé d'API identifiée par identifyApiKey, sinon l'IP
+function clientOf(req) {
+  return req.user?.apiKey ? ['key', req.user.apiKey.id] : ['ip', req.ip];
+}
+
+// Une requête soumise à plusieurs politiques annonce celle qui lui laisse le moins de requêtes
+function setHeaders(res, quota) {
+  const shown = res.locals.rateLimit;
+  if (shown && shown.remaining <= quota.remaining) return;
+  res.locals.rateLimit = quota;
+  res.set({
+    'RateLimit-Policy': `${quota.limit};w=${quota.window}`,
+    'RateLimit-Limit': String(quota.limit),
+    'RateLimit-Remaining': String(quota.remaining),
+    'RateLimit-Reset': String(quota.reset)
+  });
+}
+
+/**
+ * Middleware : compte la requête dans la politique donnée et lève TooManyRequestsError (429 + Retry-After)
+ * une fois le quota de la fenêtre dépassé.
+ */
+function rateLimit(policy) {
+  return async (req, res, next) => {
+    if (policy.appliesTo && !policy.appliesTo(req)) return next();
+    const [kind, id] = policy.limits.key ? clientOf(req) : ['ip', req.ip];
+    const limit = policy.limits[kind];
+    const now = Date.now();
+    const { count, resetAt } = await store.increment(`${policy.prefix}:${kind}:${id}`, { windowMs: policy.windowMs, now });
+    const reset = Math.max(Math.ceil((resetAt.getTime() - now) / 1000), 1);
+
+    setHeaders(res, { limit, remaining: Math.max(limit - count, 0), reset, window: policy.windowMs / 1000 });
+    if (count > limit) {
+      throw new TooManyRequestsError(`Quota de ${limit} requêtes par ${policy.windowMs / 1000} s dépassé, réessayez plus tard.`, reset);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  POLICIES,
+  MemoryStore,
+  MongoStore,
+  useStore,
+  rateLimit
+};
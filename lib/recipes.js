@@ -0,0 +1,147 @@
+const Potion = require('../model/potion');
+const Ingredient = require('../model/ingredient');
+const { parseFilters, toList, badRequest } = require('./potionQuery');
+
+// Requêtes sur les recettes : potions réalisables avec un inventaire, coût de revient, ingrédients les plus utilisés.
+
+// Unité -> [unité de base, facteur] : seules les unités de même base sont convertibles entre elles
+const UNIT_BASES = {
+  g: ['g', 1],
+  kg: ['g', 1000],
+  ml: ['ml', 1],
+  l: ['ml', 1000],
+  goutte: ['goutte', 1],
+  pincée: ['pincée', 1],
+  pièce: ['pièce', 1]
+};
+
+/**
+ * Convertit une quantité d'une unité à l'autre ; null si les unités ne sont pas compatibles.
+ */
+function convert(quantity, from, to) {
+  if (from === to) return quantity;
+  const [fromBase, fromFactor] = UNIT_BASES[from] || [];
+  const [toBase, toFactor] = UNIT_BASES[to] || [];
+  if (!fromBase || fromBase !== toBase) return null;
+  return (quantity * fromFactor) / toFactor;
+}
+
+/**
+ * Coût de revient d'une potion à partir du catalogue : une ligne par ingrédient.
+ * complete est faux si une quantité, une unité compatible ou une fiche du catalogue manque ;
+ * cost ne somme alors que les lignes calculables.
+ */
+async function costOfGoods(potion) {
+  const names = (potion.ingredients || []).map(i => i.name);
+  const catalogue = new Map((await Ingredient.find({ name: { $in: names } }).lean()).map(i => [i.name, i]));
+
+  const lines = (potion.ingredients || []).map(({ name, quantity, unit }) => {
+    const line = { name, quantity: quantity ?? null, unit: unit ?? null, unitCost: null, cost: null };
+    const entry = catalogue.get(name);
+    if (!entry) return { ...line, problem: 'Ingrédient absent du catalogue.' };
+    line.unitCost = entry.unitCost;
+    line.catalogueUnit = entry.unit;
+    if (quantity === undefined || quantity === null) return { ...line, problem: 'Quantité non renseignée.' };
+
+    const converted = convert(quantity, unit || entry.unit, entry.unit);
+    if (converted === null) return { ...line, problem: `Unité ${unit} non convertible en ${entry.unit}.` };
+    return { ...line, cost: converted * entry.unitCost };
+  });
+
+  const cost = lines.reduce((sum, line) => sum + (line.cost ?? 0), 0);
+  const margin = potion.price - cost;
+  return {
+    potion: potion._id,
+    name: potion.name,
+    price: potion.price,
+    cost,
+    margin,
+    marginRate: potion.price > 0 ? margin / potion.price : null,
+    complete: lines.every(line => line.cost !== null),
+    lines
+  };
+}
+
+// Nombre de fois où l'inventaire permet la recette : 0 si une quantité connue ne suffit pas,
+// null si une quantité manque d'un côté ou de l'autre
+function batches(potion, inventory) {
+  let result = Infinity;
+  let unknown = false;
+  for (const { name, quantity, unit } of potion.ingredients) {
+    const stock = inventory.get(name);
+    if (quantity === undefined || quantity === null || stock.quantity === undefined) {
+      unknown = true;
+      continue;
+    }
+    if (quantity === 0) continue;
+    // Sans unité d'un côté, les deux quantités sont supposées dans la même unité
+    const available = convert(stock.quantity, stock.unit || unit, unit || stock.unit);
+    if (available === null) return 0;
+    result = Math.min(result, Math.floor(available / quantity));
+  }
+  if (result === 0) return 0;
+  return unknown || result === Infinity ? null : result;
+}
+
+/**
+ * Potions dont tous les ingrédients figurent dans l'inventaire (et en quantité suffisante quand les
+ * quantités sont connues). `query` accepte les filtres de GET /potions et limit (100 au plus).
+ * Renvoie { data: [{ ...potion, batches }], total }, les potions les plus réalisables en premier.
+ */
+async function brewable(items, query) {
+  const inventory = new Map();
+  for (const item of items) {
+    if (inventory.has(item.name)) throw badRequest(`Ingrédient en double dans l'inventaire : ${item.name}.`);
+    inventory.set(item.name, item);
+  }
+  const limit = query.limit === undefined ? 20 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) throw badRequest('limit doit être un entier entre 1 et 100.');
+
+  // Aucun ingrédient hors de l'inventaire, et au moins un ingrédient
+  const filter = {
+    ...parseFilters(query),
+    'ingredients.0': { $exists: true },
+    ingredients: { $not: { $elemMatch: { name: { $nin: [...inventory.keys()] } } } }
+  };
+  const candidates = await Potion.find(filter).sort({ name: 1, _id: 1 }).lean();
+
+  const results = candidates
+    .map(potion => ({ ...potion, batches: batches(potion, inventory) }))
+    .filter(potion => potion.batches !== 0)
+    .sort((a, b) => (b.batches ?? -1) - (a.batches ?? -1));
+  return { data: results.slice(0, limit), total: results.length };
+}
+
+/**
+ * Ingrédients les plus utilisés par catégorie (nombre de potions), `top` par catégorie.
+ */
+async function topIngredientsByCategory(query) {
+  const top = query.top === undefined ? 5 : Number(query.top);
+  if (!Number.isInteger(top) || top < 1 || top > 50) throw badRequest('top doit être un entier entre 1 et 50.');
+  const categories = toList(query.category);
+
+  const match = parseFilters(query);
+  const pipeline = [];
+  if (Object.keys(match).length) pipeline.push({ $match: match });
+  pipeline.push(
+    { $unwind: '$categories' },
+    ...(categories.length ? [{ $match: { categories: { $in: categories } } }] : []),
+    { $unwind: '$ingredients' },
+    // Une potion qui cite deux fois le même ingrédient ne compte qu'une fois
+    { $group: { _id: { category: '$categories', ingredient: '$ingredients.name', potion: '$_id' } } },
+    { $group: { _id: { category: '$_id.category', ingredient: '$_id.ingredient' }, potions: { $sum: 1 } } },
+    { $sort: { '_id.category': 1, potions: -1, '_id.ingredient': 1 } },
+    { $group: { _id: '$_id.category', ingredients: { $push: { name: '$_id.ingredient', potions: '$potions' } } } },
+    { $project: { _id: 0, category: '$_id', ingredients: { $slice: ['$ingredients', top] } } },
+    { $sort: { category: 1 } }
+  );
+  return Potion.aggregate(pipeline);
+}
+
+module.exports = {
+  UNIT_BASES,
+  convert,
+  costOfGoods,
+  brewable,
+  topIngredientsByCategory
+};
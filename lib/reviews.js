@@ -0,0 +1,149 @@
+const Potion = require('../model/potion');
+const Review = require('../model/review');
+const potionEvents = require('./potionEvents');
+
+// Note des potions calculée à partir des avis visibles, par moyenne bayésienne :
+//   (C × m + somme des notes) / (C + nombre de notes)
+// m est la moyenne de tous les avis visibles (le milieu de l'échelle s'il n'y en a aucun) et C le
+// nombre d'avis "fictifs" à cette moyenne : une potion avec peu d'avis reste proche de la moyenne générale.
+
+const PRIOR_WEIGHT = Number(process.env.REVIEW_PRIOR_WEIGHT) || 5;
+const DEFAULT_PRIOR = (Potion.SCORE_RANGE.min + Potion.SCORE_RANGE.max) / 2;
+
+function bayesian(sum, count, prior) {
+  return (PRIOR_WEIGHT * prior + sum) / (PRIOR_WEIGHT + count);
+}
+
+// Somme et nombre de notes renseignées pour un champ
+function sumAndCount(field) {
+  return {
+    [`${field}Sum`]: { $sum: { $ifNull: [`$${field}`, 0] } },
+    [`${field}Count`]: { $sum: { $cond: [{ $isNumber: `$${field}` }, 1, 0] } }
+  };
+}
+
+const GROUP = {
+  ...sumAndCount('score'),
+  ...sumAndCount('ratings.strength'),
+  ...sumAndCount('ratings.flavor')
+};
+
+// Les clés de $group ne peuvent pas contenir de point
+function groupStage(id) {
+  const group = { _id: id };
+  for (const [key, accumulator] of Object.entries(GROUP)) group[key.replace('ratings.', '')] = accumulator;
+  return { $group: group };
+}
+
+// Moyennes de tous les avis visibles, servant d'a priori
+async function priors() {
+  const [totals] = await Review.aggregate([{ $match: { hidden: false } }, groupStage(null)]);
+  const mean = (sum, count) => (count ? sum / count : DEFAULT_PRIOR);
+  return {
+    score: mean(totals?.scoreSum, totals?.scoreCount),
+    strength: mean(totals?.strengthSum, totals?.strengthCount),
+    flavor: mean(totals?.flavorSum, totals?.flavorCount)
+  };
+}
+
+// Sans avis visible, la potion reprend les valeurs du vendeur gardées dans reviewStats.base ; sans base
+// (potion notée avant qu'elle existe), elle garde les dernières valeurs calculées
+function restored(field) {
+  return {
+    $cond: [
+      { $eq: [{ $type: '$reviewStats.base' }, 'object'] },
+      { $ifNull: [`$reviewStats.base.${field}`, '$$REMOVE'] },
+      `$${field}`
+    ]
+  };
+}
+
+// Mise à jour en pipeline : elle lit la potion pour garder (premier avis) ou rendre (plus d'avis) les valeurs du vendeur.
+// La représentation change : nouvelle version, donc nouvel ETag
+function statsUpdate(totals, prior) {
+  const version = { $add: [{ $ifNull: ['$__v', 0] }, 1] };
+  if (!totals?.scoreCount) {
+    return [{
+      $set: {
+        reviewStats: { $literal: { count: 0 } },
+        score: restored('score'),
+        ratings: restored('ratings'),
+        __v: version
+      }
+    }];
+  }
+  const average = (sum, count) => (count ? sum / count : null);
+  const reviewStats = {
+    count: totals.scoreCount,
+    averageScore: average(totals.scoreSum, totals.scoreCount),
+    averageStrength: average(totals.strengthSum, totals.strengthCount),
+    averageFlavor: average(totals.flavorSum, totals.flavorCount),
+    score: bayesian(totals.scoreSum, totals.scoreCount, prior.score),
+    strength: bayesian(totals.strengthSum, totals.strengthCount, prior.strength),
+    flavor: bayesian(totals.flavorSum, totals.flavorCount, prior.flavor)
+  };
+  // Premier avis visible : les valeurs du vendeur sont mises de côté
+  const base = {
+    $cond: [
+      { $gt: [{ $ifNull: ['$reviewStats.count', 0] }, 0] },
+      '$reviewStats.base',
+      { score: '$score', ratings: '$ratings' }
+    ]
+  };
+  return [{
+    $set: {
+      reviewStats: { $mergeObjects: [{ $literal: reviewStats }, { base }] },
+      score: reviewStats.score,
+      ratings: { $literal: { strength: reviewStats.strength, flavor: reviewStats.flavor } },
+      __v: version
+    }
+  }];
+}
+
+/**
+ * Recalcule reviewStats, score et ratings d'une potion après une modification de ses avis.
+ */
+async function recomputePotionRating(potionId) {
+  const [prior, [totals]] = await Promise.all([
+    priors(),
+    Review.aggregate([{ $match: { potion: potionId, hidden: false } }, groupStage(null)])
+  ]);
+  await Potion.updateOne({ _id: potionId }, statsUpdate(totals, prior));
+  potionEvents.emit('rating', { potionId });
+}
+
+/**
+ * Recalcule la note de toutes les potions ayant (ou ayant eu) des avis. La moyenne générale
+ * évolue avec chaque avis : ce recalcul complet remet toutes les notes sur le même a priori.
+ * Renvoie le nombre de potions mises à jour.
+ */
+async function recomputeAllRatings() {
+  const prior = await priors();
+  const rows = await Review.aggregate([{ $match: { hidden: false } }, groupStage('$potion')]);
+  const reviewed = new Set(rows.map(row => String(row._id)));
+
+  const updates = rows.map(row => ({ updateOne: { filter: { _id: row._id }, update: statsUpdate(row, prior) } }));
+  const orphans = await Potion.find({ 'reviewStats.count': { $gt: 0 } }, '_id').setOptions({ withDeleted: true }).lean();
+  for (const { _id } of orphans) {
+    if (!reviewed.has(String(_id))) updates.push({ updateOne: { filter: { _id }, update: statsUpdate(null, prior) } });
+  }
+  if (updates.length) await Potion.bulkWrite(updates);
+  return updates.length;
+}
+
+/**
+ * Supprime les avis d'un utilisateur (compte supprimé) et recalcule la note des potions concernées.
+ */
+async function deleteUserReviews(userId) {
+  const potionIds = await Review.distinct('potion', { user: userId });
+  await Review.deleteMany({ user: userId });
+  for (const potionId of potionIds) await recomputePotionRating(potionId);
+  return potionIds.length;
+}
+
+module.exports = {
+  PRIOR_WEIGHT,
+  recomputePotionRating,
+  deleteUserReviews,
+  recomputeAllRatings
+};
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Potion = require('../model/potion');
+const Vendor = require('../model/vendor');
+const Ingredient = require('../model/ingredient');
+const User = require('../model/user');
+const Review = require('../model/review');
+const { recomputeAllRatings } = require('./reviews');
+
+// Jeu de données fictif et déterministe : une même graine et une même taille donnent toujours
+// les mêmes vendeurs, ingrédients, potions, utilisateurs et avis (dates comprises).
+
+const DEFAULT_SIZE = 50;
+const MAX_SIZE = 100000;
+const DEFAULT_SEED = 42;
+
+// Dates d'essai et d'avis réparties sur l'année qui précède cette date
+const REFERENCE_DATE = Date.UTC(2025, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+// Mot de passe de tous les comptes générés (conforme à la politique par défaut)
+const SEED_PASSWORD = 'Potions2025';
+
+const VENDOR_NAMES = [
+  'Échoppe du marais', 'Comptoir des brumes', 'Alambic d’argent', 'Chaudron doré', 'Herboristerie des saules',
+  'Fioles et grimoires', 'La mandragore rieuse', 'Distillerie lunaire', 'Officine du vieux pont', 'Atelier des sept sources'
+];
+const CITIES = ['Brocéliande', 'Avalon', 'Carnac', 'Lutèce', 'Tintagel', 'Ys'];
+
+// [nom, unité, coût unitaire, rareté]
+const INGREDIENTS = [
+  ['mandragore', 'g', 0.5, 'peu commun'],
+  ['bave de crapaud', 'ml', 0.1, 'commun'],
+  ['aile de chauve-souris', 'pièce', 2, 'commun'],
+  ['poudre de lune', 'pincée', 4, 'rare'],
+  ['essence de phénix', 'goutte', 25, 'légendaire'],
+  ['racine de valériane', 'g', 0.2, 'commun'],
+  ['écaille de dragon', 'pièce', 40, 'légendaire'],
+  ['rosée du matin', 'ml', 0.3, 'commun'],
+  ['champignon lumineux', 'pièce', 1.5, 'peu commun'],
+  ['sel de roche', 'g', 0.05, 'commun'],
+  ['plume de griffon', 'pièce', 12, 'rare'],
+  ['miel sauvage', 'ml', 0.4, 'commun'],
+  ['ortie', 'g', 0.1, 'commun'],
+  ['larme de sirène', 'goutte', 8, 'rare'],
+  ['sang de troll', 'ml', 3, 'peu commun']
+];
+
+// Quantités plausibles par unité
+const QUANTITIES = { g: [5, 100], ml: [5, 250], pièce: [1, 4], pincée: [1, 3], goutte: [1, 10] };
+
+const POTION_KINDS = ['Élixir', 'Philtre', 'Potion', 'Tonique', 'Décoction', 'Onguent', 'Breuvage', 'Infusion'];
+const POTION_EFFECTS = [
+  'de vigueur', 'de sommeil', 'd’invisibilité', 'de rapidité', 'de protection', 'd’amour', 'de chance',
+  'de clairvoyance', 'de force', 'de guérison', 'des marées', 'du dragon', 'de feu', 'de glace', 'de métamorphose'
+];
+const COMMENTS = [
+  'Excellent, je recommande.', 'Goût un peu amer mais efficace.', 'Aucun effet notable.',
+  'Parfait avant un long voyage.', 'Trop cher pour ce que c’est.', 'Effet immédiat, bluffant.', null
+];
+
+// Générateur pseudo-aléatoire reproductible (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: list => list[Math.floor(next() * list.length)],
+    // count éléments distincts, sans recopier la liste (elle peut contenir tout le catalogue)
+    sample: (list, count) => {
+      const indexes = new Set();
+      while (indexes.size < Math.min(count, list.length)) indexes.add(Math.floor(next() * list.length));
+      return [...indexes].map(i => list[i]);
+    },
+    // Nombre arrondi au pas donné (0.5 pour les notes, 0.01 pour les prix)
+    round: (min, max, step) => Number((Math.round((min + next() * (max - min)) / step) * step).toFixed(2)),
+    date: days => new Date(REFERENCE_DATE - Math.floor(next() * days * DAY))
+  };
+}
+
+// Identifiant déterministe : les potions et utilisateurs gardent le même _id d'un seed à l'autre
+function objectId(prefix, index) {
+  return new mongoose.Types.ObjectId(`${prefix}${index.toString(16).padStart(24 - prefix.length, '0')}`);
+}
+
+function parseSize(value) {
+  const size = value === undefined ? DEFAULT_SIZE : Number(value);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_SIZE) {
+    throw new Error(`La taille doit être un entier entre 1 et ${MAX_SIZE}.`);
+  }
+  return size;
+}
+
+/**
+ * Construit le jeu de données sans rien écrire : { vendors, ingredients, potions, users, reviews }.
+ * `size` est le nombre de potions ; les nombres de vendeurs, clients et avis en découlent.
+ */
+function buildDataset({ size = DEFAULT_SIZE, seed = DEFAULT_SEED } = {}) {
+  const random = createRandom(seed);
+  const vendorCount = Math.min(Math.max(3, Math.ceil(size / 10)), 100);
+  const customerCount = Math.max(5, Math.ceil(size / 5));
+
+  const vendors = Array.from({ length: vendorCount }, (_, i) => {
+    const base = VENDOR_NAMES[i % VENDOR_NAMES.length];
+    const round = Math.floor(i / VENDOR_NAMES.length);
+    return {
+      _id: `vendor-${i + 1}`,
+      name: round ? `${base} ${round + 1}` : base,
+      description: `Boutique de potions fondée à ${random.pick(CITIES)}.`,
+      location: { city: random.pick(CITIES), country: 'France' },
+      contact: { email: `contact@vendor-${i + 1}.potions.local` }
+    };
+  });
+
+  const ingredients = INGREDIENTS.map(([name, unit, unitCost, rarity]) => ({
+    name,
+    unit,
+    unitCost,
+    rarity,
+    toxic: name === 'sang de troll'
+  }));
+
+  const potions = Array.from({ length: size }, (_, i) => {
+    const recipe = random.sample(INGREDIENTS, random.int(1, 4)).map(([name, unit]) => {
+      const [min, max] = QUANTITIES[unit];
+      return { name, quantity: random.int(min, max), unit };
+    });
+    const kind = random.pick(POTION_KINDS);
+    const effect = random.pick(POTION_EFFECTS);
+    return {
+      _id: objectId('5eed', i + 1),
+      // Le numéro garantit l'unicité de name + vendor_id (clé de l'import)
+      name: `${kind} ${effect} n°${i + 1}`,
+      price: random.round(1, 200, 0.01),
+      score: random.round(0, 5, 0.5),
+      ratings: { strength: random.round(0, 5, 0.5), flavor: random.round(0, 5, 0.5) },
+      ingredients: recipe,
+      categories: random.sample(Potion.CATEGORIES, random.int(1, 3)),
+      tryDate: random.date(365),
+      vendor_id: random.pick(vendors)._id
+    };
+  });
+
+  const users = [
+    { _id: objectId('a0', 1), username: 'admin', email: 'admin@potions.local', emailVerified: true, role: 'admin' },
+    { _id: objectId('a0', 2), username: 'moderateur', email: 'moderateur@potions.local', emailVerified: true, role: 'moderator' },
+    ...vendors.map((vendor, i) => ({
+      _id: objectId('b0', i + 1),
+      username: `vendeur${i + 1}`,
+      email: `vendeur${i + 1}@potions.local`,
+      emailVerified: true,
+      role: 'vendor',
+      vendor_id: vendor._id
+    })),
+    ...Array.from({ length: customerCount }, (_, i) => ({
+      _id: objectId('c0', i + 1),
+      username: `client${i + 1}`,
+      email: `client${i + 1}@potions.local`,
+      emailVerified: random.next() < 0.8,
+      role: 'customer'
+    }))
+  ];
+
+  // Chaque client note une partie du catalogue, au plus une fois par potion
+  const reviews = [];
+  for (const customer of users.filter(user => user.role === 'customer')) {
+    for (const potion of random.sample(potions, random.int(0, Math.min(10, potions.length)))) {
+      const createdAt = random.date(180);
+      reviews.push({
+        potion: potion._id,
+        user: customer._id,
+        score: random.int(1, 5),
+        ratings: { strength: random.int(0, 5), flavor: random.int(0, 5) },
+        comment: random.pick(COMMENTS) ?? undefined,
+        createdAt,
+        updatedAt: createdAt
+      });
+    }
+  }
+
+  return { vendors, ingredients, potions, users, reviews };
+}
+
+/**
+ * Écrit le jeu de données dans une base vide (lancer reset avant sinon) puis calcule les notes des potions
+ * à partir des avis. Renvoie le nombre de documents créés par collection.
+ */
+async function seedDatabase({ size, seed } = {}) {
+  const existing = await Promise.all([Vendor, Potion, User].map(model => model.estimatedDocumentCount()));
+  if (existing.some(count => count > 0)) {
+    throw new Error('La base contient déjà des données : lancez reset (ou seed --reset) avant de la remplir.');
+  }
+
+  const dataset = buildDataset({ size: parseSize(size), seed: seed === undefined ? DEFAULT_SEED : Number(seed) });
+
+  await Vendor.insertMany(dataset.vendors);
+  await Ingredient.insertMany(dataset.ingredients);
+  await Potion.insertMany(dataset.potions);
+  // insertMany ne déclenche pas le hook save qui hashe le mot de passe : le même hash sert à tous les comptes
+  const password = await bcrypt.hash(SEED_PASSWORD, 10);
+  await User.insertMany(dataset.users.map(user => ({ ...user, password })));
+  await Review.insertMany(dataset.reviews, { timestamps: false });
+  await recomputeAllRatings();
+
+  return {
+    vendors: dataset.vendors.length,
+    ingredients: dataset.ingredients.length,
+    potions: dataset.potions.length,
+    users: dataset.users.length,
+    reviews: dataset.reviews.length
+  };
+}
+
+/**
+ * Supprime toute la base puis recrée les index de tous les modèles.
+ */
+async function resetDatabase() {
+  // Tous les modèles doivent être chargés pour que syncIndexes recrée leurs index
+  const models = path.join(__dirname, '..', 'model');
+  fs.readdirSync(models).filter(file => file.endsWith('.js')).forEach(file => require(path.join(models, file)));
+
+  await mongoose.connection.dropDatabase();
+  await mongoose.syncIndexes();
+}
+
+module.exports = {
+  DEFAULT_SIZE,
+  DEFAULT_SEED,
+  SEED_PASSWORD,
+  buildDataset,
+  seedDatabase,
+  resetDatabase
+};
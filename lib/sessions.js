@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../model/session');
+const User = require('../model/user');
+const { UnauthorizedError } = require('./errors');
+
+// Jetons d'accès courts (JWT) + refresh tokens tournants stockés en base (hashés).
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const REFRESH_TOKEN_MAX_AGE = REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000;
+
+// lastSeenAt n'est réécrit qu'au plus une fois par minute
+const LAST_SEEN_THROTTLE = 60 * 1000;
+
+function unauthorized(message) {
+  return new UnauthorizedError(message, { code: 'invalid_refresh_token' });
+}
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { id: user._id, username: user.username, role: user.role, vendor_id: user.vendor_id, sid: session._id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Le refresh token transporte l'id de session pour éviter une recherche par hash
+function refreshTokenFor(session, secret) {
+  return `${session._id}.${secret}`;
+}
+
+function parseRefreshToken(token) {
+  const [sessionId, secret] = typeof token === 'string' ? token.split('.') : [];
+  if (!sessionId || !secret || !/^[0-9a-f]{24}$/.test(sessionId)) throw unauthorized('Refresh token invalide.');
+  return { sessionId, secret };
+}
+
+/**
+ * Ouvre une session pour l'utilisateur connecté et renvoie ses deux jetons.
+ */
+async function createSession(user, { userAgent, ip } = {}) {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE)
+  });
+  return { session, accessToken: signAccessToken(user, session), refreshToken: refreshTokenFor(session, secret) };
+}
+
+async function revokeSession(session, reason) {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+}
+
+/**
+ * Échange un refresh token contre une nouvelle paire de jetons.
+ * Un refresh token déjà utilisé (donc volé ou rejoué) révoque toute la session.
+ */
+async function rotateSession(refreshToken, { userAgent, ip } = {}) {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const hash = hashToken(secret);
+  const nextSecret = newSecret();
+
+  // Rotation atomique : seul le détenteur du hash courant peut tourner le jeton
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: hashToken(nextSecret), lastSeenAt: new Date(), userAgent, ip },
+      $push: { rotatedHashes: hash }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId);
+    if (existing && existing.rotatedHashes.includes(hash)) {
+      if (!existing.revokedAt) await revokeSession(existing, 'refresh_token_reuse');
+      throw unauthorized('Refresh token déjà utilisé : la session a été révoquée.');
+    }
+    throw unauthorized('Session expirée ou révoquée, veuillez vous reconnecter.');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSession(session, 'user_deleted');
+    throw unauthorized('Utilisateur introuvable.');
+  }
+
+  return { session, user, accessToken: signAccessToken(user, session), refreshToken: refreshTokenFor(session, nextSecret) };
+}
+
+/**
+ * Ferme la session du refresh token présenté (déconnexion). Sans effet si le jeton n'est pas le courant.
+ */
+async function endSession(refreshToken) {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  await Session.updateOne(
+    { _id: sessionId, tokenHash: hashToken(secret), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+}
+
+/**
+ * Vérifie que la session d'un jeton d'accès est toujours active et met à jour lastSeenAt.
+ */
+async function touchSession(sessionId, { ip } = {}) {
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_THROTTLE) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(), ip } });
+  }
+  return session;
+}
+
+function listActiveSessions(userId) {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 });
+}
+
+// Révoque une session de l'utilisateur (ou toutes sauf `except`) ; renvoie le nombre de sessions révoquées
+async function revokeUserSessions(userId, { sessionId, except, reason = 'revoked' } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (sessionId) filter._id = sessionId;
+  if (except) filter._id = { $ne: except };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_MAX_AGE,
+  createSession,
+  rotateSession,
+  endSession,
+  touchSession,
+  listActiveSessions,
+  revokeUserSessions
+};
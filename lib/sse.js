@@ -0,0 +1,47 @@
+// Server-Sent Events : en-têtes, format des messages et maintien de la connexion.
+
+const HEARTBEAT_INTERVAL = 25000;
+const RETRY_MS = 5000;
+
+/**
+ * Ouvre un flux text/event-stream sur la réponse et renvoie { send(event, data, id), onClose(fn) }.
+ * Un commentaire est envoyé toutes les 25 s pour que les proxys ne coupent pas la connexion.
+ */
+function openStream(req, res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Désactive la mise en tampon de nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+  const closeHandlers = [() => clearInterval(heartbeat)];
+  req.on('close', () => closeHandlers.forEach(fn => fn()));
+
+  return {
+    send(event, data, id) {
+      let message = '';
+      if (id) message += `id: ${id}\n`;
+      message += `event: ${event}\n`;
+      message += `data: ${JSON.stringify(data)}\n\n`;
+      res.write(message);
+    },
+    onClose(fn) {
+      closeHandlers.push(fn);
+    }
+  };
+}
+
+// Dernier événement reçu par le client : en-tête Last-Event-ID (reconnexion d'EventSource) ou ?lastEventId=
+function lastEventId(req) {
+  return req.get('Last-Event-ID') || req.query.lastEventId || null;
+}
+
+module.exports = {
+  openStream,
+  lastEventId
+};
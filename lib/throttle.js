@@ -0,0 +1,199 @@
+const LoginAttempt = require('../model/loginAttempt');
+const { TooManyRequestsError } = require('./errors');
+
+// Protection contre le brute-force : backoff exponentiel puis verrouillage temporaire par clé.
+
+const MINUTE = 60 * 1000;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// windowMs : durée d'inactivité au bout de laquelle le compteur repart de zéro
+const POLICIES = {
+  loginUser: {
+    prefix: 'login:user:',
+    windowMs: 15 * MINUTE,
+    backoffAfter: 3,
+    backoffBaseMs: 1000,
+    backoffMaxMs: 5 * MINUTE,
+    lockAfter: envNumber('LOGIN_MAX_FAILURES', 10),
+    lockMs: envNumber('LOGIN_LOCK_MINUTES', 15) * MINUTE
+  },
+  loginIp: {
+    prefix: 'login:ip:',
+    windowMs: 15 * MINUTE,
+    backoffAfter: 20,
+    backoffBaseMs: 1000,
+    backoffMaxMs: 5 * MINUTE,
+    lockAfter: envNumber('LOGIN_IP_MAX_FAILURES', 100),
+    lockMs: envNumber('LOGIN_LOCK_MINUTES', 15) * MINUTE
+  },
+  // Chaque inscription compte : au-delà du quota, l'IP est bloquée jusqu'à la fin de la fenêtre
+  registerIp: {
+    prefix: 'register:ip:',
+    windowMs: 60 * MINUTE,
+    backoffAfter: Infinity,
+    lockAfter: envNumber('REGISTER_MAX_PER_HOUR', 5),
+    lockMs: 60 * MINUTE
+  },
+  forgotPasswordIp: {
+    prefix: 'forgot:ip:',
+    windowMs: 60 * MINUTE,
+    backoffAfter: Infinity,
+    lockAfter: envNumber('FORGOT_PASSWORD_MAX_PER_HOUR', 5),
+    lockMs: 60 * MINUTE
+  }
+};
+
+/**
+ * Stockage des compteurs en mémoire (tests, instance unique).
+ * Interface commune : get(key), increment(key, { windowMs, now }), update(key, fields), delete(key).
+ */
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      this.records.delete(key);
+      return null;
+    }
+    return record ? { ...record } : null;
+  }
+
+  async increment(key, { windowMs, now }) {
+    const record = await this.get(key);
+    const expired = !record || !record.lastFailureAt || record.lastFailureAt < new Date(now - windowMs);
+    const next = {
+      ...record,
+      key,
+      failures: expired ? 1 : record.failures + 1,
+      lastFailureAt: new Date(now),
+      expiresAt: new Date(now + windowMs)
+    };
+    this.records.set(key, next);
+    return { ...next };
+  }
+
+  async update(key, fields) {
+    const record = this.records.get(key);
+    if (record) this.records.set(key, { ...record, ...fields });
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+// Stockage MongoDB (par défaut) : l'incrément est atomique, même avec plusieurs instances de l'API
+class MongoStore {
+  get(key) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  increment(key, { windowMs, now }) {
+    const date = new Date(now);
+    return LoginAttempt.findOneAndUpdate({ key }, [{
+      $set: {
+        failures: {
+          $cond: [
+            { $lt: [{ $ifNull: ['$lastFailureAt', null] }, new Date(now - windowMs)] },
+            1,
+            { $add: ['$failures', 1] }
+          ]
+        },
+        lastFailureAt: date,
+        expiresAt: new Date(now + windowMs)
+      }
+    }], { upsert: true, new: true, lean: true });
+  }
+
+  async update(key, fields) {
+    await LoginAttempt.updateOne({ key }, { $set: fields });
+  }
+
+  async delete(key) {
+    await LoginAttempt.deleteOne({ key });
+  }
+}
+
+let store = new MongoStore();
+
+// Permet de remplacer le stockage (ex. new MemoryStore() dans les tests)
+function useStore(newStore) {
+  store = newStore;
+}
+
+function retryAfterSeconds(record, now) {
+  const until = Math.max(record.nextAllowedAt?.getTime() || 0, record.lockedUntil?.getTime() || 0);
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+/**
+ * Vérifie les clés [policy, valeur] : renvoie { retryAfter, locked } pour la plus restrictive,
+ * ou null si la tentative est autorisée.
+ */
+async function check(entries, now = Date.now()) {
+  let blocked = null;
+  for (const [policy, value] of entries) {
+    const record = await store.get(policy.prefix + value);
+    if (!record) continue;
+    const retryAfter = retryAfterSeconds(record, now);
+    if (retryAfter && (!blocked || retryAfter > blocked.retryAfter)) {
+      blocked = { retryAfter, locked: Boolean(record.lockedUntil && record.lockedUntil.getTime() > now) };
+    }
+  }
+  return blocked;
+}
+
+// Enregistre un échec et calcule le prochain délai (backoff) ou le verrouillage
+async function fail(entries, now = Date.now()) {
+  for (const [policy, value] of entries) {
+    const key = policy.prefix + value;
+    const record = await store.increment(key, { windowMs: policy.windowMs, now });
+    const fields = {};
+
+    if (record.failures >= policy.backoffAfter) {
+      const delay = Math.min(policy.backoffBaseMs * 2 ** (record.failures - policy.backoffAfter), policy.backoffMaxMs);
+      fields.nextAllowedAt = new Date(now + delay);
+    }
+    if (record.failures >= policy.lockAfter) {
+      fields.lockedUntil = new Date(now + policy.lockMs);
+      fields.expiresAt = new Date(Math.max(record.expiresAt.getTime(), now + policy.lockMs));
+    }
+    if (Object.keys(fields).length) await store.update(key, fields);
+  }
+}
+
+function reset(policy, value) {
+  return store.delete(policy.prefix + value);
+}
+
+/**
+ * Middleware : TooManyRequestsError (429 + Retry-After) tant qu'une des clés est en attente ou verrouillée.
+ * `entriesFor(req)` renvoie la liste des [policy, valeur] à contrôler ; `message` remplace le message par défaut.
+ */
+function guard(entriesFor, message) {
+  return async (req, res, next) => {
+    const blocked = await check(entriesFor(req));
+    if (!blocked) return next();
+    throw new TooManyRequestsError(message || (blocked.locked
+      ? 'Trop d’échecs : accès temporairement verrouillé.'
+      : 'Trop de tentatives, réessayez plus tard.'), blocked.retryAfter);
+  };
+}
+
+module.exports = {
+  POLICIES,
+  MemoryStore,
+  MongoStore,
+  useStore,
+  check,
+  fail,
+  reset,
+  guard
+};
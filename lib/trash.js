@@ -0,0 +1,49 @@
+const Potion = require('../model/potion');
+const Review = require('../model/review');
+const { recordAudit } = require('./audit');
+const { deletePriceData } = require('./prices');
+
+// Corbeille des potions : les suppressions sont logiques (deletedAt, deletedBy) et la purge
+// définitive intervient après TRASH_RETENTION_DAYS jours.
+
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Date à partir de laquelle une potion supprimée sera purgée
+function purgeDate(potion) {
+  return potion.deletedAt ? new Date(potion.deletedAt.getTime() + RETENTION_DAYS * DAY) : null;
+}
+
+/**
+ * Supprime définitivement les potions de la corbeille plus anciennes que la durée de conservation
+ * (toutes si `all`), avec leurs avis, leur historique de prix et leurs alertes, et journalise chaque purge (acteur : req.user, ou le serveur sans req).
+ * Renvoie le nombre de potions purgées.
+ */
+async function purgeTrash({ all = false, now = new Date(), req = null } = {}) {
+  const deletedAt = all ? { $ne: null } : { $ne: null, $lte: new Date(now.getTime() - RETENTION_DAYS * DAY) };
+  const ids = (await Potion.find({ deletedAt }, '_id').lean()).map(p => p._id);
+  if (!ids.length) return 0;
+  await Review.deleteMany({ potion: { $in: ids } });
+  await deletePriceData(ids);
+  const { deletedCount } = await Potion.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+  for (const id of ids) await recordAudit(req, { action: 'purge', entity: 'potion', entityId: id });
+  return deletedCount;
+}
+
+/**
+ * Lance la purge périodique (toutes les heures). Le minuteur ne retient pas le processus.
+ */
+function startTrashPurge() {
+  const run = () => purgeTrash()
+    .then(count => count && console.log(`Corbeille : ${count} potion(s) purgée(s)`))
+    .catch(err => console.error('Purge de la corbeille :', err));
+  return setInterval(run, PURGE_INTERVAL).unref();
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeDate,
+  purgeTrash,
+  startTrashPurge
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const UserToken = require('../model/userToken');
+
+// Durées de validité par type de jeton
+const TOKEN_TTL = {
+  password_reset: 60 * 60 * 1000,
+  email_verification: 24 * 60 * 60 * 1000
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Crée un jeton pour l'utilisateur et renvoie sa valeur en clair (à envoyer par e-mail).
+ * Les jetons précédents du même type sont invalidés.
+ */
+async function issueUserToken(user, type) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await UserToken.updateMany({ user: user._id, type, usedAt: null }, { $set: { usedAt: new Date() } });
+  await UserToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL[type])
+  });
+  return token;
+}
+
+/**
+ * Consomme un jeton : renvoie l'id de l'utilisateur, ou null si le jeton est inconnu, expiré ou déjà utilisé.
+ */
+async function consumeUserToken(token, type) {
+  if (typeof token !== 'string' || !token) return null;
+  const record = await UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } }
+  );
+  return record ? record.user : null;
+}
+
+module.exports = {
+  TOKEN_TTL,
+  issueUserToken,
+  consumeUserToken
+};
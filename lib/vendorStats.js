@@ -0,0 +1,105 @@
+const Potion = require('../model/potion');
+const Vendor = require('../model/vendor');
+const { runAnalytics } = require('./analyticsQuery');
+const { badRequest } = require('./potionQuery');
+
+// Statistiques par vendeur et classement des vendeurs.
+
+// Critère de classement -> accumulateur calculé sur les potions du vendeur
+const LEADERBOARD_CRITERIA = {
+  averageScore: { $avg: '$score' },
+  averagePrice: { $avg: '$price' },
+  potionCount: { $sum: 1 },
+  bestScore: { $max: '$score' }
+};
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+function parseInteger(value, name, fallback, min, max) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw badRequest(`${name} doit être un entier entre ${min} et ${max}.`);
+  }
+  return number;
+}
+
+/**
+ * Statistiques d'un vendeur : nombre de potions, score et prix moyens, potion la mieux notée.
+ */
+async function vendorStats(vendorId) {
+  const [[totals], bestPotion] = await Promise.all([
+    runAnalytics({
+      filters: { vendor_id: vendorId },
+      metrics: [
+        { op: 'count', as: 'potionCount' },
+        { op: 'avg', field: 'score', as: 'averageScore' },
+        { op: 'avg', field: 'price', as: 'averagePrice' },
+        { op: 'min', field: 'price', as: 'minPrice' },
+        { op: 'max', field: 'price', as: 'maxPrice' }
+      ]
+    }),
+    Potion.findOne({ vendor_id: vendorId, score: { $ne: null } })
+      .sort({ score: -1, _id: 1 })
+      .select('name score price')
+      .lean()
+  ]);
+
+  return {
+    vendor_id: vendorId,
+    potionCount: totals?.potionCount || 0,
+    averageScore: totals?.averageScore ?? null,
+    averagePrice: totals?.averagePrice ?? null,
+    minPrice: totals?.minPrice ?? null,
+    maxPrice: totals?.maxPrice ?? null,
+    bestPotion: bestPotion || null
+  };
+}
+
+/**
+ * Classement des vendeurs existants selon `by` (averageScore par défaut), `order` (asc ou desc),
+ * avec au moins `minPotions` potions. Les vendor_id sans fiche vendeur sont ignorés.
+ */
+async function leaderboard(query) {
+  const by = query.by || 'averageScore';
+  if (!LEADERBOARD_CRITERIA[by]) {
+    throw badRequest(`Critère de classement invalide. Utilisez ${Object.keys(LEADERBOARD_CRITERIA).join(', ')}.`);
+  }
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) throw badRequest('order doit valoir asc ou desc.');
+  const minPotions = parseInteger(query.minPotions, 'minPotions', 1, 1, 10000);
+  const limit = parseInteger(query.limit, 'limit', DEFAULT_LIMIT, 1, MAX_LIMIT);
+
+  const group = { _id: '$vendor_id' };
+  for (const [criterion, accumulator] of Object.entries(LEADERBOARD_CRITERIA)) group[criterion] = accumulator;
+
+  // Un vendeur sans score n'a pas de place dans un classement par score
+  const match = { potionCount: { $gte: minPotions } };
+  match[by] = { ...match[by], $ne: null };
+
+  const rows = await Potion.aggregate([
+    { $group: group },
+    { $match: match },
+    { $lookup: { from: Vendor.collection.name, localField: '_id', foreignField: '_id', as: 'vendor' } },
+    { $unwind: '$vendor' },
+    { $sort: { [by]: order === 'asc' ? 1 : -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        vendor_id: '$_id',
+        name: '$vendor.name',
+        location: '$vendor.location',
+        ...Object.fromEntries(Object.keys(LEADERBOARD_CRITERIA).map(criterion => [criterion, 1]))
+      }
+    }
+  ]);
+
+  return { by, order, data: rows.map((row, i) => ({ rank: i + 1, ...row })) };
+}
+
+module.exports = {
+  LEADERBOARD_CRITERIA,
+  vendorStats,
+  leaderboard
+};
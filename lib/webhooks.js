@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const Webhook = require('../model/webhook');
+const WebhookDelivery = require('../model/webhookDelivery');
+const potionEvents = require('./potionEvents');
+
+// Webhooks sortants : chaque événement devient une livraison par webhook abonné, dans une file
+// persistante (WebhookDelivery) vidée par un worker, avec nouvelles tentatives à délai exponentiel.
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+const POLL_INTERVAL = 5000;
+const MAX_LOGGED_BODY = 1000;
+
+// Action du journal d'audit -> événement de webhook
+const POTION_EVENTS = {
+  create: 'potion.created',
+  update: 'potion.updated',
+  revert: 'potion.updated',
+  delete: 'potion.deleted',
+  restore: 'potion.restored'
+};
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * En-tête X-Potions-Signature : "t=<horodatage unix>,v1=<HMAC-SHA256 hexadécimal de `${t}.${corps}`>".
+ * Le destinataire recalcule le HMAC avec son secret et rejette les horodatages trop anciens.
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Délai avant la tentative suivante : base, 2 × base, 4 × base... plafonné à 6 h
+function retryDelay(attempt) {
+  return Math.min(RETRY_BASE_SECONDS * 1000 * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * Met en file une livraison de l'événement pour chaque webhook actif abonné, puis relance le worker.
+ * Toutes les livraisons d'un même événement partagent payload.id, que le destinataire peut utiliser pour dédoublonner.
+ */
+async function enqueue(event, data) {
+  const webhooks = await Webhook.find({ active: true, events: { $in: [event, '*'] } }, '_id').lean();
+  if (!webhooks.length) return [];
+  // data est figé en JSON : un document Mongoose est stocké tel qu'il serait envoyé
+  const payload = { id: crypto.randomUUID(), event, createdAt: new Date(), data: JSON.parse(JSON.stringify(data)) };
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({ webhook: webhook._id, event, payload })));
+  processQueue().catch(err => console.error('Webhooks :', err));
+  return deliveries;
+}
+
+/**
+ * Publie un événement sans attendre la mise en file (les erreurs sont seulement journalisées).
+ */
+function publish(event, data) {
+  enqueue(event, data).catch(err => console.error(`Webhooks (${event}) :`, err));
+}
+
+// Un envoi HTTP : statut et début de la réponse, ou erreur réseau / délai dépassé
+async function attempt(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  const result = { at: new Date() };
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'API-Potions-Webhooks/1.0',
+        'X-Potions-Event': delivery.event,
+        'X-Potions-Delivery': String(delivery._id),
+        'X-Potions-Signature': sign(webhook.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    result.status = response.status;
+    result.body = (await response.text()).slice(0, MAX_LOGGED_BODY);
+  } catch (err) {
+    result.error = err.name === 'TimeoutError' ? `Pas de réponse après ${TIMEOUT_MS} ms.` : (err.cause?.message || err.message);
+  }
+  result.durationMs = Date.now() - started;
+  return result;
+}
+
+/**
+ * Tente une livraison et enregistre le résultat : delivered sur une réponse 2xx, sinon nouvelle tentative
+ * planifiée, ou failed après MAX_ATTEMPTS tentatives (ou dès le premier échec si retry est faux).
+ */
+async function deliver(delivery, { retry = true } = {}) {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret').lean();
+  const result = webhook
+    ? await attempt(delivery, webhook)
+    : { at: new Date(), error: 'Webhook supprimé.' };
+  delivery.attempts.push(result);
+
+  if (result.status >= 200 && result.status < 300) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = result.at;
+  } else if (!webhook || !retry || delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts.length));
+  }
+  delivery.lockedUntil = undefined;
+  await delivery.save();
+  return delivery;
+}
+
+// Réserve la prochaine livraison due (le verrou expire si le processus s'arrête en cours d'envoi)
+function claimNext(now) {
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now }, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil: new Date(now.getTime() + 2 * TIMEOUT_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+let processing = null;
+
+/**
+ * Envoie toutes les livraisons dues, une à la fois. Un seul passage tourne à la fois dans le processus.
+ */
+function processQueue() {
+  if (!processing) {
+    processing = (async () => {
+      let delivery;
+      while ((delivery = await claimNext(new Date()))) await deliver(delivery);
+    })().finally(() => {
+      processing = null;
+    });
+  }
+  return processing;
+}
+
+/**
+ * Envoie tout de suite une nouvelle livraison (ping, renvoi manuel) et renvoie son résultat.
+ */
+async function deliverNow(webhook, event, payload, { retry = true, redeliveryOf } = {}) {
+  // Verrouillée dès sa création pour que le worker ne l'envoie pas en parallèle
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event,
+    payload,
+    redeliveryOf,
+    lockedUntil: new Date(Date.now() + 2 * TIMEOUT_MS)
+  });
+  return deliver(delivery, { retry });
+}
+
+/**
+ * Envoie un événement webhook.ping, sans nouvelle tentative en cas d'échec.
+ */
+function ping(webhook) {
+  const payload = { id: crypto.randomUUID(), event: 'webhook.ping', createdAt: new Date(), data: { webhook: webhook._id } };
+  return deliverNow(webhook, 'webhook.ping', payload, { retry: false });
+}
+
+/**
+ * Renvoie le même payload qu'une livraison précédente, dans une nouvelle livraison.
+ */
+function redeliver(webhook, delivery) {
+  return deliverNow(webhook, delivery.event, delivery.payload, { redeliveryOf: delivery._id });
+}
+
+let watching = false;
+
+/**
+ * Publie les écritures sur les potions (lib/potionEvents) vers les webhooks (une seule fois par processus).
+ */
+function watchWebhooks() {
+  if (watching) return;
+  watching = true;
+  potionEvents.on('change', ({ action, potionId, version, after, changes, actor }) => {
+    const event = POTION_EVENTS[action];
+    if (!event) return;
+    publish(event, {
+      potion: { _id: potionId, ...after },
+      version,
+      changes,
+      actor: actor ? { id: actor.id, role: actor.role } : null
+    });
+  });
+}
+
+/**
+ * Lance le worker de la file : les livraisons dues sont reprises toutes les 5 s.
+ * Le minuteur ne retient pas le processus.
+ */
+function startWebhookWorker() {
+  const run = () => processQueue().catch(err => console.error('Webhooks :', err));
+  run();
+  return setInterval(run, POLL_INTERVAL).unref();
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateSecret,
+  sign,
+  retryDelay,
+  enqueue,
+  publish,
+  deliver,
+  processQueue,
+  ping,
+  redeliver,
+  watchWebhooks,
+  startWebhookWorker
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { NotFoundError, TITLES, toHttpError } = require('../lib/errors');
+
+// Identifiant de requête et réponses d'erreur application/problem+json (RFC 7807).
+// Express 5 transmet lui-même au gestionnaire d'erreurs les promesses rejetées des routes async :
+// une route lève une erreur (lib/errors) au lieu de construire sa réponse d'erreur.
+
+const PROBLEM_TYPE = 'application/problem+json';
+const EXPOSE_STACK = process.env.NODE_ENV !== 'production';
+
+// Un X-Request-Id fourni par le client (ou un proxy) est repris s'il est raisonnable
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Pose req.id et l'en-tête X-Request-Id sur toutes les réponses.
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+// Route inconnue : 404 au même format que les autres erreurs
+function notFound(req, res, next) {
+  next(new NotFoundError(`Aucune route ne correspond à ${req.method} ${req.path}.`, { code: 'route_not_found' }));
+}
+
+/**
+ * Corps d'une réponse d'erreur : { type, title, status, detail, instance, code, requestId, ...extensions }.
+ * Le détail d'une 500 et les piles d'appels ne sont exposés qu'en dehors de la production.
+ */
+function problem(err, req) {
+  const error = toHttpError(err);
+  const internal = error.status >= 500;
+  const body = {
+    type: `/problems/${error.code}`,
+    title: TITLES[error.status] || 'Erreur',
+    status: error.status,
+    detail: internal && EXPOSE_STACK && err?.message ? err.message : error.message,
+    instance: req.originalUrl,
+    code: error.code,
+    requestId: req.id,
+    ...error.extensions
+  };
+  if (internal && EXPOSE_STACK && err?.stack) body.stack = err.stack.split('\n');
+  return body;
+}
+
+// Gestionnaire d'erreurs final, monté après toutes les routes
+function errorHandler(err, req, res, next) {
+  // Réponse déjà commencée (export, flux SSE) : Express coupe la connexion
+  if (res.headersSent) return next(err);
+
+  const body = problem(err, req);
+  if (body.status >= 500) console.error(`[${req.id}] ${req.method} ${req.originalUrl}`, err);
+  if (body.status === 429 && body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+  res.status(body.status).type(PROBLEM_TYPE).json(body);
+}
+
+module.exports = {
+  requestId,
+  notFound,
+  errorHandler,
+  problem
+};
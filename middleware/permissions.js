@@ -0,0 +1,90 @@
+const { UnauthorizedError, ForbiddenError } = require('../lib/errors');
+
+// Couche de permissions : chaque route déclare la permission dont elle a besoin.
+
+const ROLES = ['admin', 'moderator', 'vendor', 'customer'];
+
+// Permission -> rôles autorisés ; PUBLIC laisse passer les visiteurs non connectés
+const PUBLIC = '*';
+const PERMISSIONS = {
+  'potions:read': PUBLIC,
+  'potions:create': ['admin', 'vendor'],
+  'potions:update': ['admin', 'vendor'],
+  'potions:delete': ['admin', 'vendor'],
+  'potions:readDeleted': ['admin'],
+  'potions:purge': ['admin'],
+  'analytics:read': PUBLIC,
+  'ingredients:read': PUBLIC,
+  'ingredients:manage': ['admin'],
+  'vendors:read': PUBLIC,
+  'vendors:create': ['admin'],
+  'vendors:update': ['admin', 'vendor'],
+  'vendors:delete': ['admin'],
+  'reviews:write': ['admin', 'moderator', 'vendor', 'customer'],
+  'reviews:moderate': ['admin', 'moderator'],
+  'alerts:write': ['admin', 'moderator', 'vendor', 'customer'],
+  'webhooks:manage': ['admin'],
+  'users:manage': ['admin']
+};
+
+// Portées des clés d'API -> permissions couvertes. Une requête authentifiée par clé n'obtient que les permissions
+// de ses portées, et seulement celles que le rôle de son propriétaire accorde déjà.
+const SCOPES = {
+  read: ['potions:read', 'vendors:read', 'ingredients:read'],
+  'potions:write': ['potions:read', 'potions:create', 'potions:update', 'potions:delete'],
+  analytics: ['analytics:read']
+};
+
+function scopeAllows(scopes, permission) {
+  return scopes.some(scope => SCOPES[scope]?.includes(permission));
+}
+
+/**
+ * Middleware vérifiant que l'utilisateur (req.user, posé par authMiddleware) a la permission donnée.
+ * Avec une clé d'API, la permission doit aussi faire partie de ses portées, y compris pour une route publique.
+ */
+function authorize(permission) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) throw new Error(`Permission inconnue : ${permission}`);
+
+  return (req, res, next) => {
+    if (req.user?.apiKey && !scopeAllows(req.user.apiKey.scopes, permission)) {
+      throw new ForbiddenError(`Cette clé d’API ne donne pas accès à ${permission}.`, { code: 'insufficient_scope' });
+    }
+    if (allowed === PUBLIC) return next();
+    if (!req.user) throw new UnauthorizedError();
+    if (!allowed.includes(req.user.role)) throw new ForbiddenError();
+    next();
+  };
+}
+
+// Un admin gère toutes les potions, un vendeur uniquement celles de son vendor_id
+function canManagePotion(user, potion) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return user.role === 'vendor' && Boolean(user.vendor_id) && potion.vendor_id === user.vendor_id;
+}
+
+// L'auteur gère son avis ; un modérateur peut aussi le supprimer
+function canManageReview(user, review) {
+  if (!user) return false;
+  if (PERMISSIONS['reviews:moderate'].includes(user.role)) return true;
+  return String(review.user._id ?? review.user) === String(user.id);
+}
+
+// Un vendeur ne modifie que la fiche de son propre vendor_id
+function canManageVendor(user, vendor) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return user.role === 'vendor' && Boolean(user.vendor_id) && vendor._id === user.vendor_id;
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  SCOPES,
+  authorize,
+  canManagePotion,
+  canManageReview,
+  canManageVendor
+};
@@ -0,0 +1,50 @@
+const { validationResult } = require('express-validator');
+const { FieldValidationError, fieldError, toHttpError } = require('../lib/errors');
+
+// Erreurs de validation au format express-validator : { type, value, msg, path, location }
+
+// Les champs inconnus (checkExact) sont dépliés en une erreur par champ
+function flatten(errors) {
+  return errors.flatMap(err => (
+    err.type === 'unknown_fields'
+      ? err.fields.map(f => fieldError(f.path, 'Champ inconnu.', f.value, f.location))
+      : [err]
+  ));
+}
+
+/**
+ * Termine la chaîne de validation : FieldValidationError (400, errors: [...]) si une règle a échoué.
+ */
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) throw new FieldValidationError(flatten(errors.array()));
+  next();
+}
+
+/**
+ * Applique des règles express-validator à un document construit côté serveur (ex. résultat d'un patch).
+ * `context` complète la requête vue par les règles (ex. knownIngredients).
+ * Renvoie { body, errors } : body contient les valeurs nettoyées par les sanitizers.
+ */
+async function validateDocument(rules, document, context = {}) {
+  const req = { ...context, body: document };
+  for (const rule of [].concat(rules)) await rule.run(req);
+  const errors = validationResult(req);
+  return { body: req.body, errors: errors.isEmpty() ? [] : flatten(errors.array()) };
+}
+
+/**
+ * Convertit une erreur Mongoose (ValidationError, CastError, StrictModeError) au même format.
+ * Renvoie null si l'erreur ne vient pas de la validation.
+ */
+function mongooseErrors(err) {
+  if (!['ValidationError', 'CastError', 'StrictModeError'].includes(err?.name)) return null;
+  return toHttpError(err).extensions.errors;
+}
+
+module.exports = {
+  validate,
+  validateDocument,
+  mongooseErrors,
+  fieldError
+};
@@ -0,0 +1,138 @@
+// Ingrédients des potions : l'ancien schéma les stockait en Mixed (chaînes libres ou objets quelconques),
+// le schéma actuel attend des objets { name, quantity, unit }.
+//
+// up : "mandragore", "10 g de mandragore", "2 gouttes d'essence", "mandragore:10:g" (format de l'import CSV)
+// ou { nom, quantite, unite } deviennent { name, quantity, unit }. Un élément sans nom exploitable est retiré,
+// une unité hors du vocabulaire du schéma aussi.
+// down : chaque ingrédient redevient une chaîne "10 g mandragore" ; les éléments retirés ne sont pas restaurés.
+
+const BATCH_SIZE = 500;
+
+// Unités reconnues (singulier, pluriel, sans accent) -> unité du schéma
+const UNITS = {
+  g: 'g', gr: 'g', gramme: 'g', grammes: 'g',
+  kg: 'kg', kilo: 'kg', kilos: 'kg', kilogramme: 'kg', kilogrammes: 'kg',
+  ml: 'ml', millilitre: 'ml', millilitres: 'ml',
+  l: 'l', litre: 'l', litres: 'l',
+  goutte: 'goutte', gouttes: 'goutte',
+  pincee: 'pincée', pincees: 'pincée',
+  piece: 'pièce', pieces: 'pièce'
+};
+
+const NAME_KEYS = ['name', 'nom', 'ingredient', 'ingrédient'];
+const QUANTITY_KEYS = ['quantity', 'quantite', 'quantité', 'qty', 'amount'];
+const UNIT_KEYS = ['unit', 'unite', 'unité'];
+
+function normalize(text) {
+  return String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/\.$/, '');
+}
+
+function toUnit(value) {
+  return typeof value === 'string' ? UNITS[normalize(value.trim())] : undefined;
+}
+
+function toQuantity(value) {
+  const number = typeof value === 'string' ? Number(value.trim().replace(',', '.')) : value;
+  return typeof number === 'number' && Number.isFinite(number) && number >= 0 ? number : undefined;
+}
+
+function ingredient(name, quantity, unit) {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  const result = { name: name.trim() };
+  if (quantity !== undefined) result.quantity = quantity;
+  if (unit !== undefined) result.unit = unit;
+  return result;
+}
+
+// "10 g de mandragore", "3 mandragores", "mandragore:10:g", "mandragore"
+function fromString(text) {
+  const value = text.trim();
+  if (value.includes(':')) {
+    const [name, quantity, unit] = value.split(':').map(part => part.trim());
+    return ingredient(name, quantity ? toQuantity(quantity) : undefined, unit ? toUnit(unit) : undefined);
+  }
+
+  const match = /^(\d+(?:[.,]\d+)?)\s*(.*)$/.exec(value);
+  if (!match || !match[2]) return ingredient(value);
+
+  let rest = match[2];
+  const [word, ...others] = rest.split(/\s+/);
+  const unit = toUnit(word);
+  if (unit && others.length) rest = others.join(' ');
+  rest = rest.replace(/^(de\s+|d['’]\s*)/i, '');
+  return ingredient(rest, toQuantity(match[1]), unit && others.length ? unit : undefined);
+}
+
+function fromObject(object) {
+  const pick = keys => object[keys.find(key => object[key] !== undefined && object[key] !== null)];
+  const name = pick(NAME_KEYS);
+  let quantity = pick(QUANTITY_KEYS);
+  let unit = toUnit(pick(UNIT_KEYS));
+
+  // Quantité saisie avec son unité : { quantite: "10 g" }
+  if (typeof quantity === 'string') {
+    const parsed = fromString(`${quantity} x`);
+    unit = unit || parsed?.unit;
+    quantity = parsed?.quantity;
+  }
+  return ingredient(name, toQuantity(quantity), unit);
+}
+
+/**
+ * Forme structurée d'un élément de l'ancien tableau, ou null s'il est inexploitable.
+ */
+function convertIngredient(value) {
+  if (typeof value === 'string') return fromString(value);
+  if (value && typeof value === 'object' && !Array.isArray(value)) return fromObject(value);
+  return null;
+}
+
+function toLegacyString({ name, quantity, unit }) {
+  return [quantity, unit, name].filter(part => part !== undefined && part !== null).join(' ');
+}
+
+async function rewrite(db, filter, transform) {
+  const potions = db.collection('potions');
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length) await potions.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const potion of potions.find(filter, { projection: { ingredients: 1 } })) {
+    scanned++;
+    const ingredients = transform(potion.ingredients);
+    if (JSON.stringify(ingredients) === JSON.stringify(potion.ingredients)) continue;
+    operations.push({ updateOne: { filter: { _id: potion._id }, update: { $set: { ingredients } } } });
+    if (operations.length === BATCH_SIZE) await flush();
+  }
+  await flush();
+  return { scanned, updated };
+}
+
+module.exports = {
+  description: 'Ingrédients Mixed -> { name, quantity, unit }',
+
+  async up(db) {
+    let dropped = 0;
+    const result = await rewrite(db, { ingredients: { $exists: true } }, ingredients => {
+      const list = Array.isArray(ingredients) ? ingredients : [ingredients];
+      const converted = list.map(convertIngredient);
+      dropped += converted.filter(item => item === null).length;
+      return converted.filter(Boolean);
+    });
+    return { ...result, dropped };
+  },
+
+  async down(db) {
+    return rewrite(db, { 'ingredients.0': { $type: 'object' } }, ingredients => ingredients.map(item => (
+      item && typeof item === 'object' ? toLegacyString(item) : item
+    )));
+  },
+
+  convertIngredient
+};
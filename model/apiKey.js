@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { SCOPES } = require('../middleware/permissions');
+
+// Clé d'API d'un utilisateur pour les appels de serveur à serveur (en-tête X-API-Key).
+// Seul le hash est stocké : la clé en clair n'est renvoyée qu'à la création, prefix sert à la reconnaître.
+const apiKeySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true, select: false },
+  scopes: { type: [{ type: String, enum: Object.keys(SCOPES) }], required: true },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, { strict: 'throw', timestamps: true });
+
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
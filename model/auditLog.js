@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Journal d'audit, en ajout seul : une entrée par écriture sur une potion ou par événement
+// d'authentification. Les entrées ne sont jamais modifiées ni supprimées par l'application.
+const changeSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  // potion : create, update, delete, restore, revert, purge ; user : register, login, login_failed
+  action: { type: String, required: true },
+  entity: { type: String, enum: ['potion', 'user'], required: true },
+  entityId: mongoose.Schema.Types.ObjectId,
+  // Version (__v) de la potion après l'écriture, absente pour une purge
+  version: Number,
+  actor: {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: String
+  },
+  ip: String,
+  userAgent: String,
+  at: { type: Date, default: Date.now },
+  changes: { type: [changeSchema], default: undefined },
+  // État complet de la potion après l'écriture (sans _id, __v ni reviewStats), pour l'historique et le retour arrière
+  snapshot: mongoose.Schema.Types.Mixed,
+  details: mongoose.Schema.Types.Mixed
+}, { strict: 'throw', versionKey: false });
+
+auditLogSchema.index({ entity: 1, entityId: 1, at: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, version: 1 });
+
+function appendOnly() {
+  throw new Error('Le journal d’audit est en ajout seul.');
+}
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) appendOnly();
+});
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], appendOnly);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, appendOnly);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
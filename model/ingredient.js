@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { INGREDIENT_UNITS } = require('./potion');
+
+const RARITIES = ['commun', 'peu commun', 'rare', 'légendaire'];
+
+// Catalogue des ingrédients : les potions y font référence par le nom (potion.ingredients.name)
+const ingredientSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true, minlength: 1, maxlength: 100 },
+  rarity: { type: String, enum: RARITIES, default: 'commun' },
+  // Coût d'une unité (unit) de l'ingrédient
+  unit: { type: String, enum: INGREDIENT_UNITS, required: true },
+  unitCost: { type: Number, required: true, min: 0 },
+  allergens: {
+    type: [{ type: String, trim: true, lowercase: true, maxlength: 50 }],
+    default: [],
+    set: values => (Array.isArray(values) ? [...new Set(values.map(v => (typeof v === 'string' ? v.trim().toLowerCase() : v)))] : values)
+  },
+  toxic: { type: Boolean, default: false }
+}, { strict: 'throw', timestamps: true });
+
+module.exports = mongoose.model('Ingredient', ingredientSchema);
+module.exports.RARITIES = RARITIES;
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Compteur d'échecs par clé (ex. "login:user:alice", "login:ip:1.2.3.4") pour le throttling de /auth
+const loginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: Date,
+  nextAllowedAt: Date,
+  lockedUntil: Date,
+  expiresAt: { type: Date, required: true }
+});
+
+// MongoDB supprime le compteur une fois la fenêtre et le verrouillage écoulés
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
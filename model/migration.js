@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Migrations de schéma appliquées à la base (lib/migrations), une entrée par script de migrations/
+const migrationSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  appliedAt: { type: Date, default: Date.now },
+  // Résumé renvoyé par la fonction up (documents modifiés...)
+  result: mongoose.Schema.Types.Mixed
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
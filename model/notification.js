@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Boîte de réception in-app (GET /me/notifications), alimentée par le transport inbox de lib/notifications
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, required: true },
+  title: { type: String, required: true },
+  message: String,
+  data: mongoose.Schema.Types.Mixed,
+  readAt: Date
+}, { strict: 'throw', timestamps: true });
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,14 +1,136 @@
 const mongoose = require('mongoose');
 
+// Vocabulaire fermé des catégories (toujours stockées en minuscules)
+const CATEGORIES = [
+  'soin',
+  'force',
+  'vitesse',
+  'protection',
+  'poison',
+  'amour',
+  'chance',
+  'mental',
+  'invisibilité',
+  'transformation',
+  'élémentaire'
+];
+
+const INGREDIENT_UNITS = ['g', 'kg', 'ml', 'l', 'goutte', 'pincée', 'pièce'];
+
+const SCORE_RANGE = { min: 0, max: 5 };
+const RATING_RANGE = { min: 0, max: 5 };
+
+function normalizeCategory(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+const ingredientSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  quantity: { type: Number, min: 0 },
+  unit: { type: String, enum: INGREDIENT_UNITS }
+}, { _id: false, strict: 'throw' });
+
 const potionSchema = new mongoose.Schema({
-  name: String,
-  price: Number,
-  score: Number,
-  ingredients: [mongoose.Schema.Types.Mixed],
-  ratings: { strength: Number, flavor: Number },
+  name: { type: String, required: true, trim: true, minlength: 1, maxlength: 100 },
+  price: { type: Number, required: true, min: 0 },
+  score: { type: Number, min: SCORE_RANGE.min, max: SCORE_RANGE.max },
+  ingredients: { type: [ingredientSchema], default: [] },
+  ratings: {
+    strength: { type: Number, min: RATING_RANGE.min, max: RATING_RANGE.max },
+    flavor: { type: Number, min: RATING_RANGE.min, max: RATING_RANGE.max }
+  },
   tryDate: Date,
-  categories: [String],
-  vendor_id: String
+  categories: {
+    type: [{ type: String, enum: CATEGORIES, set: normalizeCategory }],
+    default: [],
+    set: values => (Array.isArray(values) ? [...new Set(values.map(normalizeCategory))] : values)
+  },
+  vendor_id: { type: String, required: true, trim: true },
+  // Calculé à partir des avis visibles (lib/reviews), jamais écrit par les clients.
+  // average* : moyennes brutes ; score, strength, flavor : moyennes bayésiennes reprises dans score et ratings.
+  reviewStats: {
+    count: { type: Number, default: 0 },
+    averageScore: Number,
+    averageStrength: Number,
+    averageFlavor: Number,
+    score: Number,
+    strength: Number,
+    flavor: Number,
+    // Note et évaluations déclarées par le vendeur, rendues à la potion quand elle n'a plus d'avis visible
+    base: {
+      score: Number,
+      ratings: { strength: Number, flavor: Number }
+    }
+  },
+  // Corbeille : une potion supprimée garde ses données jusqu'à la purge (lib/trash)
+  deletedAt: Date,
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  strict: 'throw',
+  // __v est incrémenté à chaque sauvegarde et sert d'ETag : une sauvegarde concurrente lève une VersionError
+  optimisticConcurrency: true
+});
+
+// Champ de la potion -> valeur calculée à partir des avis (reviewStats)
+const REVIEWED_PATHS = { score: 'score', 'ratings.strength': 'strength', 'ratings.flavor': 'flavor' };
+
+// Dès qu'une potion a des avis, score et ratings sont ceux calculés à partir des avis
+potionSchema.pre('save', function (next) {
+  const stats = this.reviewStats;
+  if (stats?.count > 0) {
+    // Une valeur différente de celle des avis vient du vendeur : gardée pour le jour où la potion n'a plus d'avis.
+    // Une valeur identique n'est que la représentation renvoyée par le client (PUT, PATCH).
+    for (const [path, field] of Object.entries(REVIEWED_PATHS)) {
+      const value = this.get(path);
+      if (value !== stats[field]) this.set(`reviewStats.base.${path}`, value);
+    }
+    this.score = stats.score;
+    this.ratings = { strength: stats.strength, flavor: stats.flavor };
+  }
+  next();
 });
 
-module.exports = mongoose.model('potion', potionSchema);
\ No newline at end of file
+// Champs gérés côté serveur, absents des corps de requête
+const SERVER_FIELDS = ['reviewStats', 'deletedAt', 'deletedBy'];
+
+/**
+ * Remplace le contenu écrit par les clients en conservant les champs gérés côté serveur.
+ */
+potionSchema.methods.replaceWith = function (body) {
+  const current = this.toObject();
+  this.overwrite(body);
+  for (const field of SERVER_FIELDS) {
+    if (current[field] !== undefined) this.set(field, current[field]);
+  }
+  return this;
+};
+
+// Les potions de la corbeille sont invisibles par défaut pour toutes les lectures.
+// L'option withDeleted (setOptions / option) les inclut ; un filtre portant sur deletedAt est laissé tel quel.
+potionSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], function () {
+  if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+  this.where({ deletedAt: null });
+});
+
+potionSchema.pre('aggregate', function () {
+  if (this.options.withDeleted) return;
+  const pipeline = this.pipeline();
+  // $geoNear, $search et un $match avec $text doivent rester en tête du pipeline
+  const first = pipeline[0];
+  const keepFirst = first && (first.$geoNear || first.$search || first.$match?.$text);
+  pipeline.splice(keepFirst ? 1 : 0, 0, { $match: { deletedAt: null } });
+});
+
+// Index de recherche plein texte (GET /potions/search), en français pour la racinisation
+potionSchema.index(
+  { name: 'text', categories: 'text', 'ingredients.name': 'text' },
+  { name: 'potion_text', weights: { name: 10, 'ingredients.name': 5, categories: 3 }, default_language: 'french' }
+);
+
+module.exports = mongoose.model('potion', potionSchema);
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.INGREDIENT_UNITS = INGREDIENT_UNITS;
+module.exports.SCORE_RANGE = SCORE_RANGE;
+module.exports.RATING_RANGE = RATING_RANGE;
+module.exports.normalizeCategory = normalizeCategory;
+module.exports.SERVER_FIELDS = SERVER_FIELDS;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const ALERT_TYPES = ['below', 'drop'];
+
+// Alerte de baisse de prix, déclenchée une seule fois :
+// below : le prix passe à threshold ou en dessous ; drop : il baisse d'au moins percent % par rapport à referencePrice
+const priceAlertSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  potion: { type: mongoose.Schema.Types.ObjectId, ref: 'potion', required: true },
+  type: { type: String, enum: ALERT_TYPES, required: true },
+  threshold: { type: Number, min: 0 },
+  percent: { type: Number, min: 0, max: 100 },
+  // Prix de la potion au moment de l'abonnement
+  referencePrice: { type: Number, required: true, min: 0 },
+  active: { type: Boolean, default: true },
+  triggeredAt: Date,
+  triggeredPrice: Number
+}, { strict: 'throw', timestamps: true });
+
+priceAlertSchema.index({ potion: 1, active: 1 });
+priceAlertSchema.index({ user: 1, createdAt: -1 });
+
+// Prix à partir duquel l'alerte se déclenche
+priceAlertSchema.methods.targetPrice = function () {
+  return this.type === 'below' ? this.threshold : this.referencePrice * (1 - this.percent / 100);
+};
+
+module.exports = mongoose.model('PriceAlert', priceAlertSchema);
+module.exports.ALERT_TYPES = ALERT_TYPES;
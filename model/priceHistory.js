@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Série des prix d'une potion : une entrée à la création puis à chaque changement de prix (lib/prices)
+const priceHistorySchema = new mongoose.Schema({
+  potion: { type: mongoose.Schema.Types.ObjectId, ref: 'potion', required: true },
+  price: { type: Number, required: true, min: 0 },
+  // Prix précédent, absent pour le prix de création
+  previousPrice: { type: Number, min: 0 },
+  changedAt: { type: Date, default: Date.now },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { strict: 'throw', versionKey: false });
+
+priceHistorySchema.index({ potion: 1, changedAt: 1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
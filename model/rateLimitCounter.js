@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Nombre de requêtes d'un client (clé d'API ou IP) dans la fenêtre courante d'une politique de lib/rateLimit
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+});
+
+// MongoDB supprime le compteur une fois sa fenêtre écoulée
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
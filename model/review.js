@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { SCORE_RANGE, RATING_RANGE } = require('./potion');
+
+const reviewSchema = new mongoose.Schema({
+  potion: { type: mongoose.Schema.Types.ObjectId, ref: 'potion', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  score: { type: Number, required: true, min: SCORE_RANGE.min, max: SCORE_RANGE.max },
+  ratings: {
+    strength: { type: Number, min: RATING_RANGE.min, max: RATING_RANGE.max },
+    flavor: { type: Number, min: RATING_RANGE.min, max: RATING_RANGE.max }
+  },
+  comment: { type: String, trim: true, maxlength: 2000 },
+  // Modération : un avis masqué n'est plus public et ne compte plus dans la note de la potion
+  hidden: { type: Boolean, default: false },
+  hiddenReason: String,
+  hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  hiddenAt: Date
+}, { strict: 'throw', timestamps: true });
+
+// Un seul avis par utilisateur et par potion
+reviewSchema.index({ potion: 1, user: 1 }, { unique: true });
+reviewSchema.index({ potion: 1, hidden: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
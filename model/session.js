@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Une session = une connexion (un appareil). Le refresh token tourne à chaque /auth/refresh :
+// seul le hash courant est valide, les précédents sont gardés pour détecter leur réutilisation.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true },
+  rotatedHashes: { type: [String], default: [] },
+  userAgent: String,
+  ip: String,
+  lastSeenAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: String
+}, { timestamps: true });
+
+// Nettoyage automatique par MongoDB une fois la session expirée
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,10 +1,27 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../middleware/permissions');
 
 const userSchema = new mongoose.Schema({
   username: { type: String, unique: true },
-  password: { type: String }
-});
+  password: { type: String },
+  // Adresse facultative, utilisée pour la vérification et la réinitialisation du mot de passe
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Adresse e-mail invalide.']
+  },
+  emailVerified: { type: Boolean, default: false },
+  role: { type: String, enum: ROLES, default: 'customer' },
+  // Vendeur lié au compte : obligatoire pour le rôle vendor
+  vendor_id: {
+    type: String,
+    required: function () { return this.role === 'vendor'; }
+  }
+}, { timestamps: true });
 
 // Hash du mot de passe avant sauvegarde
 userSchema.pre('save', async function (next) {
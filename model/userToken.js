@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Jetons à usage unique envoyés par e-mail (réinitialisation du mot de passe, vérification d'adresse).
+// Seul le hash est stocké : le jeton en clair n'existe que dans l'e-mail.
+const userTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, enum: ['password_reset', 'email_verification'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date
+}, { timestamps: true });
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
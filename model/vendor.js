@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Identifiant lisible, repris tel quel dans potion.vendor_id et user.vendor_id
+const VENDOR_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+const vendorSchema = new mongoose.Schema({
+  _id: { type: String, alias: 'vendor_id', match: VENDOR_ID_PATTERN },
+  name: { type: String, required: true, trim: true, minlength: 1, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 2000 },
+  location: {
+    address: { type: String, trim: true, maxlength: 200 },
+    city: { type: String, trim: true, maxlength: 100 },
+    country: { type: String, trim: true, maxlength: 100 }
+  },
+  contact: {
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Adresse e-mail invalide.']
+    },
+    phone: { type: String, trim: true, maxlength: 30 },
+    website: { type: String, trim: true, maxlength: 200 }
+  }
+}, {
+  strict: 'throw',
+  timestamps: true,
+  // vendor_id est renvoyé à côté de _id pour rester homogène avec les potions
+  toJSON: { virtuals: true, versionKey: false },
+  id: false
+});
+
+module.exports = mongoose.model('Vendor', vendorSchema);
+module.exports.VENDOR_ID_PATTERN = VENDOR_ID_PATTERN;
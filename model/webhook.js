@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Événements auxquels un webhook peut s'abonner ("*" : tous)
+const WEBHOOK_EVENTS = [
+  'potion.created',
+  'potion.updated',
+  'potion.deleted',
+  'potion.restored',
+  'vendor.created',
+  'vendor.updated',
+  'vendor.deleted',
+  'user.registered'
+];
+
+// Point de réception enregistré par un admin. Le secret signe les livraisons (HMAC-SHA256) :
+// il n'est renvoyé qu'à la création et n'est lu qu'au moment de signer.
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true, trim: true },
+  events: { type: [{ type: String, enum: [...WEBHOOK_EVENTS, '*'] }], required: true },
+  description: { type: String, trim: true, maxlength: 500 },
+  secret: { type: String, required: true, select: false },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { strict: 'throw', timestamps: true });
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
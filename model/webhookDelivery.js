@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Une tentative d'envoi : statut HTTP de la réponse, ou erreur réseau
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  status: Number,
+  error: String,
+  body: String,
+  durationMs: Number
+}, { _id: false });
+
+// File persistante des livraisons de webhooks (lib/webhooks) et journal de leurs tentatives.
+// Une livraison en attente est reprise à nextAttemptAt ; lockedUntil évite qu'elle soit envoyée deux fois en parallèle.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+  attempts: { type: [attemptSchema], default: [] },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: Date,
+  deliveredAt: Date,
+  // Renvoi manuel : livraison d'origine
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' }
+}, { strict: 'throw', timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -1,33 +1,58 @@
 const express = require('express');
 const router = express.Router();
 const Potion = require('../model/potion');
+const { authorize } = require('../middleware/permissions');
+const { restrictedFlag } = require('./auth');
+const { parseAnalyticsQuery, runAnalytics, DIMENSIONS } = require('../lib/analyticsQuery');
+const { parseTimeseriesQuery, runTimeseries } = require('../lib/analyticsTimeseries');
+const { topIngredientsByCategory } = require('../lib/recipes');
+const { badRequest, parseFilters } = require('../lib/potionQuery');
+const liveAnalytics = require('../lib/liveAnalytics');
+const { viewsReady, readView } = require('../lib/analyticsViews');
+const { cached } = require('../lib/cache');
+const { openStream } = require('../lib/sse');
+
+router.use(authorize('analytics:read'));
+
+// Exécute une requête analytique ; les paramètres invalides lèvent une BadRequestError (400)
+async function sendAnalytics(res, build) {
+    res.json(await build());
+}
+
+// Les anciens endpoints renvoient { _id: <dimension>, ...métriques }
+function legacyRows(rows, dimension) {
+    return rows.map(({ [dimension]: id, ...metrics }) => ({ _id: id, ...metrics }));
+}
+
+// Vue matérialisée (lib/analyticsViews) si elle est prête et que la requête n'a ni filtre ni ?fresh=true
+async function fromView(req, name, project) {
+    if (!viewsReady() || req.query.fresh === 'true' || Object.keys(parseFilters(req.query)).length) return null;
+    return (await readView(name)).map(project);
+}
 
 /**
  * @swagger
  * components:
- *   schemas:
- *     Potion:
- *       type: object
- *       required:
- *         - name
- *       properties:
- *         name:
+ *   parameters:
+ *     AnalyticsFilters:
+ *       name: filters
+ *       in: query
+ *       description: >
+ *         Filtres appliqués avant l'agrégation, identiques à ceux de GET /potions
+ *         (categories, vendor_id, ingredients, price_min, score_max, tryDate_from...).
+ *       style: form
+ *       explode: true
+ *       schema:
+ *         type: object
+ *         additionalProperties:
  *           type: string
- *           description: Nom de la potion
- *         ingredients:
- *           type: array
- *           items:
- *             type: string
- *           description: Liste des ingrédients
- *         ratings:
- *           type: object
- *           properties:
- *             strength:
- *               type: number
- *             duration:
- *               type: number
- *             sideEffects:
- *               type: number
+ *     Fresh:
+ *       name: fresh
+ *       in: query
+ *       description: >
+ *         true : agrège la collection des potions, sans passer par le cache des réponses
+ *         ni par les vues matérialisées (ANALYTICS_VIEWS).
+ *       schema: { type: boolean, default: false }
  */
 
 // GET /analytics/average-score-by-vendor aggregat du score moyen des vendeurs
@@ -36,8 +61,13 @@ const Potion = require('../model/potion');
  * /analytics/average_score_by_vendor:
  *   get:
  *     summary: Récupère le score moyen par vendeur
+ *     description: Lu dans une vue matérialisée si ANALYTICS_VIEWS=true et sans filtre (à quelques instants près).
  *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Fresh'
  *     responses:
+ *       304:
+ *         description: Non modifié depuis l'ETag envoyé dans If-None-Match
  *       200:
  *         description: Score moyen par vendeur
  *         content:
@@ -56,16 +86,13 @@ const Potion = require('../model/potion');
  *     500:
  *       description: Erreur serveur
  */
-router.get('/average_score_by_vendor', async (req, res) => {
-    try {
-        const result = await Potion.aggregate([
-            { $group: { _id: "$vendor_id", averageScore: { $avg: "$score" } } }
-        ]);
-        res.json(result);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
+router.get('/average_score_by_vendor', cached(), (req, res) => sendAnalytics(res, async () => (
+    await fromView(req, 'vendor', ({ _id, averageScore }) => ({ _id, averageScore }))
+) ?? legacyRows(await runAnalytics({
+    filters: req.query,
+    groupBy: ['vendor_id'],
+    metrics: [{ op: 'avg', field: 'score', as: 'averageScore' }]
+}), 'vendor_id')));
 
 // GET /analytics/average-score-by-category aggregat du score moyen des categories
 /**
@@ -73,8 +100,13 @@ router.get('/average_score_by_vendor', async (req, res) => {
  * /analytics/average_score_by_category:
  *   get:
  *     summary: Récupère le score moyen par catégorie
+ *     description: Lu dans une vue matérialisée si ANALYTICS_VIEWS=true et sans filtre (à quelques instants près).
  *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Fresh'
  *     responses:
+ *       304:
+ *         description: Non modifié depuis l'ETag envoyé dans If-None-Match
  *       200:
  *         description: Score moyen par catégorie
  *         content:
@@ -91,16 +123,13 @@ router.get('/average_score_by_vendor', async (req, res) => {
  *                     type: number
  *                     description: Score moyen
  */
-router.get('/average_score_by_category', async (req, res) => {
-    try {
-        const result = await Potion.aggregate([
-            { $group: { _id: "$categories", averageScore: { $avg: "$score" } } }
-        ]);
-        res.json(result);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
+router.get('/average_score_by_category', cached(), (req, res) => sendAnalytics(res, async () => (
+    await fromView(req, 'category', ({ _id, averageScore }) => ({ _id, averageScore }))
+) ?? legacyRows(await runAnalytics({
+    filters: req.query,
+    groupBy: ['categories'],
+    metrics: [{ op: 'avg', field: 'score', as: 'averageScore' }]
+}), 'categories')));
 
 // GET /analytics/strength-flavor-ratio ratio entre force et parfum des potions
 /**
@@ -121,25 +150,297 @@ router.get('/average_score_by_category', async (req, res) => {
  *                 properties:
  *                   strengthFlavorRatio:
  *                     type: number
+ *                     nullable: true
+ *                     description: null si le parfum est nul ou absent
  */
-router.get('/strength_flavor_ratio', async (req, res) => {
-    try {
-        const result = await Potion.aggregate([
-            { $project: { strengthFlavorRatio: { $divide: ["$ratings.strength", "$ratings.flavor"] } } }
-        ]);
-        res.json(result);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
+router.get('/strength_flavor_ratio', cached(), async (req, res) => {
+    const result = await Potion.aggregate([
+        // Parfum nul ou absent : pas de ratio (null) plutôt qu'une division par zéro qui fait échouer l'agrégation
+        { $project: { strengthFlavorRatio: { $cond: [{ $gt: ["$ratings.flavor", 0] }, { $divide: ["$ratings.strength", "$ratings.flavor"] }, null] } } }
+    ]);
+    res.json(result);
+});
+
+// GET /analytics/query : requête analytique libre (dimensions, métriques, filtres, tri)
+/**
+ * @swagger
+ * /analytics/query:
+ *   get:
+ *     summary: Agrège les potions selon plusieurs dimensions et métriques
+ *     description: >
+ *       Les champs tableaux (categories, ingredients) sont dépliés : une potion compte dans chacun de ses groupes,
+ *       et une potion sans valeur est regroupée sous null. median et pNN nécessitent MongoDB 7.0 ou plus.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         description: Dimensions séparées par des virgules (aucune = un seul groupe global)
+ *         schema:
+ *           type: string
+ *           example: vendor_id,categories
+ *       - in: query
+ *         name: metrics
+ *         required: true
+ *         description: >
+ *           Métriques "opération:champ" séparées par des virgules. Opérations : count (sans champ), avg, sum,
+ *           min, max, median, stddev, p1 à p99. Champs : price, score, strength, flavor, reviews (nombre d'avis),
+ *           reviewScore (moyenne brute des avis).
+ *           Chaque métrique est renvoyée sous le nom "opération_champ" (ex. avg_score).
+ *         schema:
+ *           type: string
+ *           example: count,avg:score,p90:price
+ *       - in: query
+ *         name: sort
+ *         description: Dimensions ou métriques demandées, préfixe - pour un tri décroissant
+ *         schema:
+ *           type: string
+ *           example: -avg_score
+ *       - in: query
+ *         name: limit
+ *         description: Nombre maximum de groupes
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *       - $ref: '#/components/parameters/AnalyticsFilters'
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *     responses:
+ *       200:
+ *         description: Groupes agrégés
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groupBy:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 metrics:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     additionalProperties: true
+ *       400:
+ *         description: Dimension, métrique, tri ou filtre invalide
+ */
+router.get('/query', restrictedFlag('includeDeleted', 'potions:readDeleted'), cached(), (req, res) => sendAnalytics(res, async () => {
+    const spec = { ...parseAnalyticsQuery(req.query), withDeleted: req.includeDeleted };
+    return { groupBy: spec.groupBy, metrics: spec.metrics.map(m => m.as), data: await runAnalytics(spec) };
+}));
+
+// GET /analytics/stream : moyennes par vendeur et par catégorie en temps réel
+/**
+ * @swagger
+ * /analytics/stream:
+ *   get:
+ *     summary: Moyennes par vendeur et par catégorie en temps réel (Server-Sent Events)
+ *     description: |
+ *       Un événement snapshot donne l'état complet à la connexion (et à chaque reconnexion), puis chaque
+ *       événement averages ne contient que les vendeurs et catégories modifiés par un changement de potion.
+ *       Un groupe dont count vaut 0 n'a plus de potion. Les potions de la corbeille ne comptent pas.
+ *     tags: [Analytics]
+ *     responses:
+ *       200:
+ *         description: Flux text/event-stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 event: averages
+ *                 data: {"vendors":[{"vendor_id":"v1","count":3,"averageScore":4.2,"averagePrice":12.5}],"categories":[]}
+ */
+router.get('/stream', async (req, res) => {
+    await liveAnalytics.ensureLoaded();
+    const stream = openStream(req, res);
+    stream.send('snapshot', liveAnalytics.snapshot());
+    stream.onClose(liveAnalytics.onUpdate(update => stream.send('averages', update)));
 });
 
-// GET /analytics/search fonction de recherche avec 3 paramètres : 
-// grouper par vendeur ou catégorie, metrique au choix (avg, sum, count), champ au choix (score, price, ratings).
+// GET /analytics/timeseries : évolution par période (tryDate)
+/**
+ * @swagger
+ * /analytics/timeseries:
+ *   get:
+ *     summary: Série temporelle des potions par date d'essai (tryDate)
+ *     description: >
+ *       Découpe la plage [from, to] en périodes UTC (semaines commençant le lundi). Les périodes sans potion sont
+ *       renvoyées avec count 0. Les moyennes mobiles portent sur les `window` dernières périodes, pondérées par le
+ *       nombre de potions ; les deltas comparent chaque période à la précédente. `trend` donne la pente du score
+ *       moyen par période (up, down ou flat).
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month, year]
+ *           default: month
+ *       - in: query
+ *         name: from
+ *         description: Début de la plage (par défaut un an avant to)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Fin de la plage (par défaut maintenant)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: splitBy
+ *         description: Une série par vendeur, catégorie ou ingrédient
+ *         schema:
+ *           type: string
+ *           enum: [vendor_id, categories, ingredients]
+ *       - in: query
+ *         name: window
+ *         description: Nombre de périodes des moyennes mobiles
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 52
+ *           default: 3
+ *       - $ref: '#/components/parameters/AnalyticsFilters'
+ *     responses:
+ *       200:
+ *         description: Séries temporelles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 interval:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 window:
+ *                   type: integer
+ *                 splitBy:
+ *                   type: string
+ *                   nullable: true
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         nullable: true
+ *                       trend:
+ *                         type: object
+ *                         properties:
+ *                           scoreSlope:
+ *                             type: number
+ *                             nullable: true
+ *                           direction:
+ *                             type: string
+ *                             enum: [up, down, flat]
+ *                             nullable: true
+ *                       buckets:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             start:
+ *                               type: string
+ *                               format: date-time
+ *                             count:
+ *                               type: integer
+ *                             averageScore:
+ *                               type: number
+ *                               nullable: true
+ *                             averagePrice:
+ *                               type: number
+ *                               nullable: true
+ *                             movingAverageScore:
+ *                               type: number
+ *                               nullable: true
+ *                             movingAveragePrice:
+ *                               type: number
+ *                               nullable: true
+ *                             deltaCount:
+ *                               type: integer
+ *                               nullable: true
+ *                             deltaAverageScore:
+ *                               type: number
+ *                               nullable: true
+ *                             deltaAveragePrice:
+ *                               type: number
+ *                               nullable: true
+ *       400:
+ *         description: Paramètre invalide ou plage trop longue pour l'intervalle
+ */
+router.get('/timeseries', cached(), (req, res) => sendAnalytics(res, () => runTimeseries(parseTimeseriesQuery(req.query))));
+
+// GET /analytics/top_ingredients_by_category : ingrédients les plus utilisés par catégorie
+/**
+ * @swagger
+ * /analytics/top_ingredients_by_category:
+ *   get:
+ *     summary: Ingrédients les plus utilisés dans chaque catégorie
+ *     description: Compte, pour chaque catégorie, le nombre de potions utilisant chaque ingrédient.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: top
+ *         description: Nombre d'ingrédients par catégorie
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 5
+ *       - in: query
+ *         name: category
+ *         description: Catégories à inclure, séparées par des virgules (toutes par défaut)
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/AnalyticsFilters'
+ *     responses:
+ *       200:
+ *         description: Classement par catégorie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   category:
+ *                     type: string
+ *                   ingredients:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         potions:
+ *                           type: integer
+ *       400:
+ *         description: Paramètre invalide
+ */
+router.get('/top_ingredients_by_category', cached(), (req, res) => sendAnalytics(res, () => topIngredientsByCategory(req.query)));
+
+// GET /analytics/search : ancienne forme (une dimension, une métrique), conservée au-dessus de /analytics/query
 /**
  * @swagger
  * /analytics/search:
  *   get:
- *     summary: Récupère les statistiques de recherche
+ *     summary: Calcule une métrique par vendeur ou par catégorie
+ *     description: Ancienne forme de GET /analytics/query, limitée à une dimension et une métrique.
+ *     deprecated: true
  *     tags: [Analytics]
  *     parameters:
  *       - in: query
@@ -148,50 +449,44 @@ router.get('/strength_flavor_ratio', async (req, res) => {
  *         description: Champ pour grouper les résultats
  *         schema:
  *           type: string
- *           enum: [vendor_id, categories]
+ *           enum: [vendor_id, categories, ingredients]
  *       - in: query
  *         name: metric
  *         required: true
  *         description: Métrique à calculer
  *         schema:
  *           type: string
- *           enum: [avg, sum, count]
+ *           enum: [avg, sum, count, min, max, median, stddev]
  *       - in: query
  *         name: field
  *         required: true
- *         description: Champ à analyser
+ *         description: Champ à analyser (ignoré pour count)
  *         schema:
  *           type: string
- *           enum: [score, price, ratings]
+ *           enum: [score, price, strength, flavor, reviews, reviewScore]
+ *       - $ref: '#/components/parameters/AnalyticsFilters'
  *     responses:
  *       200:
- *         description: Résultats de la recherche
+ *         description: Une ligne { _id, <metric> } par groupe
  *       400:
  *         description: Erreur de validation des paramètres
  *       500:
  *        description: Erreur serveur
  */
-router.get('/search', async (req, res) => {
+router.get('/search', cached(), (req, res) => sendAnalytics(res, async () => {
     const { groupBy, metric, field } = req.query;
 
-    if (!groupBy || !metric || !field) {
-        return res.status(400).json({ error: 'Tous les paramètres sont requis.' });
+    if (!groupBy || !metric || !field) throw badRequest('Tous les paramètres sont requis.');
+    if (!DIMENSIONS[groupBy]) {
+        throw badRequest(`groupBy invalide. Utilisez ${Object.keys(DIMENSIONS).join(', ')}.`);
     }
 
-    const validMetrics = ['avg', 'sum', 'count'];
-    if (!validMetrics.includes(metric)) {
-        return res.status(400).json({ error: 'Métrique invalide. Utilisez avg, sum ou count.' });
-    }
-
-    try {
-        const result = await Potion.aggregate([
-            { $group: { _id: `$${groupBy}`, [metric]: { [`$${metric}`]: `$${field}` } } }
-        ]);
-        res.json(result);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
+    const spec = parseAnalyticsQuery({ ...req.query, metrics: metric === 'count' ? 'count' : `${metric}:${field}` });
+    spec.groupBy = [groupBy];
+    spec.metrics[0].as = metric;
+    spec.limit = undefined;
+    return legacyRows(await runAnalytics(spec), groupBy);
+}));
 
 // grouper par vendeur (avg, sum, count), avec price
 /**
@@ -199,8 +494,13 @@ router.get('/search', async (req, res) => {
  * /analytics/group:
  *   get:
  *     summary: Récupère les statistiques de prix par vendeur
+ *     description: Lu dans une vue matérialisée si ANALYTICS_VIEWS=true et sans filtre (à quelques instants près).
  *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Fresh'
  *     responses:
+ *       304:
+ *         description: Non modifié depuis l'ETag envoyé dans If-None-Match
  *       200:
  *         description: Statistiques de prix par vendeur
  *         content:
@@ -219,15 +519,12 @@ router.get('/search', async (req, res) => {
  *                   totalCount:
  *                     type: number
  */
-router.get('/group', async (req, res) => {
-    try {
-        const result = await Potion.aggregate([
-            { $group: { _id: "$vendor_id", averagePrice: { $avg: "$price" }, totalCount: { $sum: 1 } } }
-        ]);
-        res.json(result);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
+router.get('/group', cached(), (req, res) => sendAnalytics(res, async () => (
+    await fromView(req, 'vendor', ({ _id, averagePrice, count }) => ({ _id, averagePrice, totalCount: count }))
+) ?? legacyRows(await runAnalytics({
+    filters: req.query,
+    groupBy: ['vendor_id'],
+    metrics: [{ op: 'avg', field: 'price', as: 'averagePrice' }, { op: 'count', as: 'totalCount' }]
+}), 'vendor_id')));
 
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,118 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../model/user');
-const { body, validationResult } = require('express-validator');
+const UserToken = require('../model/userToken');
+const PriceAlert = require('../model/priceAlert');
+const Notification = require('../model/notification');
+const { body, param, validationResult, checkExact } = require('express-validator');
+const { ROLES, authorize } = require('../middleware/permissions');
+const sessions = require('../lib/sessions');
+const throttle = require('../lib/throttle');
+const { issueUserToken, consumeUserToken } = require('../lib/userTokens');
+const { sendMail } = require('../lib/mailer');
+const { checkPassword, passwordValidator } = require('../lib/passwordPolicy');
+const { validate } = require('../middleware/validation');
+const { vendorExists } = require('../validators/potion');
+const { deleteUserReviews } = require('../lib/reviews');
+const { recordAudit } = require('../lib/audit');
+const { publish } = require('../lib/webhooks');
+const { authenticateApiKey } = require('../lib/apiKeys');
+const ApiKey = require('../model/apiKey');
+const { BadRequestError, FieldValidationError, UnauthorizedError, ForbiddenError, NotFoundError, fieldError, onDuplicate } = require('../lib/errors');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret';
+const { JWT_SECRET, ACCESS_TOKEN_TTL } = sessions;
 const COOKIE_NAME = process.env.COOKIE_NAME || 'demo_node+mongo_token';
+const REFRESH_COOKIE_NAME = process.env.REFRESH_COOKIE_NAME || 'demo_node+mongo_refresh';
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Le refresh token n'est envoyé qu'aux routes /auth
+function setAuthCookies(res, { accessToken, refreshToken }) {
+  res.cookie(COOKIE_NAME, accessToken, { httpOnly: true, sameSite: 'strict', secure: false });
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: false,
+    path: '/auth',
+    maxAge: sessions.REFRESH_TOKEN_MAX_AGE
+  });
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie(COOKIE_NAME);
+  res.clearCookie(REFRESH_COOKIE_NAME, { path: '/auth' });
+}
+
+function clientInfo(req) {
+  return { userAgent: req.get('User-Agent'), ip: req.ip };
+}
+
+// Clés de throttling : par nom d'utilisateur et par IP pour /login, par IP pour /register
+function loginKeys(req) {
+  return [[throttle.POLICIES.loginUser, String(req.body?.username ?? '')], [throttle.POLICIES.loginIp, req.ip]];
+}
+
+function registerKeys(req) {
+  return [[throttle.POLICIES.registerIp, req.ip]];
+}
+
+function forgotPasswordKeys(req) {
+  return [[throttle.POLICIES.forgotPasswordIp, req.ip]];
+}
+
+// Règles partagées entre l'inscription et la modification du profil
+function usernameRule(chain) {
+  return chain.isString().withMessage('Le nom d’utilisateur est requis.').bail()
+    .trim().escape()
+    .notEmpty().withMessage('Le nom d’utilisateur est requis.')
+    .isLength({ min: 3, max: 30 }).withMessage('Doit faire entre 3 et 30 caractères.');
+}
+
+function emailRule(chain) {
+  return chain.isString().withMessage('Adresse e-mail invalide.').bail()
+    .trim().isEmail().withMessage('Adresse e-mail invalide.')
+    .toLowerCase();
+}
+
+function profile(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    role: user.role,
+    vendor_id: user.vendor_id,
+    createdAt: user.createdAt
+  };
+}
+
+// Chaque tentative consomme le quota de l'IP, qu'elle aboutisse ou non
+function countAttempt(keysFor) {
+  return async (req, res, next) => {
+    await throttle.fail(keysFor(req));
+    next();
+  };
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user, 'email_verification');
+  await sendMail({
+    to: user.email,
+    subject: 'Confirmez votre adresse e-mail',
+    text: `Bonjour ${user.username},\n\nConfirmez votre adresse en ouvrant ce lien (valable 24 h) :\n`
+      + `${APP_URL}/auth/verify-email?token=${token}\n`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueUserToken(user, 'password_reset');
+  await sendMail({
+    to: user.email,
+    subject: 'Réinitialisation de votre mot de passe',
+    text: `Bonjour ${user.username},\n\nUtilisez ce jeton avec POST /auth/reset-password (valable 1 h) :\n${token}\n\n`
+      + 'Si vous n’êtes pas à l’origine de cette demande, ignorez cet e-mail.\n'
+  });
+}
 
 /**
  * @swagger
@@ -24,34 +131,146 @@ const COOKIE_NAME = process.env.COOKIE_NAME || 'demo_node+mongo_token';
  *           maxLength: 30
  *         password:
  *           type: string
- *           description: Mot de passe de l'utilisateur
- *           minLength: 6
+ *           description: |
+ *             Mot de passe de l'utilisateur. Par défaut : 8 caractères minimum, au moins une minuscule,
+ *             une majuscule et un chiffre, absent de la liste des mots de passe courants
+ *             et ne contenant pas le nom d'utilisateur.
+ *           minLength: 8
  *           format: password
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Adresse facultative (vérification et mot de passe oublié)
+ *     Role:
+ *       type: string
+ *       enum: [admin, moderator, vendor, customer]
+ *       description: |
+ *         - admin : gère toutes les potions et les comptes
+ *         - moderator : masque et supprime les avis
+ *         - vendor : gère uniquement les potions de son vendor_id
+ *         - customer : lecture et avis (rôle par défaut à l'inscription)
+ *     Profile:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         username:
+ *           type: string
+ *         email:
+ *           type: string
+ *         emailVerified:
+ *           type: boolean
+ *         role:
+ *           $ref: '#/components/schemas/Role'
+ *         vendor_id:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         device:
+ *           type: string
+ *           description: User-Agent du client
+ *         ip:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: Session utilisée par la requête
  */
 
-function authMiddleware(req, res, next) {
-  const token = req.cookies?.[COOKIE_NAME];
+// Jeton d'accès présenté par un client sans cookies : Authorization: Bearer <jwt>
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Authentifie la requête : clé d'API (X-API-Key), jeton d'accès (Authorization: Bearer) ou cookie posé
+ * par /auth/login, dans cet ordre. Pose req.user ; avec une clé, req.user.apiKey porte ses portées.
+ */
+async function authMiddleware(req, res, next) {
+  // Déjà identifiée par identifyApiKey
+  if (req.user) return next();
+
+  const apiKey = req.get('X-API-Key');
+  if (apiKey !== undefined) {
+    req.user = await authenticateApiKey(apiKey, clientInfo(req));
+    return next();
+  }
+
+  const token = bearerToken(req) ?? req.cookies?.[COOKIE_NAME];
 
   // Vérification de présence et format du token
   if (!token || typeof token !== 'string' || token.trim() === '') {
-    return res.status(401).json({ error: 'Token d’authentification manquant ou invalide' });
+    throw new UnauthorizedError();
   }
 
-  // Vérification du token JWT
+  // Vérification du token JWT puis de la session associée (révocation côté serveur)
+  let payload;
   try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Session expirée, veuillez vous reconnecter.' });
+      throw new UnauthorizedError('Session expirée, veuillez vous reconnecter.', { code: 'token_expired' });
     }
     if (err.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Jeton non valide.' });
+      throw new UnauthorizedError('Jeton non valide.', { code: 'invalid_token' });
     }
-    return res.status(500).json({ error: 'Erreur d’authentification' });
+    throw err;
+  }
+
+  const session = payload.sid && await sessions.touchSession(payload.sid, clientInfo(req));
+  if (!session) throw new UnauthorizedError('Session révoquée, veuillez vous reconnecter.', { code: 'session_revoked' });
+  req.user = payload;
+  next();
+}
+
+/**
+ * Monté avant toutes les routes : une requête qui présente une clé d'API est identifiée dès l'entrée,
+ * pour que les quotas (lib/rateLimit) et les portées s'appliquent aussi aux routes publiques.
+ */
+async function identifyApiKey(req, res, next) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey !== undefined) req.user = await authenticateApiKey(apiKey, clientInfo(req));
+  next();
+}
+
+// Compte, sessions et clés d'API ne se gèrent qu'avec une session : une clé ne peut pas en créer d'autres
+function rejectApiKey(req, res, next) {
+  if (req.get('X-API-Key') !== undefined) {
+    throw new ForbiddenError('Cette route n’accepte pas les clés d’API : connectez-vous.', { code: 'api_key_not_allowed' });
   }
+  next();
 }
 
+/**
+ * Paramètre de requête réservé (ex. ?includeDeleted=true) sur une route publique : s'il vaut "true",
+ * une session avec la permission donnée est exigée et req[flag] passe à true.
+ */
+function restrictedFlag(flag, permission) {
+  const check = authorize(permission);
+  return (req, res, next) => {
+    if (req.query[flag] !== 'true') return next();
+    // La promesse est renvoyée pour qu'Express reçoive un éventuel refus
+    return authMiddleware(req, res, () => check(req, res, () => {
+      req[flag] = true;
+      next();
+    }));
+  };
+}
+
+router.use(rejectApiKey);
+
 // POST /auth/register  toujours passer les inputs user au sanitize()
 /**
  * @swagger
@@ -70,27 +289,33 @@ function authMiddleware(req, res, next) {
  *         description: Utilisateur créé avec succès
  *       400:
  *        description: Erreur de validation
+ *       409:
+ *        description: Nom d'utilisateur ou e-mail déjà utilisé (code account_exists)
+ *       429:
+ *        description: Trop d'inscriptions depuis cette IP (en-tête Retry-After)
  *       500:
  *        description: Erreur système
  */
-router.post('/register', [
-    body('username').trim().escape()
-        .notEmpty().withMessage('Le nom d’utilisateur est requis.')
-        .isLength({ min: 3, max: 30 }).withMessage('Doit faire entre 3 et 30 caractères.'),
-    body('password').trim().escape()
-        .notEmpty().withMessage('Le mot de passe est requis.')
-        .isLength({ min: 6 }).withMessage('Minimum 6 caractères.')
+router.post('/register', throttle.guard(registerKeys, 'Trop d’inscriptions depuis cette adresse, réessayez plus tard.'), countAttempt(registerKeys), [
+    usernameRule(body('username')),
+    // Le mot de passe n'est jamais nettoyé (trim/escape) : il est stocké tel que saisi, hashé
+    body('password').custom(passwordValidator('username')),
+    emailRule(body('email').optional())
     ], async (req, res) => {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-    try {
-      const user = new User(req.body);
-      await user.save();
-      res.status(201).json({ message: 'Utilisateur créé' });
-    } catch (err) {
-      if (err.code === 11000) return res.status(500).json({ error: 'Erreur système' });
-      res.status(400).json({ error: err.message });
+    if (!errors.isEmpty()) throw new FieldValidationError(errors.array());
+    // Le rôle n'est jamais pris dans le body : un compte s'inscrit toujours en customer
+    const { username, password, email } = req.body;
+    const user = new User({ username, password, email });
+    await user.save().catch(onDuplicate('Nom d’utilisateur ou e-mail déjà utilisé.', 'account_exists'));
+    await recordAudit(req, { action: 'register', entity: 'user', entityId: user._id, actor: user });
+    publish('user.registered', { user: { _id: user._id, username: user.username, role: user.role, createdAt: user.createdAt } });
+
+    // Un échec d'envoi n'annule pas l'inscription : l'e-mail peut être redemandé
+    if (user.email) {
+      await sendVerificationEmail(user).catch(err => console.error('Erreur envoi e-mail :', err));
     }
+    res.status(201).json({ message: 'Utilisateur créé' });
 });
 
 // POST /auth/login
@@ -108,32 +333,77 @@ router.post('/register', [
  *            $ref: '#/components/schemas/User'
  *     responses:
  *       201:
- *         description: Utilisateur connecté avec succès
+ *         description: |
+ *           Utilisateur connecté avec succès : cookies de session posés. accessToken (même jeton que le cookie)
+ *           s'utilise aussi dans l'en-tête Authorization: Bearer, pour les clients sans cookies.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 accessToken: { type: string }
+ *                 expiresIn: { type: string, example: 15m }
+ *       400:
+ *        description: Nom d'utilisateur ou mot de passe absent
  *       401:
- *        description: Erreur de validation
+ *        description: Identifiants invalides (code invalid_credentials)
+ *       429:
+ *        description: Trop d'échecs, compte ou IP temporairement bloqué (en-tête Retry-After)
  *       500:
  *        description: Erreur système
  */
-router.post('/login', async (req, res) => {
+router.post('/login', throttle.guard(loginKeys), [
+  body('username').isString().withMessage('Le nom d’utilisateur est requis.').bail().notEmpty().withMessage('Le nom d’utilisateur est requis.'),
+  body('password').isString().withMessage('Le mot de passe est requis.').bail().notEmpty().withMessage('Le mot de passe est requis.')
+  ], validate, async (req, res) => {
   // Extraction correcte des champs du body
   const { username, password } = req.body;
   
   // Recherche de l'utilisateur
   const user = await User.findOne({ username });
   if (!user || !(await user.comparePassword(password))) {
-      return res.status(401).json({ error: 'Identifiants invalides' });
+      await throttle.fail(loginKeys(req));
+      await recordAudit(req, { action: 'login_failed', entity: 'user', entityId: user?._id, details: { username: String(username ?? '') } });
+      throw new UnauthorizedError('Identifiants invalides', { code: 'invalid_credentials' });
   }
 
-  const token = jwt.sign({ id: user._id, username: user.username }, JWT_SECRET, { expiresIn: '1d' });
+  // Connexion réussie : le compteur du compte repart de zéro (celui de l'IP continue de décroître seul)
+  await throttle.reset(throttle.POLICIES.loginUser, user.username);
 
-  res.cookie(COOKIE_NAME, token, {
-    httpOnly: true,
-    sameSite: 'strict',
-    secure: false,
-    maxAge: 24 * 60 * 60 * 1000 // durée de vie 24h
-  });
+  // Jeton d'accès court + refresh token tournant rattachés à une nouvelle session
+  const tokens = await sessions.createSession(user, clientInfo(req));
+  setAuthCookies(res, tokens);
+  await recordAudit(req, { action: 'login', entity: 'user', entityId: user._id, actor: user });
 
-  res.json({ message: 'Connecté avec succès' });
+  // Le jeton d'accès est aussi renvoyé pour les clients sans cookies (Authorization: Bearer)
+  res.json({ message: 'Connecté avec succès', accessToken: tokens.accessToken, expiresIn: ACCESS_TOKEN_TTL });
+});
+
+// POST /auth/refresh : échange le refresh token contre une nouvelle paire de jetons
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Renouvelle le jeton d'accès à partir du refresh token (cookie)
+ *     description: Le refresh token est remplacé à chaque appel. Rejouer un ancien refresh token révoque la session.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Nouveaux cookies posés
+ *       401:
+ *         description: Refresh token absent, invalide, expiré, révoqué ou réutilisé
+ */
+router.post('/refresh', async (req, res) => {
+    let tokens;
+    try {
+      tokens = await sessions.rotateSession(req.cookies?.[REFRESH_COOKIE_NAME], clientInfo(req));
+    } catch (err) {
+      if (err.status === 401) clearAuthCookies(res);
+      throw err;
+    }
+    setAuthCookies(res, tokens);
+    res.json({ message: 'Session renouvelée' });
 });
 
 // GET /auth/logout
@@ -142,15 +412,576 @@ router.post('/login', async (req, res) => {
  * /auth/logout:
  *   get:
  *     summary: Déconnecte un utilisateur
+ *     description: Révoque la session courante côté serveur et efface les cookies.
  *     tags: [Auth]
  *     responses:
  *       200:
  *         description: Utilisateur déconnecté avec succès
  */
-router.get('/logout', (req, res) => {
-    res.clearCookie(COOKIE_NAME);
+router.get('/logout', async (req, res) => {
+    // La session est révoquée côté serveur : ses jetons deviennent inutilisables
+    try {
+      await sessions.endSession(req.cookies?.[REFRESH_COOKIE_NAME]);
+    } catch (err) {
+      // Pas de refresh token valide : il n'y a rien à révoquer
+    }
+    clearAuthCookies(res);
     res.json({ message: 'Déconnecté' });
 });
 
+// GET /auth/sessions : sessions actives de l'utilisateur connecté
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: Liste les sessions actives de l'utilisateur connecté
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions actives, de la plus récemment utilisée à la plus ancienne
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Non authentifié
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+    const active = await sessions.listActiveSessions(req.user.id);
+    res.json(active.map(session => ({
+      id: session._id,
+      device: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: String(session._id) === String(req.user.sid)
+    })));
+});
+
+// DELETE /auth/sessions : révoquer toutes les sessions (sauf la courante avec ?keepCurrent=true)
+/**
+ * @swagger
+ * /auth/sessions:
+ *   delete:
+ *     summary: Révoque toutes les sessions de l'utilisateur connecté
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: keepCurrent
+ *         in: query
+ *         description: Conserver la session utilisée par la requête
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Nombre de sessions révoquées
+ *       401:
+ *         description: Non authentifié
+ */
+router.delete('/sessions', authMiddleware, async (req, res) => {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await sessions.revokeUserSessions(req.user.id, { except: keepCurrent ? req.user.sid : undefined });
+    if (!keepCurrent) clearAuthCookies(res);
+    res.json({ revoked });
+});
+
+// DELETE /auth/sessions/:id : révoquer une session
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Révoque une session de l'utilisateur connecté
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la session
+ *     responses:
+ *       200:
+ *         description: Session révoquée
+ *       400:
+ *         description: ID invalide
+ *       401:
+ *         description: Non authentifié
+ *       404:
+ *         description: Session introuvable ou déjà révoquée
+ */
+router.delete('/sessions/:id', authMiddleware, [
+    param('id').isMongoId().withMessage('ID de session invalide.')
+    ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new FieldValidationError(errors.array());
+    const revoked = await sessions.revokeUserSessions(req.user.id, { sessionId: req.params.id });
+    if (!revoked) throw new NotFoundError('Session introuvable');
+    if (req.params.id === String(req.user.sid)) clearAuthCookies(res);
+    res.json({ revoked });
+});
+
+// PATCH /auth/users/:id/role : attribuer un rôle (admin uniquement)
+/**
+ * @swagger
+ * /auth/users/{id}/role:
+ *   patch:
+ *     summary: Modifie le rôle d'un utilisateur
+ *     description: "Rôle requis : admin. Un vendeur doit être lié au vendor_id d'un vendeur existant. Un changement de rôle révoque les sessions de l'utilisateur."
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de l'utilisateur
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 $ref: '#/components/schemas/Role'
+ *               vendor_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rôle mis à jour
+ *       400:
+ *         description: Erreur de validation
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Utilisateur introuvable
+ */
+router.patch('/users/:id/role', authMiddleware, authorize('users:manage'), [
+    param('id').isMongoId().withMessage('ID utilisateur invalide.'),
+    body('role').isIn(ROLES).withMessage(`Le rôle doit être l'un de : ${ROLES.join(', ')}.`),
+    body('vendor_id')
+        .if(body('role').equals('vendor'))
+        .isString().trim().notEmpty().withMessage('Un vendeur doit être lié à un vendor_id.').bail()
+        .custom(vendorExists)
+    ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new FieldValidationError(errors.array());
+    const user = await User.findById(req.params.id);
+    if (!user) throw new NotFoundError('Utilisateur introuvable');
+
+    const previous = `${user.role}:${user.vendor_id}`;
+    user.role = req.body.role;
+    user.vendor_id = req.body.role === 'vendor' ? req.body.vendor_id : undefined;
+    await user.save();
+    // Le rôle est lu dans les jetons d'accès : les sessions en cours sont révoquées pour qu'il s'applique aussitôt
+    if (`${user.role}:${user.vendor_id}` !== previous) {
+        await sessions.revokeUserSessions(user._id, { reason: 'role_change' });
+    }
+    res.json({ id: user._id, username: user.username, role: user.role, vendor_id: user.vendor_id });
+});
+
+// GET /auth/verify-email?token= : lien reçu par e-mail après l'inscription
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   get:
+ *     summary: Confirme l'adresse e-mail d'un utilisateur
+ *     tags: [Auth]
+ *     parameters:
+ *       - name: token
+ *         in: query
+ *         required: true
+ *         description: Jeton reçu par e-mail
+ *     responses:
+ *       200:
+ *         description: Adresse confirmée
+ *       400:
+ *         description: Jeton invalide, expiré ou déjà utilisé
+ */
+router.get('/verify-email', async (req, res) => {
+    const userId = await consumeUserToken(req.query.token, 'email_verification');
+    if (!userId) throw new BadRequestError('Lien de vérification invalide ou expiré.');
+
+    await User.updateOne({ _id: userId }, { $set: { emailVerified: true } });
+    res.json({ message: 'Adresse e-mail confirmée' });
+});
+
+// POST /auth/resend-verification : renvoyer l'e-mail de vérification
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Renvoie l'e-mail de vérification à l'utilisateur connecté
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: E-mail envoyé
+ *       400:
+ *         description: Aucune adresse à vérifier
+ *       401:
+ *         description: Non authentifié
+ */
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user?.email || user.emailVerified) throw new BadRequestError('Aucune adresse e-mail à vérifier.');
+
+    await sendVerificationEmail(user);
+    res.json({ message: 'E-mail de vérification envoyé' });
+});
+
+// POST /auth/forgot-password : envoie un jeton de réinitialisation si l'adresse est connue
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Demande la réinitialisation du mot de passe
+ *     description: La réponse est identique que l'adresse existe ou non.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Demande prise en compte
+ *       400:
+ *         description: Erreur de validation
+ *       429:
+ *         description: Trop de demandes depuis cette IP (en-tête Retry-After)
+ */
+router.post('/forgot-password',
+  throttle.guard(forgotPasswordKeys, 'Trop de demandes depuis cette adresse, réessayez plus tard.'),
+  countAttempt(forgotPasswordKeys), [
+    body('email').trim().isEmail().withMessage('Adresse e-mail invalide.').toLowerCase()
+    ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new FieldValidationError(errors.array());
+    const user = await User.findOne({ email: req.body.email });
+    if (user) await sendPasswordResetEmail(user);
+    res.json({ message: 'Si cette adresse est connue, un e-mail de réinitialisation a été envoyé.' });
+});
+
+// POST /auth/reset-password : définit un nouveau mot de passe à partir du jeton reçu
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Réinitialise le mot de passe avec le jeton reçu par e-mail
+ *     description: Le jeton n'est utilisable qu'une fois. Toutes les sessions de l'utilisateur sont révoquées.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Mot de passe modifié
+ *       400:
+ *         description: Jeton invalide, expiré ou déjà utilisé, ou mot de passe refusé
+ */
+router.post('/reset-password', [
+    body('token').isString().notEmpty().withMessage('Le jeton est requis.'),
+    body('password').custom(passwordValidator())
+    ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new FieldValidationError(errors.array());
+    const userId = await consumeUserToken(req.body.token, 'password_reset');
+    const user = userId && await User.findById(userId);
+    if (!user) throw new BadRequestError('Jeton de réinitialisation invalide ou expiré.');
+
+    // Le nom d'utilisateur n'est connu qu'une fois le jeton consommé
+    const problems = checkPassword(req.body.password, { username: user.username });
+    if (problems.length) {
+      throw new FieldValidationError([fieldError('password', problems.join(' '))]);
+    }
+
+    user.password = req.body.password;
+    // Recevoir le jeton prouve la possession de l'adresse
+    if (user.email) user.emailVerified = true;
+    await user.save();
+
+    await sessions.revokeUserSessions(user._id, { reason: 'password_reset' });
+    await throttle.reset(throttle.POLICIES.loginUser, user.username);
+    res.json({ message: 'Mot de passe modifié, veuillez vous reconnecter.' });
+});
+
+// GET /auth/me : profil de l'utilisateur connecté
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Récupère le profil de l'utilisateur connecté
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Profile'
+ *       401:
+ *         description: Non authentifié
+ *       404:
+ *         description: Compte supprimé
+ */
+router.get('/me', authMiddleware, async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) throw new NotFoundError('Utilisateur introuvable');
+    res.json(profile(user));
+});
+
+// PATCH /auth/me : modifier son nom d'utilisateur ou son e-mail
+/**
+ * @swagger
+ * /auth/me:
+ *   patch:
+ *     summary: Modifie le profil de l'utilisateur connecté
+ *     description: Seuls username et email sont modifiables. Une nouvelle adresse doit être vérifiée à nouveau.
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 30
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 nullable: true
+ *                 description: null pour retirer l'adresse
+ *     responses:
+ *       200:
+ *         description: Profil mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Profile'
+ *       400:
+ *         description: Erreur de validation
+ *       401:
+ *         description: Non authentifié
+ *       409:
+ *         description: Nom d'utilisateur ou e-mail déjà utilisé
+ */
+router.patch('/me', authMiddleware, checkExact([
+    usernameRule(body('username').optional()),
+    emailRule(body('email').optional({ values: 'null' }))
+    ], { locations: ['body'] }), validate, async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) throw new NotFoundError('Utilisateur introuvable');
+
+    const { username, email } = req.body;
+    if (username !== undefined) user.username = username;
+    const emailChanged = email !== undefined && (email || undefined) !== user.email;
+    if (emailChanged) {
+      user.email = email || undefined;
+      user.emailVerified = false;
+    }
+    await user.save().catch(onDuplicate('Nom d’utilisateur ou e-mail déjà utilisé.', 'account_exists'));
+
+    if (emailChanged && user.email) {
+      await sendVerificationEmail(user).catch(err => console.error('Erreur envoi e-mail :', err));
+    }
+    res.json(profile(user));
+});
+
+// POST /auth/change-password : changer son mot de passe (mot de passe actuel requis)
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change le mot de passe de l'utilisateur connecté
+ *     description: Les autres sessions de l'utilisateur sont révoquées, la session courante est conservée.
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Mot de passe modifié
+ *       400:
+ *         description: Nouveau mot de passe refusé par la politique
+ *       401:
+ *         description: Non authentifié ou mot de passe actuel incorrect
+ */
+router.post('/change-password', authMiddleware, [
+    body('currentPassword').isString().notEmpty().withMessage('Le mot de passe actuel est requis.'),
+    body('newPassword').custom(passwordValidator())
+        .custom((value, { req }) => value !== req.body.currentPassword)
+        .withMessage('Le nouveau mot de passe doit être différent de l’actuel.')
+    ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new FieldValidationError(errors.array());
+    const user = await User.findById(req.user.id);
+    if (!user) throw new NotFoundError('Utilisateur introuvable');
+    if (!(await user.comparePassword(req.body.currentPassword))) {
+      throw new UnauthorizedError('Mot de passe actuel incorrect.');
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+    await sessions.revokeUserSessions(user._id, { except: req.user.sid, reason: 'password_change' });
+    res.json({ message: 'Mot de passe modifié' });
+});
+
+// DELETE /auth/me : supprimer son compte (mot de passe requis)
+/**
+ * @swagger
+ * /auth/me:
+ *   delete:
+ *     summary: Supprime le compte de l'utilisateur connecté
+ *     description: Toutes les sessions, tous les jetons et tous les avis du compte sont supprimés.
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Compte supprimé
+ *       400:
+ *         description: Mot de passe manquant
+ *       401:
+ *         description: Non authentifié ou mot de passe incorrect
+ */
+router.delete('/me', authMiddleware, [
+    body('password').isString().notEmpty().withMessage('Le mot de passe est requis pour supprimer le compte.')
+    ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new FieldValidationError(errors.array());
+    const user = await User.findById(req.user.id);
+    if (!user) throw new NotFoundError('Utilisateur introuvable');
+    if (!(await user.comparePassword(req.body.password))) {
+      throw new UnauthorizedError('Mot de passe incorrect.');
+    }
+
+    await user.deleteOne();
+    await sessions.revokeUserSessions(user._id, { reason: 'account_deleted' });
+    await UserToken.deleteMany({ user: user._id });
+    await deleteUserReviews(user._id);
+    await PriceAlert.deleteMany({ user: user._id });
+    await Notification.deleteMany({ user: user._id });
+    await ApiKey.deleteMany({ user: user._id });
+    clearAuthCookies(res);
+    res.json({ message: 'Compte supprimé' });
+});
+
+// POST /auth/users/:id/unlock : lever le verrouillage d'un compte (admin uniquement)
+/**
+ * @swagger
+ * /auth/users/{id}/unlock:
+ *   post:
+ *     summary: Déverrouille un compte bloqué après trop d'échecs de connexion
+ *     description: "Rôle requis : admin."
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de l'utilisateur
+ *     responses:
+ *       200:
+ *         description: Compte déverrouillé
+ *       400:
+ *         description: ID invalide
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Utilisateur introuvable
+ */
+router.post('/users/:id/unlock', authMiddleware, authorize('users:manage'), [
+    param('id').isMongoId().withMessage('ID utilisateur invalide.')
+    ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new FieldValidationError(errors.array());
+    const user = await User.findById(req.params.id);
+    if (!user) throw new NotFoundError('Utilisateur introuvable');
+
+    await throttle.reset(throttle.POLICIES.loginUser, user.username);
+    res.json({ message: 'Compte déverrouillé' });
+});
+
 module.exports = router;
-module.exports.authMiddleware = authMiddleware;
\ No newline at end of file
+module.exports.authMiddleware = authMiddleware;
+module.exports.identifyApiKey = identifyApiKey;
+module.exports.rejectApiKey = rejectApiKey;
+module.exports.restrictedFlag = restrictedFlag;
\ No newline at end of file
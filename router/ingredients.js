@@ -0,0 +1,271 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Ingredient = require('../model/ingredient');
+const Potion = require('../model/potion');
+const { authMiddleware } = require('./auth');
+const { authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validation');
+const { ingredientRules } = require('../validators/ingredient');
+const { toList } = require('../lib/potionQuery');
+const { potionSnapshot, recordPotionChange } = require('../lib/audit');
+const { NotFoundError, ConflictError, onDuplicate } = require('../lib/errors');
+
+const NOT_FOUND = 'Ingrédient introuvable';
+const DUPLICATE = 'Un ingrédient porte déjà ce nom.';
+
+async function findIngredient(id) {
+  return mongoose.isValidObjectId(id) ? Ingredient.findById(id) : null;
+}
+
+// Reporte un renommage dans les potions (corbeille comprise), une par une : chaque potion reçoit une nouvelle
+// version journalisée et publiée comme toute écriture (historique, webhooks, flux, cache des réponses)
+async function renameInPotions(req, from, to) {
+  const potions = await Potion.find({ 'ingredients.name': from }, '_id').setOptions({ withDeleted: true }).lean();
+  for (const { _id } of potions) {
+    const potion = await Potion.findOneAndUpdate(
+      { _id, 'ingredients.name': from },
+      { $set: { 'ingredients.$[item].name': to }, $inc: { __v: 1 } },
+      { arrayFilters: [{ 'item.name': from }], returnDocument: 'before' }
+    );
+    if (!potion) continue;
+    const before = potionSnapshot(potion);
+    for (const item of potion.ingredients) if (item.name === from) item.name = to;
+    potion.__v += 1;
+    await recordPotionChange(req, 'update', potion, before, { source: 'ingredient', renamed: { from, to } });
+  }
+}
+
+function ingredientBody(body) {
+  const { name, rarity, unit, unitCost, allergens, toxic } = body;
+  return { name, rarity, unit, unitCost, allergens, toxic };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CatalogueIngredient:
+ *       type: object
+ *       additionalProperties: false
+ *       required:
+ *         - name
+ *         - unit
+ *         - unitCost
+ *       properties:
+ *         _id:
+ *           type: string
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           description: Nom repris dans ingredients.name des potions
+ *         rarity:
+ *           type: string
+ *           enum: [commun, peu commun, rare, légendaire]
+ *           default: commun
+ *         unit:
+ *           type: string
+ *           enum: [g, kg, ml, l, goutte, pincée, pièce]
+ *         unitCost:
+ *           type: number
+ *           minimum: 0
+ *           description: Coût d'une unité
+ *         allergens:
+ *           type: array
+ *           items:
+ *             type: string
+ *         toxic:
+ *           type: boolean
+ *           default: false
+ */
+
+// GET /ingredients : catalogue
+/**
+ * @swagger
+ * /ingredients:
+ *   get:
+ *     summary: Liste le catalogue des ingrédients
+ *     tags: [Ingredients]
+ *     parameters:
+ *       - name: rarity
+ *         in: query
+ *         description: Raretés acceptées, séparées par des virgules
+ *         schema:
+ *           type: string
+ *       - name: toxic
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - name: allergen_free
+ *         in: query
+ *         description: Exclut les ingrédients contenant l'un de ces allergènes
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ingrédients triés par nom
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CatalogueIngredient'
+ */
+router.get('/', authorize('ingredients:read'), async (req, res) => {
+  const filter = {};
+  const rarities = toList(req.query.rarity);
+  if (rarities.length) filter.rarity = { $in: rarities };
+  if (req.query.toxic === 'true' || req.query.toxic === 'false') filter.toxic = req.query.toxic === 'true';
+  const allergens = toList(req.query.allergen_free).map(a => a.toLowerCase());
+  if (allergens.length) filter.allergens = { $nin: allergens };
+  res.json(await Ingredient.find(filter).sort({ name: 1 }));
+});
+
+// GET /ingredients/:id : fiche et nombre de potions qui l'utilisent
+/**
+ * @swagger
+ * /ingredients/{id}:
+ *   get:
+ *     summary: Récupère un ingrédient du catalogue
+ *     tags: [Ingredients]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de l'ingrédient
+ *     responses:
+ *       200:
+ *         description: Fiche de l'ingrédient, avec le nombre de potions qui l'utilisent (usedBy)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CatalogueIngredient'
+ *                 - type: object
+ *                   properties:
+ *                     usedBy:
+ *                       type: integer
+ *       404:
+ *         description: Ingrédient introuvable
+ */
+router.get('/:id', authorize('ingredients:read'), async (req, res) => {
+  const ingredient = await findIngredient(req.params.id);
+  if (!ingredient) throw new NotFoundError(NOT_FOUND);
+  const usedBy = await Potion.countDocuments({ 'ingredients.name': ingredient.name });
+  res.json({ ...ingredient.toJSON(), usedBy });
+});
+
+// POST /ingredients : ajouter un ingrédient au catalogue
+/**
+ * @swagger
+ * /ingredients:
+ *   post:
+ *     summary: Ajoute un ingrédient au catalogue
+ *     description: "Rôle requis : admin."
+ *     tags: [Ingredients]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CatalogueIngredient'
+ *     responses:
+ *       201:
+ *         description: Ingrédient créé
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       409:
+ *         description: Nom déjà utilisé
+ */
+router.post('/', authMiddleware, authorize('ingredients:manage'), ingredientRules, validate, async (req, res) => {
+  res.status(201).json(await Ingredient.create(ingredientBody(req.body)).catch(onDuplicate(DUPLICATE)));
+});
+
+// PUT /ingredients/:id : remplacer une fiche (un renommage est reporté sur les potions)
+/**
+ * @swagger
+ * /ingredients/{id}:
+ *   put:
+ *     summary: Remplace la fiche d'un ingrédient
+ *     description: "Rôle requis : admin. Un changement de nom est reporté dans les potions qui l'utilisent."
+ *     tags: [Ingredients]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de l'ingrédient
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CatalogueIngredient'
+ *     responses:
+ *       200:
+ *         description: Ingrédient mis à jour
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       404:
+ *         description: Ingrédient introuvable
+ *       409:
+ *         description: Nom déjà utilisé
+ */
+router.put('/:id', authMiddleware, authorize('ingredients:manage'), ingredientRules, validate, async (req, res) => {
+  const ingredient = await findIngredient(req.params.id);
+  if (!ingredient) throw new NotFoundError(NOT_FOUND);
+
+  const previousName = ingredient.name;
+  ingredient.overwrite(ingredientBody(req.body));
+  await ingredient.save().catch(onDuplicate(DUPLICATE));
+  if (ingredient.name !== previousName) await renameInPotions(req, previousName, ingredient.name);
+  res.json(ingredient);
+});
+
+// DELETE /ingredients/:id : retirer un ingrédient inutilisé
+/**
+ * @swagger
+ * /ingredients/{id}:
+ *   delete:
+ *     summary: Retire un ingrédient du catalogue
+ *     description: "Rôle requis : admin. Refusé tant qu'une potion l'utilise."
+ *     tags: [Ingredients]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de l'ingrédient
+ *     responses:
+ *       200:
+ *         description: Ingrédient supprimé
+ *       404:
+ *         description: Ingrédient introuvable
+ *       409:
+ *         description: Ingrédient encore utilisé par des potions
+ */
+router.delete('/:id', authMiddleware, authorize('ingredients:manage'), async (req, res) => {
+  const ingredient = await findIngredient(req.params.id);
+  if (!ingredient) throw new NotFoundError(NOT_FOUND);
+
+  // Les potions de la corbeille comptent : elles peuvent encore être restaurées
+  const usedBy = await Potion.countDocuments({ 'ingredients.name': ingredient.name }).setOptions({ withDeleted: true });
+  if (usedBy) throw new ConflictError(`Ingrédient encore utilisé par ${usedBy} potion(s), corbeille comprise.`);
+
+  await ingredient.deleteOne();
+  res.json(ingredient);
+});
+
+module.exports = router;
@@ -0,0 +1,412 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Notification = require('../model/notification');
+const PriceAlert = require('../model/priceAlert');
+const ApiKey = require('../model/apiKey');
+const { authMiddleware, rejectApiKey } = require('./auth');
+const { validate } = require('../middleware/validation');
+const { apiKeyRules } = require('../validators/apiKey');
+const { createApiKey } = require('../lib/apiKeys');
+const { parseLimit, encodeOffset, decodeOffset, pageLink } = require('../lib/potionQuery');
+const { NotFoundError } = require('../lib/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Espace personnel de l'utilisateur connecté : notifications, alertes de prix et clés d'API.
+// Réservé aux sessions : une clé d'API ne lit pas la boîte de réception et ne crée pas d'autres clés.
+router.use(rejectApiKey, authMiddleware);
+
+function findOwn(Model, req, id) {
+  return mongoose.isValidObjectId(id) ? Model.findOne({ _id: id, user: req.user.id }) : null;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         type: { type: string, example: price_alert }
+ *         title: { type: string }
+ *         message: { type: string }
+ *         data:
+ *           type: object
+ *           additionalProperties: true
+ *         readAt: { type: string, format: date-time, nullable: true }
+ *         createdAt: { type: string, format: date-time }
+ *     PriceAlert:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         potion: { type: string }
+ *         type:
+ *           type: string
+ *           enum: [below, drop]
+ *         threshold:
+ *           type: number
+ *           description: "below : prix à atteindre"
+ *         percent:
+ *           type: number
+ *           description: "drop : baisse minimale en % par rapport à referencePrice"
+ *         referencePrice:
+ *           type: number
+ *           description: Prix de la potion au moment de l'abonnement
+ *         active: { type: boolean }
+ *         triggeredAt: { type: string, format: date-time }
+ *         triggeredPrice: { type: number }
+ *         createdAt: { type: string, format: date-time }
+ *     ApiKeyInput:
+ *       type: object
+ *       required: [name, scopes]
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: Import nocturne
+ *         scopes:
+ *           type: array
+ *           description: |
+ *             - read : lecture des potions, vendeurs et ingrédients
+ *             - potions:write : création, modification et suppression des potions (lecture comprise)
+ *             - analytics : routes /analytics
+ *           items:
+ *             type: string
+ *             enum: [read, 'potions:write', analytics]
+ *         expiresInDays:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           description: Sans valeur, la clé n'expire pas
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         name: { type: string }
+ *         prefix: { type: string, example: pk_3Fq9xZ, description: Début de la clé, pour la reconnaître }
+ *         scopes:
+ *           type: array
+ *           items: { type: string }
+ *         expiresAt: { type: string, format: date-time }
+ *         lastUsedAt: { type: string, format: date-time }
+ *         lastUsedIp: { type: string }
+ *         revokedAt: { type: string, format: date-time }
+ *         createdAt: { type: string, format: date-time }
+ */
+
+// GET /me/notifications : boîte de réception
+/**
+ * @swagger
+ * /me/notifications:
+ *   get:
+ *     summary: Notifications de l'utilisateur connecté
+ *     description: Les plus récentes d'abord ; unread donne le nombre de notifications non lues.
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: unread
+ *         in: query
+ *         description: Ne renvoie que les notifications non lues
+ *         schema: { type: boolean, default: false }
+ *       - $ref: '#/components/parameters/PotionLimit'
+ *       - $ref: '#/components/parameters/PotionCursor'
+ *     responses:
+ *       200:
+ *         description: Page de notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 total: { type: integer }
+ *                 unread: { type: integer }
+ *                 limit: { type: integer }
+ *                 links:
+ *                   type: object
+ *                   properties:
+ *                     next: { type: string, nullable: true }
+ *                     prev: { type: string, nullable: true }
+ *       400:
+ *         description: Paramètre de requête invalide
+ *       401:
+ *         description: Non authentifié
+ */
+router.get('/notifications', async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  const offset = req.query.cursor ? decodeOffset(req.query.cursor) : 0;
+  const filter = { user: req.user.id };
+  if (req.query.unread === 'true') filter.readAt = null;
+
+  const [notifications, total, unread] = await Promise.all([
+    Notification.find(filter, '-user').sort({ createdAt: -1, _id: -1 }).skip(offset).limit(limit).lean(),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ user: req.user.id, readAt: null })
+  ]);
+  res.json({
+    data: notifications,
+    total,
+    unread,
+    limit,
+    links: {
+      next: pageLink(req, offset + limit < total ? encodeOffset(offset + limit) : null),
+      prev: pageLink(req, offset > 0 ? encodeOffset(Math.max(offset - limit, 0)) : null)
+    }
+  });
+});
+
+// POST /me/notifications/read : tout marquer comme lu
+/**
+ * @swagger
+ * /me/notifications/read:
+ *   post:
+ *     summary: Marque toutes les notifications comme lues
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Nombre de notifications marquées
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 updated: { type: integer }
+ *       401:
+ *         description: Non authentifié
+ */
+router.post('/notifications/read', async (req, res) => {
+  const { modifiedCount } = await Notification.updateMany({ user: req.user.id, readAt: null }, { $set: { readAt: new Date() } });
+  res.json({ updated: modifiedCount });
+});
+
+// POST /me/notifications/:id/read : marquer une notification comme lue
+/**
+ * @swagger
+ * /me/notifications/{id}/read:
+ *   post:
+ *     summary: Marque une notification comme lue
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la notification
+ *     responses:
+ *       200:
+ *         description: Notification lue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Non authentifié
+ *       404:
+ *         description: Notification introuvable
+ */
+router.post('/notifications/:id/read', async (req, res) => {
+  const notification = await findOwn(Notification, req, req.params.id);
+  if (!notification) throw new NotFoundError('Notification introuvable');
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  res.json(notification);
+});
+
+// GET /me/alerts : alertes de prix de l'utilisateur
+/**
+ * @swagger
+ * /me/alerts:
+ *   get:
+ *     summary: Alertes de prix de l'utilisateur connecté
+ *     description: Abonnement par POST /potions/{id}/alerts ; une alerte déclenchée passe à active=false.
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: active
+ *         in: query
+ *         description: Filtre sur les alertes actives (true) ou déjà déclenchées (false)
+ *         schema: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Alertes, les plus récentes d'abord
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PriceAlert'
+ *       401:
+ *         description: Non authentifié
+ */
+router.get('/alerts', async (req, res) => {
+  const filter = { user: req.user.id };
+  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+  res.json(await PriceAlert.find(filter, '-user').sort({ createdAt: -1 }).lean());
+});
+
+// DELETE /me/alerts/:id : se désabonner
+/**
+ * @swagger
+ * /me/alerts/{id}:
+ *   delete:
+ *     summary: Supprime une alerte de prix
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de l'alerte
+ *     responses:
+ *       200:
+ *         description: Alerte supprimée
+ *       401:
+ *         description: Non authentifié
+ *       404:
+ *         description: Alerte introuvable
+ */
+router.delete('/alerts/:id', async (req, res) => {
+  const alert = await findOwn(PriceAlert, req, req.params.id);
+  if (!alert) throw new NotFoundError('Alerte introuvable');
+  await alert.deleteOne();
+  res.json(alert);
+});
+
+// GET /me/api-keys : clés d'API de l'utilisateur
+/**
+ * @swagger
+ * /me/api-keys:
+ *   get:
+ *     summary: Clés d'API de l'utilisateur connecté
+ *     description: Les clés révoquées restent listées avec leur date de révocation. La clé elle-même n'est jamais renvoyée.
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Clés, les plus récentes d'abord
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Requête authentifiée par clé d'API (code api_key_not_allowed)
+ */
+router.get('/api-keys', async (req, res) => {
+  res.json(await ApiKey.find({ user: req.user.id }, '-user').sort({ createdAt: -1 }).lean());
+});
+
+// POST /me/api-keys : créer une clé d'API
+/**
+ * @swagger
+ * /me/api-keys:
+ *   post:
+ *     summary: Crée une clé d'API
+ *     description: |
+ *       La réponse contient la clé en clair (champ key), qui n'est plus jamais renvoyée ensuite.
+ *       Elle s'utilise dans l'en-tête X-API-Key et ne donne que les permissions de ses portées
+ *       qu'accorde aussi le rôle de l'utilisateur.
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKeyInput'
+ *     responses:
+ *       201:
+ *         description: Clé créée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key: { type: string, example: pk_3Fq9xZ... }
+ *       400:
+ *         description: Données invalides
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Requête authentifiée par clé d'API (code api_key_not_allowed)
+ */
+router.post('/api-keys', apiKeyRules, validate, async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+  const { apiKey, key } = await createApiKey(req.user.id, {
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY) : undefined
+  });
+  const { keyHash, user, ...fields } = apiKey.toJSON();
+  res.status(201).json({ ...fields, key });
+});
+
+// DELETE /me/api-keys/:id : révoquer une clé
+/**
+ * @swagger
+ * /me/api-keys/{id}:
+ *   delete:
+ *     summary: Révoque une clé d'API
+ *     description: La clé est refusée dès la requête suivante ; elle reste listée avec sa date de révocation.
+ *     tags: [Me]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la clé
+ *     responses:
+ *       200:
+ *         description: Clé révoquée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Requête authentifiée par clé d'API (code api_key_not_allowed)
+ *       404:
+ *         description: Clé introuvable
+ */
+router.delete('/api-keys/:id', async (req, res) => {
+  const apiKey = await findOwn(ApiKey, req, req.params.id);
+  if (!apiKey) throw new NotFoundError('Clé d’API introuvable');
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+  }
+  const { user, ...fields } = apiKey.toJSON();
+  res.json(fields);
+});
+
+module.exports = router;
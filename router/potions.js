@@ -1,61 +1,300 @@
 const express = require('express');
 const router = express.Router();
 const Potion = require('../model/potion');
-const { authMiddleware } = require('./auth');
+const { authMiddleware, restrictedFlag } = require('./auth');
+const { findPotions, parseLimit, encodeOffset, decodeOffset, pageLink, badRequest, toList } = require('../lib/potionQuery');
+const { searchPotions, suggest } = require('../lib/potionSearch');
+const { authorize, canManagePotion } = require('../middleware/permissions');
+const { validate, validateDocument, fieldError } = require('../middleware/validation');
+const { potionRules } = require('../validators/potion');
+const { mergePatch, jsonPatch } = require('../lib/jsonPatch');
+const { importPotions, exportPotions } = require('../lib/potionTransfer');
+const { brewable, costOfGoods } = require('../lib/recipes');
+const { inventoryRules } = require('../validators/ingredient');
+const { RETENTION_DAYS, purgeDate, purgeTrash } = require('../lib/trash');
+const { potionSnapshot, recordPotionChange } = require('../lib/audit');
+const AuditLog = require('../model/auditLog');
+const PriceAlert = require('../model/priceAlert');
+const { priceHistory } = require('../lib/prices');
+const { priceAlertRules } = require('../validators/priceAlert');
+const potionStream = require('../lib/potionStream');
+const { cached } = require('../lib/cache');
+const { openStream, lastEventId } = require('../lib/sse');
+const { BadRequestError, FieldValidationError, ForbiddenError, NotFoundError, PreconditionFailedError, UnsupportedMediaTypeError } = require('../lib/errors');
+const reviewsRoutes = require('./reviews');
+
+const NOT_OWNER = 'Un vendeur ne peut gérer que ses propres potions.';
+
+// Un vendeur écrit toujours sous son propre vendor_id ; 403 si le body en réclame un autre
+function assignVendor(req, res, next) {
+  if (req.user.role !== 'vendor' || !req.body || typeof req.body !== 'object') return next();
+  if (req.body.vendor_id !== undefined && req.body.vendor_id !== req.user.vendor_id) throw new ForbiddenError(NOT_OWNER);
+  req.body.vendor_id = req.user.vendor_id;
+  next();
+}
+
+function ingredientNames(potion) {
+  return (potion.ingredients || []).map(item => item?.name);
+}
+
+// PUT : ingrédients actuels de la potion, acceptés par potionRules même s'ils ne sont pas au catalogue
+async function loadKnownIngredients(req, res, next) {
+  const current = await Potion.findById(req.params.id, 'ingredients.name').lean();
+  req.knownIngredients = current ? ingredientNames(current) : [];
+  next();
+}
+
+// L'ETag d'une potion est sa version (__v, incrémentée à chaque sauvegarde)
+function etag(potion) {
+  return `"${potion.__v}"`;
+}
+
+// If-Match absent : pas de contrôle. Sinon "*" ou l'un des ETags listés doit correspondre (comparaison forte).
+function ifMatch(req, potion) {
+  const header = req.get('If-Match');
+  if (!header) return true;
+  if (header.trim() === '*') return true;
+  return header.split(',').map(tag => tag.trim()).includes(etag(potion));
+}
+
+// Même code que la VersionError d'une sauvegarde concurrente (lib/errors)
+function preconditionFailed() {
+  return new PreconditionFailedError('La potion a été modifiée entre-temps, rechargez-la avant de l’enregistrer.', { code: 'version_conflict' });
+}
+
+function sendPotion(res, potion, status = 200) {
+  res.set('ETag', etag(potion));
+  res.status(status).json(potion);
+}
+
+// Toutes les routes de liste passent par le même moteur de requête
+async function listPotions(req, res, query) {
+  res.json(await findPotions(query, req, { withDeleted: req.includeDeleted }));
+}
 
 /**
  * @swagger
  * components:
  *   schemas:
+ *     Ingredient:
+ *       type: object
+ *       additionalProperties: false
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         quantity:
+ *           type: number
+ *           minimum: 0
+ *         unit:
+ *           type: string
+ *           enum: [g, kg, ml, l, goutte, pincée, pièce]
  *     Potion:
  *       type: object
+ *       additionalProperties: false
  *       required:
  *         - name
+ *         - price
+ *         - vendor_id
  *       properties:
  *         name:
  *           type: string
+ *           maxLength: 100
  *           description: Nom de la potion
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *         score:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
  *         ingredients:
  *           type: array
  *           items:
- *             type: string
+ *             $ref: '#/components/schemas/Ingredient'
  *           description: Liste des ingrédients
  *         ratings:
  *           type: object
+ *           additionalProperties: false
  *           properties:
  *             strength:
  *               type: number
- *             duration:
+ *               minimum: 0
+ *               maximum: 5
+ *             flavor:
+ *               type: number
+ *               minimum: 0
+ *               maximum: 5
+ *         tryDate:
+ *           type: string
+ *           format: date-time
+ *         categories:
+ *           type: array
+ *           description: Catégories (normalisées en minuscules)
+ *           items:
+ *             type: string
+ *             enum: [soin, force, vitesse, protection, poison, amour, chance, mental, invisibilité, transformation, élémentaire]
+ *         vendor_id:
+ *           type: string
+ *         reviewStats:
+ *           type: object
+ *           readOnly: true
+ *           description: >
+ *             Calculé à partir des avis visibles. Dès qu'une potion a des avis, score et ratings
+ *             prennent les moyennes bayésiennes score, strength et flavor.
+ *           properties:
+ *             count:
+ *               type: integer
+ *             averageScore:
+ *               type: number
+ *             averageStrength:
+ *               type: number
+ *             averageFlavor:
  *               type: number
- *             sideEffects:
+ *             score:
+ *               type: number
+ *             strength:
  *               type: number
+ *             flavor:
+ *               type: number
+ *             base:
+ *               type: object
+ *               description: Note et évaluations du vendeur, reprises quand la potion n'a plus d'avis visible
+ *               properties:
+ *                 score:
+ *                   type: number
+ *                 ratings:
+ *                   type: object
+ *                   properties:
+ *                     strength:
+ *                       type: number
+ *                     flavor:
+ *                       type: number
  */
 
-// GET /potions : lire toutes les potions
+// GET /potions : lire les potions (filtres, tri, projection, pagination par curseur)
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     PotionSort:
+ *       name: sort
+ *       in: query
+ *       description: Tri multi-champs, préfixe "-" pour décroissant (ex. "-score,price")
+ *       schema:
+ *         type: string
+ *     PotionFields:
+ *       name: fields
+ *       in: query
+ *       description: Champs à renvoyer (ex. "name,price"), _id est toujours inclus
+ *       schema:
+ *         type: string
+ *     PotionLimit:
+ *       name: limit
+ *       in: query
+ *       description: Taille de la page (1 à 100, 20 par défaut)
+ *       schema:
+ *         type: integer
+ *     PotionCursor:
+ *       name: cursor
+ *       in: query
+ *       description: Curseur opaque renvoyé dans links.next ou links.prev
+ *       schema:
+ *         type: string
+ *     IncludeDeleted:
+ *       name: includeDeleted
+ *       in: query
+ *       description: "Admin uniquement : inclut les potions de la corbeille."
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *   schemas:
+ *     PotionPage:
+ *       type: object
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Potion'
+ *         total:
+ *           type: integer
+ *           description: Nombre total de potions correspondant aux filtres
+ *         limit:
+ *           type: integer
+ *         links:
+ *           type: object
+ *           properties:
+ *             next:
+ *               type: string
+ *               nullable: true
+ *             prev:
+ *               type: string
+ *               nullable: true
+ */
 /**
  * @swagger
  * /potions:
  *   get:
- *     summary: Récupère la liste des potions
+ *     summary: Récupère la liste paginée des potions
  *     tags: [Potions]
+ *     parameters:
+ *       - name: categories
+ *         in: query
+ *         description: Catégories acceptées, séparées par des virgules
+ *         schema:
+ *           type: string
+ *       - name: vendor_id
+ *         in: query
+ *         description: Vendeurs acceptés, séparés par des virgules
+ *         schema:
+ *           type: string
+ *       - name: ingredients
+ *         in: query
+ *         description: Ingrédients que la potion doit tous contenir, séparés par des virgules
+ *         schema:
+ *           type: string
+ *       - name: ingredients_any
+ *         in: query
+ *         description: La potion doit contenir au moins l'un de ces ingrédients
+ *         schema:
+ *           type: string
+ *       - name: ingredients_none
+ *         in: query
+ *         description: La potion ne doit contenir aucun de ces ingrédients
+ *         schema:
+ *           type: string
+ *       - { name: price_min, in: query, schema: { type: number } }
+ *       - { name: price_max, in: query, schema: { type: number } }
+ *       - { name: score_min, in: query, schema: { type: number } }
+ *       - { name: score_max, in: query, schema: { type: number } }
+ *       - { name: strength_min, in: query, schema: { type: number } }
+ *       - { name: strength_max, in: query, schema: { type: number } }
+ *       - { name: flavor_min, in: query, schema: { type: number } }
+ *       - { name: flavor_max, in: query, schema: { type: number } }
+ *       - { name: reviews_min, in: query, description: Nombre minimum d'avis visibles, schema: { type: integer } }
+ *       - { name: reviews_max, in: query, schema: { type: integer } }
+ *       - { name: reviewScore_min, in: query, description: Moyenne brute minimum des avis, schema: { type: number } }
+ *       - { name: reviewScore_max, in: query, schema: { type: number } }
+ *       - { name: tryDate_from, in: query, schema: { type: string, format: date-time } }
+ *       - { name: tryDate_to, in: query, schema: { type: string, format: date-time } }
+ *       - $ref: '#/components/parameters/PotionSort'
+ *       - $ref: '#/components/parameters/PotionFields'
+ *       - $ref: '#/components/parameters/PotionLimit'
+ *       - $ref: '#/components/parameters/PotionCursor'
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: Liste des potions
+ *         description: Page de potions
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Potion'
+ *               $ref: '#/components/schemas/PotionPage'
+ *       400:
+ *         description: Paramètre de requête invalide
  */
-router.get('/', async (req, res) => {
-    try {
-      const potions = await Potion.find();
-      res.json(potions);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
-});
+router.get('/', authorize('potions:read'), restrictedFlag('includeDeleted', 'potions:readDeleted'), cached(), (req, res) => listPotions(req, res, req.query));
 
 // POST /potions : créer une nouvelle potion
 /**
@@ -63,7 +302,12 @@ router.get('/', async (req, res) => {
  * /potions:
  *   post:
  *     summary: Crée une nouvelle potion
+ *     description: "Rôles : admin, vendor (la potion est rattachée à son vendor_id)."
  *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -77,15 +321,18 @@ router.get('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Potion'
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
  */
-router.post('/', authMiddleware, async (req, res) => {
-  try {
-      const newPotion = new Potion(req.body);
-      const savedPotion = await newPotion.save();
-      res.status(201).json(savedPotion);
-  } catch (err) {
-      res.status(400).json({ error: err.message });
-  }
+router.post('/', authMiddleware, authorize('potions:create'), assignVendor, potionRules, validate, async (req, res) => {
+  const newPotion = new Potion(req.body);
+  const savedPotion = await newPotion.save();
+  await recordPotionChange(req, 'create', savedPotion);
+  sendPotion(res, savedPotion, 201);
 });
 
 // PUT /potions/:id : mettre à jour une potion
@@ -94,7 +341,12 @@ router.post('/', authMiddleware, async (req, res) => {
  * /potions/{id}:
  *   put:
  *     summary: Met à jour une potion par son ID
+ *     description: "Rôles : admin, vendor (uniquement ses propres potions)."
  *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -113,28 +365,143 @@ router.post('/', authMiddleware, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Potion'
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Potion introuvable
+ *       412:
+ *         description: If-Match ne correspond plus à la version courante
  */
-router.put('/:id', async (req, res) => {
-    try {
-      const potion = await Potion.findById(req.params.id);
-    
-      potion.overwrite(req.body);
-      await potion.save();
+router.put('/:id', authMiddleware, authorize('potions:update'), assignVendor, loadKnownIngredients, potionRules, validate, async (req, res) => {
+    const potion = await Potion.findById(req.params.id);
+    if (!potion) throw new NotFoundError('Potion not found');
+    if (!canManagePotion(req.user, potion)) throw new ForbiddenError(NOT_OWNER);
+    if (!ifMatch(req, potion)) throw preconditionFailed();
 
-      if (!potion) return res.status(404).json({ error: 'Potion not found' });
-      res.json(potion);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
+    const before = potionSnapshot(potion);
+    potion.replaceWith(req.body);
+    await potion.save();
+    await recordPotionChange(req, 'update', potion, before);
+    sendPotion(res, potion);
+});
+
+// PATCH /potions/:id : mise à jour partielle (JSON Merge Patch ou JSON Patch)
+/**
+ * @swagger
+ * /potions/{id}:
+ *   patch:
+ *     summary: Met à jour partiellement une potion
+ *     description: |
+ *       Rôles : admin, vendor (uniquement ses propres potions).
+ *       Le corps est un JSON Merge Patch (RFC 7396, application/merge-patch+json ou application/json)
+ *       ou un JSON Patch (RFC 6902, application/json-patch+json). Le document obtenu est validé comme pour PUT.
+ *       Envoyer l'ETag reçu dans If-Match pour éviter d'écraser une modification concurrente.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *       - name: If-Match
+ *         in: header
+ *         required: false
+ *         description: ETag de la version modifiée
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required: [op, path]
+ *               properties:
+ *                 op:
+ *                   type: string
+ *                   enum: [add, remove, replace, move, copy, test]
+ *                 path:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                 value: {}
+ *     responses:
+ *       200:
+ *         description: Potion mise à jour, nouvel ETag dans l'en-tête
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Potion'
+ *       400:
+ *         description: Patch invalide ou erreurs de validation par champ
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Potion introuvable
+ *       409:
+ *         description: Une opération "test" du JSON Patch a échoué
+ *       412:
+ *         description: If-Match ne correspond plus à la version courante
+ *       415:
+ *         description: Type de contenu non supporté
+ */
+router.patch('/:id', authMiddleware, authorize('potions:update'), async (req, res) => {
+    const isJsonPatch = req.is('application/json-patch+json');
+    if (!isJsonPatch && !req.is('application/merge-patch+json') && !req.is('application/json')) {
+      throw new UnsupportedMediaTypeError('Utilisez application/merge-patch+json ou application/json-patch+json.');
     }
+
+    const potion = await Potion.findById(req.params.id);
+    if (!potion) throw new NotFoundError('Potion not found');
+    if (!canManagePotion(req.user, potion)) throw new ForbiddenError(NOT_OWNER);
+    if (!ifMatch(req, potion)) throw preconditionFailed();
+
+    // Le patch s'applique à la représentation JSON de la potion, sans _id, __v ni champs calculés
+    const { _id, __v, ...current } = JSON.parse(JSON.stringify(potion));
+    for (const field of Potion.SERVER_FIELDS) delete current[field];
+    // Une opération JSON Patch impossible lève une PatchError (400, ou 409 pour un "test" échoué)
+    const patched = isJsonPatch ? jsonPatch(current, req.body) : mergePatch(current, req.body);
+
+    const { body, errors } = await validateDocument(potionRules, patched, { knownIngredients: ingredientNames(potion) });
+    if (errors.length) throw new FieldValidationError(errors);
+    if (req.user.role === 'vendor' && body.vendor_id !== req.user.vendor_id) throw new ForbiddenError(NOT_OWNER);
+
+    const before = potionSnapshot(potion);
+    potion.replaceWith(body);
+    await potion.save();
+    await recordPotionChange(req, 'update', potion, before);
+    sendPotion(res, potion);
 });
     
-// DELETE /potions/:id : supprimer une potion
+// DELETE /potions/:id : mettre une potion à la corbeille
 /**
  * @swagger
  * /potions/{id}:
  *   delete:
- *     summary: Supprime une potion par son ID
+ *     summary: Met une potion à la corbeille
+ *     description: |
+ *       Rôles : admin, vendor (uniquement ses propres potions).
+ *       La potion disparaît des lectures et des analytics mais reste restaurable
+ *       (POST /potions/{id}/restore) jusqu'à sa purge définitive, avec ses avis.
  *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -142,16 +509,357 @@ router.put('/:id', async (req, res) => {
  *         description: ID de la potion
  *     responses:
  *       200:
- *         description: Potion supprimée avec succès
+ *         description: Potion mise à la corbeille
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Potion introuvable
+ *       412:
+ *         description: If-Match ne correspond plus à la version courante
  */
-router.delete('/:id', async (req, res) => {
-    try {
-      const deletedPotion = await Potion.findByIdAndDelete(req.params.id);
-      if (!deletedPotion) return res.status(404).json({ error: 'Potion not found' });
-      res.json(deletedPotion);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
+router.delete('/:id', authMiddleware, authorize('potions:delete'), async (req, res) => {
+    const potion = await Potion.findById(req.params.id);
+    if (!potion) throw new NotFoundError('Potion not found');
+    if (!canManagePotion(req.user, potion)) throw new ForbiddenError(NOT_OWNER);
+    if (!ifMatch(req, potion)) throw preconditionFailed();
+
+    const before = potionSnapshot(potion);
+    potion.deletedAt = new Date();
+    potion.deletedBy = req.user.id;
+    await potion.save();
+    await recordPotionChange(req, 'delete', potion, before);
+    res.json(potion);
+});
+
+// POST /potions/import : import en masse (CSV, NDJSON ou tableau JSON)
+/**
+ * @swagger
+ * /potions/import:
+ *   post:
+ *     summary: Importe des potions en masse
+ *     description: |
+ *       Rôles : admin, vendor (lignes forcées sur son vendor_id).
+ *       Chaque ligne est validée comme pour POST /potions puis créée, ou mise à jour si une potion
+ *       de même name et vendor_id existe déjà. En CSV, les colonnes sont
+ *       name, price, score, ratings.strength, ratings.flavor, tryDate, categories, ingredients, vendor_id ;
+ *       categories et ingredients sont séparés par "|" et un ingrédient s'écrit "nom:quantité:unité".
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Potion'
+ *     responses:
+ *       200:
+ *         description: Rapport ligne par ligne
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 created:
+ *                   type: integer
+ *                 updated:
+ *                   type: integer
+ *                 rejected:
+ *                   type: integer
+ *                 truncated:
+ *                   type: boolean
+ *                   description: Vrai si le nombre maximal de lignes (MAX_IMPORT_ROWS) a été atteint
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                       status:
+ *                         type: string
+ *                         enum: [created, updated, rejected]
+ *                       id:
+ *                         type: string
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       415:
+ *         description: Type de contenu non supporté
+ */
+router.post('/import', authMiddleware, authorize('potions:create'), async (req, res) => {
+    res.json(await importPotions(req));
+});
+
+// GET /potions/export?format=csv|ndjson|json : export en flux avec les filtres de GET /potions
+/**
+ * @swagger
+ * /potions/export:
+ *   get:
+ *     summary: Exporte les potions filtrées en CSV, NDJSON ou JSON
+ *     description: Accepte les mêmes filtres et le même tri que GET /potions, sans pagination.
+ *     tags: [Potions]
+ *     parameters:
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, json]
+ *           default: json
+ *       - $ref: '#/components/parameters/PotionSort'
+ *     responses:
+ *       200:
+ *         description: Fichier d'export
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Potion'
+ *       400:
+ *         description: Paramètre de requête invalide
+ */
+router.get('/export', authorize('potions:read'), async (req, res) => {
+    // Une erreur en cours de flux coupe la réponse (middleware/errors)
+    await exportPotions(req.query, res);
+});
+
+// GET /potions/stream : changements en temps réel (Server-Sent Events)
+/**
+ * @swagger
+ * /potions/stream:
+ *   get:
+ *     summary: Flux en temps réel des changements de potions (Server-Sent Events)
+ *     description: |
+ *       Chaque message a pour nom le type d'événement (potion.created, potion.updated, potion.deleted,
+ *       potion.restored, potion.purged) et pour données { potion, changes, at }. Une potion supprimée ou purgée
+ *       n'est décrite que par _id, vendor_id et categories ; les potions à la corbeille ne sont pas diffusées.
+ *       Après une coupure, EventSource renvoie Last-Event-ID et les événements manqués sont rejoués ; s'ils ne
+ *       sont plus disponibles, un événement resync demande au client de recharger ses données.
+ *     tags: [Potions]
+ *     parameters:
+ *       - name: vendor_id
+ *         in: query
+ *         description: Vendeurs suivis (liste, "a,b")
+ *         schema: { type: string }
+ *       - name: categories
+ *         in: query
+ *         description: Catégories suivies (liste, "a,b")
+ *         schema: { type: string }
+ *       - name: Last-Event-ID
+ *         in: header
+ *         description: Dernier événement reçu (aussi accepté en paramètre lastEventId)
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Flux text/event-stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+router.get('/stream', authorize('potions:read'), (req, res) => {
+  const filter = { vendors: toList(req.query.vendor_id), categories: toList(req.query.categories) };
+  const stream = openStream(req, res);
+  const send = event => {
+    if (!potionStream.matches(event, filter)) return;
+    stream.send(event.type, { potion: event.potion, changes: event.changes, at: event.at }, event.id);
+  };
+
+  const { events, resync } = potionStream.replay(lastEventId(req));
+  if (resync) stream.send('resync', { message: 'Des événements ne sont plus disponibles, rechargez les données.' });
+  events.forEach(send);
+  stream.onClose(potionStream.subscribe(send));
+});
+
+// GET /potions/search?q= : recherche plein texte triée par pertinence
+/**
+ * @swagger
+ * /potions/search:
+ *   get:
+ *     summary: Recherche plein texte dans les noms, catégories et ingrédients des potions
+ *     description: >
+ *       Les mots inconnus du catalogue sont corrigés vers le mot connu le plus proche (1 faute jusqu'à 7 lettres,
+ *       2 au-delà) ; les corrections appliquées sont renvoyées dans `corrections`. Les filtres de GET /potions
+ *       s'appliquent en plus de la recherche. Les résultats sont triés par pertinence.
+ *     tags: [Potions]
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         required: true
+ *         description: Mots recherchés
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *       - { name: categories, in: query, schema: { type: string } }
+ *       - { name: vendor_id, in: query, schema: { type: string } }
+ *       - { name: ingredients, in: query, schema: { type: string } }
+ *       - { name: price_min, in: query, schema: { type: number } }
+ *       - { name: price_max, in: query, schema: { type: number } }
+ *       - $ref: '#/components/parameters/PotionLimit'
+ *       - $ref: '#/components/parameters/PotionCursor'
+ *     responses:
+ *       200:
+ *         description: Page de résultats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PotionPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Potion'
+ *                           - type: object
+ *                             properties:
+ *                               relevance:
+ *                                 type: number
+ *                               highlights:
+ *                                 type: object
+ *                                 description: Fragments HTML échappés, mots trouvés entourés de <mark>
+ *                                 properties:
+ *                                   name:
+ *                                     type: string
+ *                                   ingredients:
+ *                                     type: array
+ *                                     items:
+ *                                       type: string
+ *                                   categories:
+ *                                     type: array
+ *                                     items:
+ *                                       type: string
+ *                     corrections:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           term:
+ *                             type: string
+ *                           suggestion:
+ *                             type: string
+ *       400:
+ *         description: Paramètre de requête invalide
+ */
+router.get('/search', authorize('potions:read'), cached(), async (req, res) => {
+    res.json(await searchPotions(req.query, req));
+});
+
+// GET /potions/search/suggest?q= : autocomplétion
+/**
+ * @swagger
+ * /potions/search/suggest:
+ *   get:
+ *     summary: Suggestions d'autocomplétion (noms de potions, ingrédients, catégories)
+ *     tags: [Potions]
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         required: true
+ *         description: Début du mot saisi (accents et majuscules ignorés)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Au plus 10 suggestions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   value:
+ *                     type: string
+ *                   type:
+ *                     type: string
+ *                     enum: [potion, ingredient, category]
+ *       400:
+ *         description: Paramètre q manquant
+ */
+router.get('/search/suggest', authorize('potions:read'), async (req, res) => {
+    res.json(await suggest(req.query.q));
+});
+
+// POST /potions/brewable : potions réalisables avec un inventaire
+/**
+ * @swagger
+ * /potions/brewable:
+ *   post:
+ *     summary: Liste les potions réalisables avec un inventaire d'ingrédients
+ *     description: >
+ *       Une potion est réalisable si tous ses ingrédients figurent dans l'inventaire. Quand les quantités sont connues
+ *       des deux côtés, elles doivent suffire (g/kg et ml/l sont convertis) et `batches` indique combien de fois la
+ *       recette peut être faite ; sinon `batches` vaut null. Les filtres de GET /potions s'appliquent en plus.
+ *     tags: [Potions]
+ *     parameters:
+ *       - { name: categories, in: query, schema: { type: string } }
+ *       - { name: vendor_id, in: query, schema: { type: string } }
+ *       - { name: price_max, in: query, schema: { type: number } }
+ *       - $ref: '#/components/parameters/PotionLimit'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - inventory
+ *             properties:
+ *               inventory:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Ingredient'
+ *     responses:
+ *       200:
+ *         description: Potions réalisables, les plus réalisables en premier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Potion'
+ *                       - type: object
+ *                         properties:
+ *                           batches:
+ *                             type: integer
+ *                             nullable: true
+ *       400:
+ *         description: Inventaire ou paramètre invalide
+ */
+router.post('/brewable', authorize('potions:read'), inventoryRules, validate, async (req, res) => {
+    res.json(await brewable(req.body.inventory, req.query));
 });
 
 // GET /potions/vendor/:vendor_id : toutes les potions d’un vendeur
@@ -166,23 +874,20 @@ router.delete('/:id', async (req, res) => {
  *         in: path
  *         required: true
  *         description: ID du vendeur
+ *       - $ref: '#/components/parameters/PotionSort'
+ *       - $ref: '#/components/parameters/PotionFields'
+ *       - $ref: '#/components/parameters/PotionLimit'
+ *       - $ref: '#/components/parameters/PotionCursor'
  *     responses:
  *       200:
- *         description: Liste des potions du vendeur
+ *         description: Page de potions du vendeur (alias de GET /potions?vendor_id=)
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Potion'
+ *               $ref: '#/components/schemas/PotionPage'
  */
-router.get('/vendor/:vendor_id', async (req, res) => {
-    try {
-      const potions = await Potion.find({ vendor_id: req.params.vendor_id });
-      res.json(potions);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
+router.get('/vendor/:vendor_id', authorize('potions:read'), cached(), (req, res) => {
+    return listPotions(req, res, { ...req.query, vendor_id: req.params.vendor_id });
 });
 
 // GET /potions/price-range?min=X&max=Y : potions entre min et max
@@ -201,30 +906,603 @@ router.get('/vendor/:vendor_id', async (req, res) => {
  *         in: query
  *         required: true
  *         description: Prix maximum
+ *       - $ref: '#/components/parameters/PotionSort'
+ *       - $ref: '#/components/parameters/PotionFields'
+ *       - $ref: '#/components/parameters/PotionLimit'
+ *       - $ref: '#/components/parameters/PotionCursor'
  *     responses:
  *       200:
- *         description: Liste des potions dans la plage de prix
+ *         description: Page de potions dans la plage de prix (alias de GET /potions?price_min=&price_max=)
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Potion'
+ *               $ref: '#/components/schemas/PotionPage'
+ *       400:
+ *         description: Plage de prix invalide
  */
-router.get('/price-range', async (req, res) => {
+router.get('/price-range', authorize('potions:read'), cached(), (req, res) => {
     const min = parseFloat(req.query.min);
     const max = parseFloat(req.query.max);
   
     if (isNaN(min) || isNaN(max)) {
-      return res.status(400).json({ error: 'Invalid price range' });
+      throw new BadRequestError('Invalid price range');
     }
-  
-    try {
-      const potions = await Potion.find({ price: { $gte: min, $lte: max } });
-      res.json(potions);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
+
+    return listPotions(req, res, { ...req.query, price_min: min, price_max: max });
+});
+
+// GET /potions/:id/cost : coût de revient comparé au prix
+/**
+ * @swagger
+ * /potions/{id}/cost:
+ *   get:
+ *     summary: Calcule le coût de revient d'une potion à partir du catalogue d'ingrédients
+ *     description: >
+ *       Coût = somme des quantités × coût unitaire du catalogue (g/kg et ml/l sont convertis). Une ligne sans
+ *       quantité, sans fiche ou avec une unité non convertible porte un `problem` et `complete` vaut false.
+ *     tags: [Potions]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *     responses:
+ *       200:
+ *         description: Coût de revient et marge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 potion:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                 price:
+ *                   type: number
+ *                 cost:
+ *                   type: number
+ *                 margin:
+ *                   type: number
+ *                 marginRate:
+ *                   type: number
+ *                   nullable: true
+ *                 complete:
+ *                   type: boolean
+ *                 lines:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       quantity:
+ *                         type: number
+ *                         nullable: true
+ *                       unit:
+ *                         type: string
+ *                         nullable: true
+ *                       unitCost:
+ *                         type: number
+ *                         nullable: true
+ *                       catalogueUnit:
+ *                         type: string
+ *                       cost:
+ *                         type: number
+ *                         nullable: true
+ *                       problem:
+ *                         type: string
+ *       404:
+ *         description: Potion introuvable
+ */
+router.get('/:id/cost', authorize('potions:read'), async (req, res) => {
+  const potion = await Potion.findById(req.params.id).lean();
+  if (!potion) throw new NotFoundError('Potion not found');
+  res.json(await costOfGoods(potion));
+});
+
+// GET /potions/trash : corbeille
+/**
+ * @swagger
+ * /potions/trash:
+ *   get:
+ *     summary: Liste les potions de la corbeille
+ *     description: |
+ *       Rôles : admin, vendor (uniquement ses propres potions).
+ *       Les plus récemment supprimées d'abord ; purgeAt indique la date de suppression définitive.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PotionLimit'
+ *       - $ref: '#/components/parameters/PotionCursor'
+ *     responses:
+ *       200:
+ *         description: Page de potions supprimées
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Potion'
+ *                       - type: object
+ *                         properties:
+ *                           deletedAt: { type: string, format: date-time }
+ *                           deletedBy: { type: string }
+ *                           purgeAt: { type: string, format: date-time }
+ *                 total: { type: integer }
+ *                 limit: { type: integer }
+ *                 retentionDays: { type: integer }
+ *                 links:
+ *                   type: object
+ *                   properties:
+ *                     next: { type: string, nullable: true }
+ *                     prev: { type: string, nullable: true }
+ *       400:
+ *         description: Paramètre de requête invalide
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ */
+router.get('/trash', authMiddleware, authorize('potions:delete'), async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  const offset = req.query.cursor ? decodeOffset(req.query.cursor) : 0;
+  const filter = { deletedAt: { $ne: null } };
+  if (req.user.role === 'vendor') filter.vendor_id = req.user.vendor_id;
+
+  const [potions, total] = await Promise.all([
+    Potion.find(filter).sort({ deletedAt: -1, _id: -1 }).skip(offset).limit(limit).lean(),
+    Potion.countDocuments(filter)
+  ]);
+  res.json({
+    data: potions.map(potion => ({ ...potion, purgeAt: purgeDate(potion) })),
+    total,
+    limit,
+    retentionDays: RETENTION_DAYS,
+    links: {
+      next: pageLink(req, offset + limit < total ? encodeOffset(offset + limit) : null),
+      prev: pageLink(req, offset > 0 ? encodeOffset(Math.max(offset - limit, 0)) : null)
     }
+  });
+});
+
+// POST /potions/trash/purge : vider la corbeille
+/**
+ * @swagger
+ * /potions/trash/purge:
+ *   post:
+ *     summary: Purge définitivement la corbeille
+ *     description: |
+ *       Rôle : admin. Sans paramètre, seules les potions supprimées depuis plus de TRASH_RETENTION_DAYS jours
+ *       sont purgées (comme la purge automatique) ; avec all=true, toute la corbeille. Les avis sont supprimés avec les potions.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: all
+ *         in: query
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Nombre de potions purgées
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 purged: { type: integer }
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ */
+router.post('/trash/purge', authMiddleware, authorize('potions:purge'), async (req, res) => {
+  res.json({ purged: await purgeTrash({ all: req.query.all === 'true', req }) });
+});
+
+// POST /potions/:id/restore : sortir une potion de la corbeille
+/**
+ * @swagger
+ * /potions/{id}/restore:
+ *   post:
+ *     summary: Restaure une potion de la corbeille
+ *     description: "Rôles : admin, vendor (uniquement ses propres potions)."
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *     responses:
+ *       200:
+ *         description: Potion restaurée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Potion'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Potion absente de la corbeille
+ */
+router.post('/:id/restore', authMiddleware, authorize('potions:delete'), async (req, res) => {
+  const potion = await Potion.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+  if (!potion) throw new NotFoundError('Potion introuvable dans la corbeille');
+  if (!canManagePotion(req.user, potion)) throw new ForbiddenError(NOT_OWNER);
+
+  const before = potionSnapshot(potion);
+  potion.deletedAt = undefined;
+  potion.deletedBy = undefined;
+  await potion.save();
+  await recordPotionChange(req, 'restore', potion, before);
+  sendPotion(res, potion);
+});
+
+// GET /potions/:id/prices : historique des prix
+/**
+ * @swagger
+ * /potions/{id}/prices:
+ *   get:
+ *     summary: Historique des prix d'une potion
+ *     description: |
+ *       Changements de prix de la période (par défaut les 90 derniers jours) avec le minimum, le maximum
+ *       et la moyenne des prix en vigueur, pondérée par leur durée.
+ *     tags: [Potions]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *       - name: from
+ *         in: query
+ *         schema: { type: string, format: date-time }
+ *       - name: to
+ *         in: query
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Historique et statistiques de la période
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 potion: { type: string }
+ *                 price: { type: number, description: Prix actuel }
+ *                 from: { type: string, format: date-time }
+ *                 to: { type: string, format: date-time }
+ *                 min: { type: number, nullable: true }
+ *                 max: { type: number, nullable: true }
+ *                 average: { type: number, nullable: true }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       price: { type: number }
+ *                       previousPrice: { type: number }
+ *                       changedAt: { type: string, format: date-time }
+ *                       changedBy: { type: string }
+ *       400:
+ *         description: Période invalide
+ *       404:
+ *         description: Potion introuvable
+ */
+router.get('/:id/prices', authorize('potions:read'), async (req, res) => {
+  const potion = await Potion.findById(req.params.id).lean();
+  if (!potion) throw new NotFoundError('Potion not found');
+  res.json(await priceHistory(potion, req.query));
+});
+
+// POST /potions/:id/alerts : s'abonner à une baisse de prix
+/**
+ * @swagger
+ * /potions/{id}/alerts:
+ *   post:
+ *     summary: Crée une alerte de baisse de prix
+ *     description: |
+ *       Tout utilisateur connecté. below : prévenir quand le prix atteint threshold (inférieur au prix actuel) ;
+ *       drop : prévenir quand il baisse d'au moins percent % par rapport au prix actuel.
+ *       L'alerte se déclenche une fois et arrive dans GET /me/notifications.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [below, drop]
+ *               threshold:
+ *                 type: number
+ *                 minimum: 0
+ *               percent:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 99
+ *     responses:
+ *       201:
+ *         description: Alerte créée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriceAlert'
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       401:
+ *         description: Non authentifié
+ *       404:
+ *         description: Potion introuvable
+ */
+router.post('/:id/alerts', authMiddleware, authorize('alerts:write'), priceAlertRules, validate, async (req, res) => {
+  const potion = await Potion.findById(req.params.id).lean();
+  if (!potion) throw new NotFoundError('Potion not found');
+  const { type, threshold, percent } = req.body;
+  if (type === 'below' && threshold >= potion.price) {
+    throw new FieldValidationError([fieldError('threshold', `Le seuil doit être inférieur au prix actuel (${potion.price}).`, threshold)]);
+  }
+
+  const alert = await PriceAlert.create({ user: req.user.id, potion: potion._id, type, threshold, percent, referencePrice: potion.price });
+  res.status(201).json(alert);
+});
+
+// Historique : un vendeur ne consulte que ses propres potions, un admin aussi celles déjà purgées.
+// Lève une NotFoundError ou une ForbiddenError si l'accès est refusé.
+async function checkHistoryAccess(req) {
+  const potion = await Potion.findById(req.params.id).setOptions({ withDeleted: true });
+  if (!potion && req.user.role !== 'admin') throw new NotFoundError('Potion not found');
+  if (potion && !canManagePotion(req.user, potion)) throw new ForbiddenError(NOT_OWNER);
+}
+
+function parseVersion(value) {
+  const version = Number(value);
+  if (!/^\d+$/.test(value) || !Number.isSafeInteger(version)) throw badRequest('La version doit être un entier positif.');
+  return version;
+}
+
+// GET /potions/:id/history : versions successives d'une potion
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore, revert, purge]
+ *         version:
+ *           type: integer
+ *           description: Version (ETag) de la potion après l'écriture
+ *         actor:
+ *           type: object
+ *           properties:
+ *             user: { type: string }
+ *             role: { type: string }
+ *         ip: { type: string }
+ *         userAgent: { type: string }
+ *         at: { type: string, format: date-time }
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               path: { type: string, example: price }
+ *               from: {}
+ *               to: {}
+ *         details:
+ *           type: object
+ *           additionalProperties: true
+ * /potions/{id}/history:
+ *   get:
+ *     summary: Historique des modifications d'une potion
+ *     description: |
+ *       Rôles : admin, vendor (uniquement ses propres potions). Les plus récentes d'abord, avec
+ *       l'auteur, l'IP et la différence champ par champ. Les potions de la corbeille ont aussi un historique,
+ *       et un admin peut consulter celui d'une potion purgée.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *       - $ref: '#/components/parameters/PotionLimit'
+ *       - $ref: '#/components/parameters/PotionCursor'
+ *     responses:
+ *       200:
+ *         description: Page d'entrées du journal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 total: { type: integer }
+ *                 limit: { type: integer }
+ *                 links:
+ *                   type: object
+ *                   properties:
+ *                     next: { type: string, nullable: true }
+ *                     prev: { type: string, nullable: true }
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Potion introuvable
+ */
+router.get('/:id/history', authMiddleware, authorize('potions:update'), async (req, res) => {
+  await checkHistoryAccess(req);
+  const limit = parseLimit(req.query.limit);
+  const offset = req.query.cursor ? decodeOffset(req.query.cursor) : 0;
+  const filter = { entity: 'potion', entityId: req.params.id };
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter, '-snapshot -entity -entityId').sort({ at: -1, _id: -1 }).skip(offset).limit(limit).lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+  res.json({
+    data: entries,
+    total,
+    limit,
+    links: {
+      next: pageLink(req, offset + limit < total ? encodeOffset(offset + limit) : null),
+      prev: pageLink(req, offset > 0 ? encodeOffset(Math.max(offset - limit, 0)) : null)
+    }
+  });
+});
+
+// GET /potions/:id/history/:version : état de la potion à une version donnée
+/**
+ * @swagger
+ * /potions/{id}/history/{version}:
+ *   get:
+ *     summary: Récupère une version d'une potion
+ *     description: "Rôles : admin, vendor (uniquement ses propres potions)."
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *       - name: version
+ *         in: path
+ *         required: true
+ *         schema: { type: integer, minimum: 0 }
+ *     responses:
+ *       200:
+ *         description: Entrée du journal avec l'état complet de la potion (snapshot)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/AuditEntry'
+ *                 - type: object
+ *                   properties:
+ *                     snapshot:
+ *                       $ref: '#/components/schemas/Potion'
+ *       400:
+ *         description: Version invalide
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Version introuvable
+ */
+router.get('/:id/history/:version', authMiddleware, authorize('potions:update'), async (req, res) => {
+  await checkHistoryAccess(req);
+  const entry = await AuditLog.findOne({ entity: 'potion', entityId: req.params.id, version: parseVersion(req.params.version) }, '-entity -entityId').lean();
+  if (!entry) throw new NotFoundError('Version introuvable');
+  res.json(entry);
+});
+
+// POST /potions/:id/revert/:version : revenir à une version précédente
+/**
+ * @swagger
+ * /potions/{id}/revert/{version}:
+ *   post:
+ *     summary: Rétablit une potion dans l'état d'une version précédente
+ *     description: |
+ *       Rôles : admin, vendor (uniquement ses propres potions).
+ *       Le contenu de la version est revalidé comme pour PUT (vendeur et ingrédients encore existants)
+ *       puis enregistré comme une nouvelle version. Une potion de la corbeille doit d'abord être restaurée.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *       - name: version
+ *         in: path
+ *         required: true
+ *         schema: { type: integer, minimum: 0 }
+ *       - name: If-Match
+ *         in: header
+ *         required: false
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Potion rétablie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Potion'
+ *       400:
+ *         description: Version invalide ou contenu devenu invalide (erreurs par champ)
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Potion ou version introuvable
+ *       412:
+ *         description: If-Match ne correspond plus à la version courante
+ */
+router.post('/:id/revert/:version', authMiddleware, authorize('potions:update'), async (req, res) => {
+  const version = parseVersion(req.params.version);
+  const potion = await Potion.findById(req.params.id);
+  if (!potion) throw new NotFoundError('Potion not found');
+  if (!canManagePotion(req.user, potion)) throw new ForbiddenError(NOT_OWNER);
+  if (!ifMatch(req, potion)) throw preconditionFailed();
+
+  const entry = await AuditLog.findOne({ entity: 'potion', entityId: potion._id, version }, 'snapshot').lean();
+  if (!entry?.snapshot) throw new NotFoundError('Version introuvable');
+
+  const content = { ...entry.snapshot };
+  for (const field of Potion.SERVER_FIELDS) delete content[field];
+  // Les ingrédients de la version restaurée ont été acceptés à l'époque, même s'ils ont été renommés depuis
+  const knownIngredients = [...ingredientNames(potion), ...ingredientNames(content)];
+  const { body, errors } = await validateDocument(potionRules, content, { knownIngredients });
+  if (errors.length) throw new FieldValidationError(errors);
+  if (req.user.role === 'vendor' && body.vendor_id !== req.user.vendor_id) throw new ForbiddenError(NOT_OWNER);
+
+  const before = potionSnapshot(potion);
+  potion.replaceWith(body);
+  await potion.save();
+  await recordPotionChange(req, 'revert', potion, before, { revertedTo: version });
+  sendPotion(res, potion);
 });
 
 // GET /potions/:id : lire une potion par ID
@@ -239,6 +1517,7 @@ router.get('/price-range', async (req, res) => {
  *         in: path
  *         required: true
  *         description: ID de la potion
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Détails de la potion
@@ -247,14 +1526,12 @@ router.get('/price-range', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Potion'
  */
-router.get('/:id', async (req, res) => {
-  try {
-    const potion = await Potion.findById(req.params.id);
-    if (!potion) return res.status(404).json({ error: 'Potion not found' });
-    res.json(potion);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+router.get('/:id', authorize('potions:read'), restrictedFlag('includeDeleted', 'potions:readDeleted'), cached(), async (req, res) => {
+  const potion = await Potion.findById(req.params.id).setOptions({ withDeleted: req.includeDeleted });
+  if (!potion) throw new NotFoundError('Potion not found');
+  sendPotion(res, potion);
 });
 
+router.use('/:id/reviews', reviewsRoutes);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,363 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Potion = require('../model/potion');
+const Review = require('../model/review');
+const { authMiddleware, restrictedFlag } = require('./auth');
+const { authorize, canManageReview } = require('../middleware/permissions');
+const { validate } = require('../middleware/validation');
+const { reviewRules, moderationRules } = require('../validators/review');
+const { recomputePotionRating } = require('../lib/reviews');
+const { parseLimit, pageLink, encodeOffset, decodeOffset } = require('../lib/potionQuery');
+const { NotFoundError, ForbiddenError, onDuplicate } = require('../lib/errors');
+
+// Avis des potions, monté sous /potions/:id/reviews
+
+const REVIEW_NOT_FOUND = 'Avis introuvable';
+
+// Charge la potion de l'URL dans req.potion, 404 si elle n'existe pas
+async function loadPotion(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) throw new NotFoundError('Potion not found');
+  req.potion = await Potion.findById(req.params.id);
+  if (!req.potion) throw new NotFoundError('Potion not found');
+  next();
+}
+
+async function findReview(req) {
+  if (!mongoose.isValidObjectId(req.params.reviewId)) return null;
+  return Review.findOne({ _id: req.params.reviewId, potion: req.potion._id });
+}
+
+// Champs écrits par l'auteur ; une note absente du corps est effacée (PUT remplace tout l'avis)
+function reviewBody(body) {
+  const { score, ratings = {}, comment } = body;
+  return { score, ratings: { strength: ratings.strength, flavor: ratings.flavor }, comment };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReviewInput:
+ *       type: object
+ *       additionalProperties: false
+ *       required:
+ *         - score
+ *       properties:
+ *         score:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         ratings:
+ *           type: object
+ *           additionalProperties: false
+ *           properties:
+ *             strength:
+ *               type: number
+ *               minimum: 0
+ *               maximum: 5
+ *             flavor:
+ *               type: number
+ *               minimum: 0
+ *               maximum: 5
+ *         comment:
+ *           type: string
+ *           maxLength: 2000
+ *     Review:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ReviewInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             potion:
+ *               type: string
+ *             user:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                 username:
+ *                   type: string
+ *             hidden:
+ *               type: boolean
+ *             hiddenReason:
+ *               type: string
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *             updatedAt:
+ *               type: string
+ *               format: date-time
+ */
+
+// GET /potions/:id/reviews : avis visibles, du plus récent au plus ancien
+/**
+ * @swagger
+ * /potions/{id}/reviews:
+ *   get:
+ *     summary: Liste les avis d'une potion
+ *     description: "Avec includeHidden=true, les avis masqués sont aussi listés (rôles : admin, moderator)."
+ *     security:
+ *       - {}
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     tags: [Reviews]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *       - name: includeHidden
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/PotionLimit'
+ *       - $ref: '#/components/parameters/PotionCursor'
+ *     responses:
+ *       200:
+ *         description: Page d'avis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 links:
+ *                   type: object
+ *       403:
+ *         description: includeHidden réservé aux modérateurs
+ *       404:
+ *         description: Potion introuvable
+ */
+router.get('/', authorize('potions:read'), loadPotion, restrictedFlag('includeHidden', 'reviews:moderate'), async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  const offset = req.query.cursor ? decodeOffset(req.query.cursor) : 0;
+  const filter = { potion: req.potion._id };
+  if (!req.includeHidden) filter.hidden = false;
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter).sort({ createdAt: -1, _id: -1 }).skip(offset).limit(limit + 1).populate('user', 'username'),
+    Review.countDocuments(filter)
+  ]);
+  res.json({
+    data: reviews.slice(0, limit),
+    total,
+    limit,
+    links: {
+      next: pageLink(req, reviews.length > limit ? encodeOffset(offset + limit) : null),
+      prev: pageLink(req, offset > 0 ? encodeOffset(Math.max(offset - limit, 0)) : null)
+    }
+  });
+});
+
+// POST /potions/:id/reviews : publier son avis (un seul par potion)
+/**
+ * @swagger
+ * /potions/{id}/reviews:
+ *   post:
+ *     summary: Publie un avis sur une potion
+ *     description: Un avis par utilisateur et par potion. Un vendeur ne peut pas noter ses propres potions.
+ *     tags: [Reviews]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReviewInput'
+ *     responses:
+ *       201:
+ *         description: Avis publié
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Un vendeur ne peut pas noter ses propres potions
+ *       404:
+ *         description: Potion introuvable
+ *       409:
+ *         description: Avis déjà publié sur cette potion
+ */
+router.post('/', authMiddleware, authorize('reviews:write'), loadPotion, reviewRules, validate, async (req, res) => {
+  if (req.user.role === 'vendor' && req.potion.vendor_id === req.user.vendor_id) {
+    throw new ForbiddenError('Un vendeur ne peut pas noter ses propres potions.');
+  }
+  const review = await Review.create({ potion: req.potion._id, user: req.user.id, ...reviewBody(req.body) })
+    .catch(onDuplicate('Vous avez déjà publié un avis sur cette potion.'));
+  await recomputePotionRating(req.potion._id);
+  res.status(201).json(await review.populate('user', 'username'));
+});
+
+// PUT /potions/:id/reviews/:reviewId : modifier son avis
+/**
+ * @swagger
+ * /potions/{id}/reviews/{reviewId}:
+ *   put:
+ *     summary: Modifie son avis
+ *     description: Seul l'auteur peut modifier son avis. Un avis masqué le reste.
+ *     tags: [Reviews]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *       - name: reviewId
+ *         in: path
+ *         required: true
+ *         description: ID de l'avis
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReviewInput'
+ *     responses:
+ *       200:
+ *         description: Avis modifié
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       403:
+ *         description: L'avis appartient à un autre utilisateur
+ *       404:
+ *         description: Potion ou avis introuvable
+ */
+router.put('/:reviewId', authMiddleware, authorize('reviews:write'), loadPotion, reviewRules, validate, async (req, res) => {
+  const review = await findReview(req);
+  if (!review) throw new NotFoundError(REVIEW_NOT_FOUND);
+  if (String(review.user) !== String(req.user.id)) throw new ForbiddenError('Vous ne pouvez modifier que vos propres avis.');
+
+  review.set(reviewBody(req.body));
+  await review.save();
+  await recomputePotionRating(req.potion._id);
+  res.json(await review.populate('user', 'username'));
+});
+
+// DELETE /potions/:id/reviews/:reviewId : supprimer un avis (auteur ou modérateur)
+/**
+ * @swagger
+ * /potions/{id}/reviews/{reviewId}:
+ *   delete:
+ *     summary: Supprime un avis
+ *     description: "L'auteur ou un modérateur (rôles : admin, moderator)."
+ *     tags: [Reviews]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *       - name: reviewId
+ *         in: path
+ *         required: true
+ *         description: ID de l'avis
+ *     responses:
+ *       200:
+ *         description: Avis supprimé
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Potion ou avis introuvable
+ */
+router.delete('/:reviewId', authMiddleware, authorize('reviews:write'), loadPotion, async (req, res) => {
+  const review = await findReview(req);
+  if (!review) throw new NotFoundError(REVIEW_NOT_FOUND);
+  if (!canManageReview(req.user, review)) throw new ForbiddenError('Vous ne pouvez supprimer que vos propres avis.');
+
+  await review.deleteOne();
+  await recomputePotionRating(req.potion._id);
+  res.json(review);
+});
+
+// PATCH /potions/:id/reviews/:reviewId/moderation : masquer ou réafficher un avis
+/**
+ * @swagger
+ * /potions/{id}/reviews/{reviewId}/moderation:
+ *   patch:
+ *     summary: Masque ou réaffiche un avis
+ *     description: "Rôles : admin, moderator. Un avis masqué ne compte plus dans la note de la potion."
+ *     tags: [Reviews]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la potion
+ *       - name: reviewId
+ *         in: path
+ *         required: true
+ *         description: ID de l'avis
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             required:
+ *               - hidden
+ *             properties:
+ *               hidden:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Avis mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Potion ou avis introuvable
+ */
+router.patch('/:reviewId/moderation', authMiddleware, authorize('reviews:moderate'), loadPotion, moderationRules, validate, async (req, res) => {
+  const review = await findReview(req);
+  if (!review) throw new NotFoundError(REVIEW_NOT_FOUND);
+
+  if (req.body.hidden) {
+    review.set({ hidden: true, hiddenReason: req.body.reason, hiddenBy: req.user.id, hiddenAt: new Date() });
+  } else {
+    review.set({ hidden: false, hiddenReason: undefined, hiddenBy: undefined, hiddenAt: undefined });
+  }
+  await review.save();
+  await recomputePotionRating(req.potion._id);
+  res.json(await review.populate('user', 'username'));
+});
+
+module.exports = router;
@@ -0,0 +1,386 @@
+const express = require('express');
+const router = express.Router();
+const Vendor = require('../model/vendor');
+const Potion = require('../model/potion');
+const User = require('../model/user');
+const { authMiddleware } = require('./auth');
+const { authorize, canManageVendor } = require('../middleware/permissions');
+const { validate } = require('../middleware/validation');
+const { createVendorRules, updateVendorRules } = require('../validators/vendor');
+const { vendorStats, leaderboard } = require('../lib/vendorStats');
+const { publish } = require('../lib/webhooks');
+const { NotFoundError, ForbiddenError, ConflictError, onDuplicate } = require('../lib/errors');
+
+const NOT_FOUND = 'Vendeur introuvable';
+
+function profile(body) {
+  const { name, description, location, contact } = body;
+  return { name, description, location, contact };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Vendor:
+ *       type: object
+ *       additionalProperties: false
+ *       required:
+ *         - vendor_id
+ *         - name
+ *       properties:
+ *         vendor_id:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9_-]{1,50}$'
+ *           description: Identifiant repris dans le vendor_id des potions (non modifiable)
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           maxLength: 2000
+ *         location:
+ *           type: object
+ *           additionalProperties: false
+ *           properties:
+ *             address:
+ *               type: string
+ *             city:
+ *               type: string
+ *             country:
+ *               type: string
+ *         contact:
+ *           type: object
+ *           additionalProperties: false
+ *           properties:
+ *             email:
+ *               type: string
+ *               format: email
+ *             phone:
+ *               type: string
+ *             website:
+ *               type: string
+ *               format: uri
+ */
+
+// GET /vendors : liste des vendeurs
+/**
+ * @swagger
+ * /vendors:
+ *   get:
+ *     summary: Liste les vendeurs par nom
+ *     tags: [Vendors]
+ *     responses:
+ *       200:
+ *         description: Liste des vendeurs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Vendor'
+ */
+router.get('/', authorize('vendors:read'), async (req, res) => {
+  res.json(await Vendor.find().sort({ name: 1, _id: 1 }));
+});
+
+// GET /vendors/leaderboard : classement des vendeurs
+/**
+ * @swagger
+ * /vendors/leaderboard:
+ *   get:
+ *     summary: Classe les vendeurs selon un critère
+ *     description: Seuls les vendeurs ayant une fiche et au moins minPotions potions sont classés.
+ *     tags: [Vendors]
+ *     parameters:
+ *       - name: by
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [averageScore, averagePrice, potionCount, bestScore]
+ *           default: averageScore
+ *       - name: order
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - name: minPotions
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Classement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 by:
+ *                   type: string
+ *                 order:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                       vendor_id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       location:
+ *                         type: object
+ *                       averageScore:
+ *                         type: number
+ *                         nullable: true
+ *                       averagePrice:
+ *                         type: number
+ *                       potionCount:
+ *                         type: integer
+ *                       bestScore:
+ *                         type: number
+ *                         nullable: true
+ *       400:
+ *         description: Paramètre invalide
+ */
+router.get('/leaderboard', authorize('vendors:read'), async (req, res) => {
+  res.json(await leaderboard(req.query));
+});
+
+// GET /vendors/:id : fiche d'un vendeur
+/**
+ * @swagger
+ * /vendors/{id}:
+ *   get:
+ *     summary: Récupère un vendeur
+ *     tags: [Vendors]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: vendor_id du vendeur
+ *     responses:
+ *       200:
+ *         description: Fiche du vendeur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Vendor'
+ *       404:
+ *         description: Vendeur introuvable
+ */
+router.get('/:id', authorize('vendors:read'), async (req, res) => {
+  const vendor = await Vendor.findById(req.params.id);
+  if (!vendor) throw new NotFoundError(NOT_FOUND);
+  res.json(vendor);
+});
+
+// GET /vendors/:id/stats : statistiques des potions d'un vendeur
+/**
+ * @swagger
+ * /vendors/{id}/stats:
+ *   get:
+ *     summary: Statistiques des potions d'un vendeur
+ *     tags: [Vendors]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: vendor_id du vendeur
+ *     responses:
+ *       200:
+ *         description: Statistiques
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 vendor_id:
+ *                   type: string
+ *                 potionCount:
+ *                   type: integer
+ *                 averageScore:
+ *                   type: number
+ *                   nullable: true
+ *                 averagePrice:
+ *                   type: number
+ *                   nullable: true
+ *                 minPrice:
+ *                   type: number
+ *                   nullable: true
+ *                 maxPrice:
+ *                   type: number
+ *                   nullable: true
+ *                 bestPotion:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Potion la mieux notée (_id, name, score, price)
+ *       404:
+ *         description: Vendeur introuvable
+ */
+router.get('/:id/stats', authorize('vendors:read'), async (req, res) => {
+  if (!(await Vendor.exists({ _id: req.params.id }))) throw new NotFoundError(NOT_FOUND);
+  res.json(await vendorStats(req.params.id));
+});
+
+// POST /vendors : créer un vendeur
+/**
+ * @swagger
+ * /vendors:
+ *   post:
+ *     summary: Crée un vendeur
+ *     description: "Rôle requis : admin."
+ *     tags: [Vendors]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Vendor'
+ *     responses:
+ *       201:
+ *         description: Vendeur créé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Vendor'
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       409:
+ *         description: vendor_id déjà utilisé
+ */
+router.post('/', authMiddleware, authorize('vendors:create'), createVendorRules, validate, async (req, res) => {
+  const vendor = await Vendor.create({ _id: req.body.vendor_id, ...profile(req.body) })
+    .catch(onDuplicate('Ce vendor_id est déjà utilisé.'));
+  publish('vendor.created', { vendor });
+  res.status(201).json(vendor);
+});
+
+// PUT /vendors/:id : remplacer la fiche d'un vendeur
+/**
+ * @swagger
+ * /vendors/{id}:
+ *   put:
+ *     summary: Remplace la fiche d'un vendeur
+ *     description: "Rôles : admin, vendor (uniquement sa propre fiche). Le vendor_id n'est pas modifiable."
+ *     tags: [Vendors]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: vendor_id du vendeur
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               location:
+ *                 $ref: '#/components/schemas/Vendor/properties/location'
+ *               contact:
+ *                 $ref: '#/components/schemas/Vendor/properties/contact'
+ *     responses:
+ *       200:
+ *         description: Vendeur mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Vendor'
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Vendeur introuvable
+ */
+router.put('/:id', authMiddleware, authorize('vendors:update'), updateVendorRules, validate, async (req, res) => {
+  const vendor = await Vendor.findById(req.params.id);
+  if (!vendor) throw new NotFoundError(NOT_FOUND);
+  if (!canManageVendor(req.user, vendor)) throw new ForbiddenError('Un vendeur ne peut modifier que sa propre fiche.');
+
+  vendor.overwrite({ _id: vendor._id, createdAt: vendor.createdAt, ...profile(req.body) });
+  await vendor.save();
+  publish('vendor.updated', { vendor });
+  res.json(vendor);
+});
+
+// DELETE /vendors/:id : supprimer un vendeur sans potion ni compte rattaché
+/**
+ * @swagger
+ * /vendors/{id}:
+ *   delete:
+ *     summary: Supprime un vendeur
+ *     description: "Rôle requis : admin. Refusé tant que des potions ou des comptes vendeur y sont rattachés."
+ *     tags: [Vendors]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: vendor_id du vendeur
+ *     responses:
+ *       200:
+ *         description: Vendeur supprimé
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ *       404:
+ *         description: Vendeur introuvable
+ *       409:
+ *         description: Des potions ou des comptes référencent encore ce vendeur
+ */
+router.delete('/:id', authMiddleware, authorize('vendors:delete'), async (req, res) => {
+  const vendor = await Vendor.findById(req.params.id);
+  if (!vendor) throw new NotFoundError(NOT_FOUND);
+
+  const [potions, users] = await Promise.all([
+    // Les potions de la corbeille comptent : elles peuvent encore être restaurées
+    Potion.countDocuments({ vendor_id: vendor._id }).setOptions({ withDeleted: true }),
+    User.countDocuments({ vendor_id: vendor._id })
+  ]);
+  if (potions || users) {
+    throw new ConflictError(`Vendeur encore référencé par ${potions} potion(s) (corbeille comprise) et ${users} compte(s).`);
+  }
+
+  await vendor.deleteOne();
+  publish('vendor.deleted', { vendor });
+  res.json(vendor);
+});
+
+module.exports = router;
@@ -0,0 +1,460 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Webhook = require('../model/webhook');
+const WebhookDelivery = require('../model/webhookDelivery');
+const { authMiddleware } = require('./auth');
+const { authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validation');
+const { webhookRules } = require('../validators/webhook');
+const { generateSecret, ping, redeliver } = require('../lib/webhooks');
+const { parseLimit, encodeOffset, decodeOffset, pageLink, badRequest } = require('../lib/potionQuery');
+const { NotFoundError } = require('../lib/errors');
+
+const NOT_FOUND = 'Webhook introuvable';
+const { DELIVERY_STATUSES } = WebhookDelivery;
+
+// Toutes les routes sont réservées aux admins
+router.use(authMiddleware, authorize('webhooks:manage'));
+
+function findWebhook(id) {
+  return mongoose.isValidObjectId(id) ? Webhook.findById(id) : null;
+}
+
+function findDelivery(webhook, id) {
+  return mongoose.isValidObjectId(id) ? WebhookDelivery.findOne({ _id: id, webhook: webhook._id }) : null;
+}
+
+function settings(body) {
+  const { url, events, description, active } = body;
+  return { url, events: [...new Set(events)], description, active };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookInput:
+ *       type: object
+ *       required: [url, events]
+ *       properties:
+ *         url:
+ *           type: string
+ *           example: http://localhost:4000/hooks/potions
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [potion.created, potion.updated, potion.deleted, potion.restored, vendor.created, vendor.updated, vendor.deleted, user.registered, '*']
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         active:
+ *           type: boolean
+ *           default: true
+ *     Webhook:
+ *       allOf:
+ *         - $ref: '#/components/schemas/WebhookInput'
+ *         - type: object
+ *           properties:
+ *             _id: { type: string }
+ *             createdBy: { type: string }
+ *             createdAt: { type: string, format: date-time }
+ *             updatedAt: { type: string, format: date-time }
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         webhook: { type: string }
+ *         event: { type: string }
+ *         payload:
+ *           type: object
+ *           properties:
+ *             id: { type: string, description: Identifiant de l'événement, commun à ses renvois }
+ *             event: { type: string }
+ *             createdAt: { type: string, format: date-time }
+ *             data: { type: object, additionalProperties: true }
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at: { type: string, format: date-time }
+ *               status: { type: integer, description: Statut HTTP de la réponse }
+ *               error: { type: string, description: Erreur réseau ou délai dépassé }
+ *               body: { type: string, description: Début de la réponse }
+ *               durationMs: { type: integer }
+ *         nextAttemptAt: { type: string, format: date-time }
+ *         deliveredAt: { type: string, format: date-time }
+ *         redeliveryOf: { type: string }
+ */
+
+// GET /webhooks : liste des webhooks
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: Liste les webhooks
+ *     description: "Rôle requis : admin."
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks enregistrés
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ */
+router.get('/', async (req, res) => {
+  res.json(await Webhook.find().sort({ createdAt: -1 }));
+});
+
+// POST /webhooks : enregistrer un webhook
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Enregistre un webhook
+ *     description: |
+ *       Rôle requis : admin. La réponse contient le secret de signature, qui n'est plus jamais renvoyé ensuite.
+ *       Chaque livraison est un POST JSON signé : X-Potions-Signature vaut "t=<horodatage>,v1=<HMAC-SHA256 hex>"
+ *       calculé avec ce secret sur "<horodatage>.<corps>".
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       201:
+ *         description: Webhook créé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Webhook'
+ *                 - type: object
+ *                   properties:
+ *                     secret: { type: string, example: whsec_3f1c... }
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Action non autorisée
+ */
+router.post('/', webhookRules, validate, async (req, res) => {
+  const secret = generateSecret();
+  const webhook = await Webhook.create({ ...settings(req.body), secret, createdBy: req.user.id });
+  res.status(201).json({ ...webhook.toJSON(), secret });
+});
+
+// GET /webhooks/:id : détail d'un webhook
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Récupère un webhook
+ *     description: "Rôle requis : admin."
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID du webhook
+ *     responses:
+ *       200:
+ *         description: Webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: Webhook introuvable
+ */
+router.get('/:id', async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  if (!webhook) throw new NotFoundError(NOT_FOUND);
+  res.json(webhook);
+});
+
+// PUT /webhooks/:id : modifier un webhook (le secret est conservé)
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   put:
+ *     summary: Remplace la configuration d'un webhook
+ *     description: "Rôle requis : admin. Le secret de signature est conservé."
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID du webhook
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       200:
+ *         description: Webhook mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Erreurs de validation par champ
+ *       404:
+ *         description: Webhook introuvable
+ */
+router.put('/:id', webhookRules, validate, async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  if (!webhook) throw new NotFoundError(NOT_FOUND);
+  const { url, events, description, active } = settings(req.body);
+  webhook.set({ url, events, description, active: active ?? true });
+  await webhook.save();
+  res.json(webhook);
+});
+
+// DELETE /webhooks/:id : supprimer un webhook et ses livraisons
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: Supprime un webhook et l'historique de ses livraisons
+ *     description: "Rôle requis : admin."
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID du webhook
+ *     responses:
+ *       200:
+ *         description: Webhook supprimé
+ *       404:
+ *         description: Webhook introuvable
+ */
+router.delete('/:id', async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  if (!webhook) throw new NotFoundError(NOT_FOUND);
+  await webhook.deleteOne();
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  res.json(webhook);
+});
+
+// POST /webhooks/:id/ping : livraison de test
+/**
+ * @swagger
+ * /webhooks/{id}/ping:
+ *   post:
+ *     summary: Envoie un événement de test (webhook.ping)
+ *     description: |
+ *       Rôle requis : admin. L'envoi est immédiat, même pour un webhook désactivé, et n'est pas retenté :
+ *       la réponse contient le résultat de la tentative.
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID du webhook
+ *     responses:
+ *       200:
+ *         description: Livraison effectuée (status delivered ou failed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook introuvable
+ */
+router.post('/:id/ping', async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  if (!webhook) throw new NotFoundError(NOT_FOUND);
+  res.json(await ping(webhook));
+});
+
+// GET /webhooks/:id/deliveries : journal des livraisons
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Journal des livraisons d'un webhook
+ *     description: "Rôle requis : admin. Les plus récentes d'abord, sans le payload."
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID du webhook
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - $ref: '#/components/parameters/PotionLimit'
+ *       - $ref: '#/components/parameters/PotionCursor'
+ *     responses:
+ *       200:
+ *         description: Page de livraisons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 total: { type: integer }
+ *                 limit: { type: integer }
+ *                 links:
+ *                   type: object
+ *                   properties:
+ *                     next: { type: string, nullable: true }
+ *                     prev: { type: string, nullable: true }
+ *       400:
+ *         description: Paramètre de requête invalide
+ *       404:
+ *         description: Webhook introuvable
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  if (!webhook) throw new NotFoundError(NOT_FOUND);
+  const limit = parseLimit(req.query.limit);
+  const offset = req.query.cursor ? decodeOffset(req.query.cursor) : 0;
+  const filter = { webhook: webhook._id };
+  if (req.query.status !== undefined) {
+    if (!DELIVERY_STATUSES.includes(req.query.status)) {
+      throw badRequest(`Statut inconnu. Valeurs acceptées : ${DELIVERY_STATUSES.join(', ')}.`);
+    }
+    filter.status = req.query.status;
+  }
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter, '-payload -lockedUntil').sort({ createdAt: -1, _id: -1 }).skip(offset).limit(limit).lean(),
+    WebhookDelivery.countDocuments(filter)
+  ]);
+  res.json({
+    data: deliveries,
+    total,
+    limit,
+    links: {
+      next: pageLink(req, offset + limit < total ? encodeOffset(offset + limit) : null),
+      prev: pageLink(req, offset > 0 ? encodeOffset(Math.max(offset - limit, 0)) : null)
+    }
+  });
+});
+
+// GET /webhooks/:id/deliveries/:deliveryId : détail d'une livraison
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Récupère une livraison avec son payload et ses tentatives
+ *     description: "Rôle requis : admin."
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID du webhook
+ *       - name: deliveryId
+ *         in: path
+ *         required: true
+ *         description: ID de la livraison
+ *     responses:
+ *       200:
+ *         description: Livraison
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook ou livraison introuvable
+ */
+router.get('/:id/deliveries/:deliveryId', async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  if (!webhook) throw new NotFoundError(NOT_FOUND);
+  const delivery = await findDelivery(webhook, req.params.deliveryId);
+  if (!delivery) throw new NotFoundError('Livraison introuvable');
+  res.json(delivery);
+});
+
+// POST /webhooks/:id/deliveries/:deliveryId/redeliver : renvoi manuel
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Renvoie une livraison
+ *     description: |
+ *       Rôle requis : admin. Le même payload est envoyé immédiatement dans une nouvelle livraison
+ *       (redeliveryOf), retentée ensuite comme les autres en cas d'échec.
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID du webhook
+ *       - name: deliveryId
+ *         in: path
+ *         required: true
+ *         description: ID de la livraison à renvoyer
+ *     responses:
+ *       201:
+ *         description: Nouvelle livraison, après la première tentative
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook ou livraison introuvable
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  if (!webhook) throw new NotFoundError(NOT_FOUND);
+  const delivery = await findDelivery(webhook, req.params.deliveryId);
+  if (!delivery) throw new NotFoundError('Livraison introuvable');
+  res.status(201).json(await redeliver(webhook, delivery));
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { connectDatabase, disconnectDatabase } = require('../lib/db');
+const { DEFAULT_SIZE, DEFAULT_SEED, SEED_PASSWORD, seedDatabase, resetDatabase } = require('../lib/seed');
+const { migrationStatus, migrateUp, migrateDown } = require('../lib/migrations');
+
+// Administration de la base : npm run db -- <commande> [options]
+
+const MIGRATE_COMMANDS = ['status', 'up', 'down'];
+
+const USAGE = `Usage : npm run db -- <commande> [options]
+
+Commandes :
+  seed                 remplit une base vide avec un catalogue fictif déterministe
+    --size <n>         nombre de potions (${DEFAULT_SIZE} par défaut) ; vendeurs, clients et avis en découlent
+    --seed <n>         graine du générateur (${DEFAULT_SEED} par défaut)
+    --reset            vide la base avant de la remplir
+  reset                supprime toutes les données et recrée les index
+  migrate status       liste les migrations et leur état
+  migrate up           applique les migrations en attente
+    --to <nom>         s'arrête après cette migration
+  migrate down         annule la dernière migration appliquée
+    --steps <n>        annule les n dernières
+    --to <nom>         annule toutes celles appliquées après cette migration
+
+Options communes :
+  --uri <uri>          base cible (MONGO_URI par défaut)
+  --force              autorise reset et seed --reset avec NODE_ENV=production`;
+
+function parse(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      size: { type: 'string' },
+      seed: { type: 'string' },
+      reset: { type: 'boolean' },
+      to: { type: 'string' },
+      steps: { type: 'string' },
+      uri: { type: 'string' },
+      force: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  return { command: positionals[0], subcommand: positionals[1], options: values };
+}
+
+// Une base de production ne se vide pas par erreur
+function checkDestructive(options) {
+  if (process.env.NODE_ENV === 'production' && !options.force) {
+    throw new Error('NODE_ENV=production : ajoutez --force pour supprimer les données.');
+  }
+}
+
+function printMigrations(title, migrations) {
+  if (!migrations.length) return console.log(`${title} : aucune`);
+  console.log(`${title} :`);
+  for (const { name, result } of migrations) console.log(`  ${name}${result ? ` ${JSON.stringify(result)}` : ''}`);
+}
+
+async function seed(options) {
+  if (options.reset) {
+    checkDestructive(options);
+    await resetDatabase();
+  }
+  const counts = await seedDatabase({ size: options.size, seed: options.seed });
+  console.log('Base remplie :', Object.entries(counts).map(([name, count]) => `${count} ${name}`).join(', '));
+  console.log(`Comptes : admin, moderateur, vendeur1..., client1... (mot de passe : ${SEED_PASSWORD})`);
+}
+
+async function reset(options) {
+  checkDestructive(options);
+  await resetDatabase();
+  console.log('Base vidée, index recréés');
+}
+
+async function migrate(subcommand, options) {
+  switch (subcommand) {
+    case 'status': {
+      for (const { name, description, appliedAt } of await migrationStatus()) {
+        console.log(`${appliedAt ? appliedAt.toISOString() : 'en attente              '}  ${name}  ${description}`);
+      }
+      return;
+    }
+    case 'up':
+      return printMigrations('Migrations appliquées', await migrateUp({ to: options.to }));
+    case 'down': {
+      const steps = options.steps === undefined ? 1 : Number(options.steps);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error('--steps doit être un entier positif.');
+      return printMigrations('Migrations annulées', await migrateDown({ to: options.to, steps }));
+    }
+  }
+}
+
+async function main(argv) {
+  const { command, subcommand, options } = parse(argv);
+  if (!command || options.help) return console.log(USAGE);
+
+  const commands = {
+    seed: () => seed(options),
+    reset: () => reset(options),
+    migrate: () => migrate(subcommand, options)
+  };
+  if (!commands[command]) throw new Error(`Commande inconnue : ${command}.\n\n${USAGE}`);
+  if (command === 'migrate' && !MIGRATE_COMMANDS.includes(subcommand)) {
+    throw new Error(`Sous-commande migrate inconnue : ${subcommand ?? '(aucune)'}.\n\n${USAGE}`);
+  }
+
+  const uri = options.uri || process.env.MONGO_URI;
+  if (!uri) throw new Error('Aucune base : définissez MONGO_URI ou passez --uri.');
+  await connectDatabase(uri);
+  try {
+    await commands[command]();
+  } finally {
+    await disconnectDatabase();
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -1,5 +1,16 @@
+require('dotenv').config();
 const http = require('http');
-const app = require('./app');
+const createApp = require('./app');
+const { connectDatabase } = require('./lib/db');
+const { startTrashPurge } = require('./lib/trash');
+const { startWebhookWorker } = require('./lib/webhooks');
+const { startAnalyticsViews } = require('./lib/analyticsViews');
+
+connectDatabase()
+    .then(() => console.log('Connecté à MongoDB, index des potions à jour'))
+    .catch(err => console.error('Erreur MongoDB :', err));
+
+const app = createApp();
 
 app.use(require('sanitize').middleware);
 
@@ -42,4 +53,7 @@ server.on('listening', () => {
 	console.log('Listening on ' + bind);
 });
 
-server.listen(port);
\ No newline at end of file
+server.listen(port);
+startTrashPurge();
+startWebhookWorker();
+startAnalyticsViews().catch(err => console.error('Vues analytics :', err));
\ No newline at end of file
@@ -0,0 +1,145 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const createApp = require('../app');
+const { startDatabase, clearDatabase, stopDatabase } = require('./helpers/db');
+const { createPotion, createPotions } = require('./helpers/fixtures');
+const { loginAs } = require('./helpers/auth');
+const { readEvents } = require('./helpers/sse');
+
+const app = createApp();
+
+const byId = (a, b) => String(a._id).localeCompare(String(b._id));
+
+describe('analytics', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPotions([
+      { name: 'A', price: 10, score: 4, categories: ['soin'], vendor_id: 'v1', tryDate: new Date('2025-01-10T00:00:00Z') },
+      { name: 'B', price: 20, score: 2, categories: ['soin', 'force'], vendor_id: 'v1', tryDate: new Date('2025-02-10T00:00:00Z') },
+      { name: 'C', price: 30, score: 5, categories: ['force'], vendor_id: 'v2', tryDate: new Date('2025-02-20T00:00:00Z') },
+      // Dans la corbeille : ignorée par toutes les agrégations
+      { name: 'D', price: 1000, score: 0, vendor_id: 'v2', deletedAt: new Date() }
+    ]);
+  });
+
+  it('GET /analytics/average_score_by_vendor', async () => {
+    const res = await request(app).get('/analytics/average_score_by_vendor').expect(200);
+    assert.deepEqual(res.body.sort(byId), [
+      { _id: 'v1', averageScore: 3 },
+      { _id: 'v2', averageScore: 5 }
+    ]);
+  });
+
+  it('GET /analytics/average_score_by_category accepte les filtres de GET /potions', async () => {
+    const res = await request(app).get('/analytics/average_score_by_category?vendor_id=v1').expect(200);
+    assert.deepEqual(res.body.sort(byId), [
+      { _id: 'force', averageScore: 2 },
+      { _id: 'soin', averageScore: 3 }
+    ]);
+  });
+
+  describe('GET /analytics/strength_flavor_ratio', () => {
+    it('calcule force / parfum', async () => {
+      const res = await request(app).get('/analytics/strength_flavor_ratio').expect(200);
+      assert.equal(res.body.length, 3);
+      assert.ok(res.body.every(row => row.strengthFlavorRatio === 2));
+    });
+
+    it('renvoie null au lieu de diviser par zéro', async () => {
+      const zero = await createPotion({ name: 'Sans goût', ratings: { strength: 3, flavor: 0 } });
+      const missing = await createPotion({ name: 'Sans notes', ratings: undefined });
+      const res = await request(app).get('/analytics/strength_flavor_ratio').expect(200);
+      const ratio = id => res.body.find(row => row._id === String(id)).strengthFlavorRatio;
+      assert.equal(ratio(zero._id), null);
+      assert.equal(ratio(missing._id), null);
+    });
+  });
+
+  describe('GET /analytics/query', () => {
+    it('regroupe et calcule les métriques demandées', async () => {
+      const res = await request(app).get('/analytics/query?groupBy=vendor_id&metrics=avg:price,count&sort=vendor_id').expect(200);
+      assert.deepEqual(res.body.groupBy, ['vendor_id']);
+      assert.deepEqual(res.body.metrics, ['avg_price', 'count']);
+      assert.deepEqual(res.body.data, [
+        { vendor_id: 'v1', avg_price: 15, count: 2 },
+        { vendor_id: 'v2', avg_price: 30, count: 1 }
+      ]);
+    });
+
+    it('inclut la corbeille pour un admin avec includeDeleted', async () => {
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent.get('/analytics/query?metrics=count&includeDeleted=true').expect(200);
+      assert.deepEqual(res.body.data, [{ count: 4 }]);
+      await request(app).get('/analytics/query?metrics=count&includeDeleted=true').expect(401);
+    });
+
+    it('refuse une métrique inconnue', async () => {
+      const res = await request(app).get('/analytics/query?metrics=avg:password').expect(400);
+      assert.equal(res.body.code, 'bad_request');
+      await request(app).get('/analytics/query').expect(400);
+    });
+  });
+
+  describe('GET /analytics/timeseries', () => {
+    it('découpe la plage en périodes', async () => {
+      const res = await request(app)
+        .get('/analytics/timeseries?interval=month&from=2025-01-01T00:00:00Z&to=2025-03-31T00:00:00Z&window=2')
+        .expect(200);
+      const [series] = res.body.series;
+      assert.equal(series.key, null);
+      assert.deepEqual(series.buckets.map(b => b.count), [1, 2, 0]);
+      assert.equal(series.buckets[1].averagePrice, 25);
+      assert.equal(series.buckets[1].deltaCount, 1);
+    });
+
+    it('compte la première période en entier et croise from/to avec tryDate_from/tryDate_to', async () => {
+      const res = await request(app)
+        .get('/analytics/timeseries?interval=month&from=2025-01-15T00:00:00Z&to=2025-03-31T00:00:00Z&tryDate_to=2025-02-15T00:00:00Z')
+        .expect(200);
+      assert.deepEqual(res.body.series[0].buckets.map(b => b.count), [1, 1, 0]);
+    });
+
+    it('refuse un intervalle inconnu', async () => {
+      await request(app).get('/analytics/timeseries?interval=decade').expect(400);
+    });
+  });
+
+  it('GET /analytics/top_ingredients_by_category', async () => {
+    const res = await request(app).get('/analytics/top_ingredients_by_category?category=soin').expect(200);
+    assert.deepEqual(res.body, [{ category: 'soin', ingredients: [{ name: 'mandragore', potions: 2 }] }]);
+    await request(app).get('/analytics/top_ingredients_by_category?top=0').expect(400);
+  });
+
+  describe('GET /analytics/search', () => {
+    it('calcule une métrique par dimension', async () => {
+      const res = await request(app).get('/analytics/search?groupBy=vendor_id&metric=sum&field=price').expect(200);
+      assert.deepEqual(res.body.sort(byId), [{ _id: 'v1', sum: 30 }, { _id: 'v2', sum: 30 }]);
+    });
+
+    it('exige tous les paramètres', async () => {
+      const res = await request(app).get('/analytics/search?groupBy=vendor_id').expect(400);
+      assert.equal(res.body.detail, 'Tous les paramètres sont requis.');
+      await request(app).get('/analytics/search?groupBy=name&metric=avg&field=price').expect(400);
+    });
+  });
+
+  it('GET /analytics/group', async () => {
+    const res = await request(app).get('/analytics/group').expect(200);
+    assert.deepEqual(res.body.sort(byId), [
+      { _id: 'v1', averagePrice: 15, totalCount: 2 },
+      { _id: 'v2', averagePrice: 30, totalCount: 1 }
+    ]);
+  });
+
+  it('GET /analytics/stream envoie l’état complet à la connexion', async () => {
+    const { status, headers, events } = await readEvents(app, '/analytics/stream');
+    assert.equal(status, 200);
+    assert.match(headers['content-type'], /text\/event-stream/);
+    assert.equal(events[0].event, 'snapshot');
+    assert.ok(Array.isArray(events[0].data.vendors));
+    assert.ok(Array.isArray(events[0].data.categories));
+  });
+});
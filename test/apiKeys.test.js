@@ -0,0 +1,181 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const createApp = require('../app');
+const ApiKey = require('../model/apiKey');
+const { POLICIES } = require('../lib/rateLimit');
+const { startDatabase, clearDatabase, stopDatabase } = require('./helpers/db');
+const { PASSWORD, createVendor, createIngredient, createPotion } = require('./helpers/fixtures');
+const { loginAs } = require('./helpers/auth');
+
+const app = createApp();
+
+// Crée une clé pour un utilisateur connecté et renvoie sa valeur en clair
+async function mintKey(agent, scopes, overrides = {}) {
+  const res = await agent.post('/me/api-keys').send({ name: 'Import nocturne', scopes, ...overrides }).expect(201);
+  return res.body.key;
+}
+
+describe('clés d’API', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    await createVendor();
+    await createIngredient();
+  });
+
+  describe('/me/api-keys', () => {
+    it('renvoie la clé une seule fois et n’en stocke que le hash', async () => {
+      const { agent } = await loginAs(app);
+      const res = await agent.post('/me/api-keys').send({ name: 'Import nocturne', scopes: ['read'] }).expect(201);
+      assert.match(res.body.key, /^pk_/);
+      assert.equal(res.body.keyHash, undefined);
+      assert.ok(res.body.key.startsWith(res.body.prefix));
+
+      const stored = await ApiKey.findById(res.body._id).select('+keyHash');
+      assert.notEqual(stored.keyHash, res.body.key);
+
+      const list = await agent.get('/me/api-keys').expect(200);
+      assert.equal(list.body.length, 1);
+      assert.equal(list.body[0].key, undefined);
+      assert.deepEqual(list.body[0].scopes, ['read']);
+    });
+
+    it('refuse une portée inconnue', async () => {
+      const { agent } = await loginAs(app);
+      const res = await agent.post('/me/api-keys').send({ name: 'x', scopes: ['admin'] }).expect(400);
+      assert.equal(res.body.errors[0].path, 'scopes[0]');
+    });
+
+    it('révoque une clé', async () => {
+      const { agent } = await loginAs(app);
+      const key = await mintKey(agent, ['read']);
+      const [{ _id }] = (await agent.get('/me/api-keys')).body;
+
+      const res = await agent.delete(`/me/api-keys/${_id}`).expect(200);
+      assert.ok(res.body.revokedAt);
+      const refused = await request(app).get('/potions').set('X-API-Key', key).expect(401);
+      assert.equal(refused.body.code, 'invalid_api_key');
+    });
+
+    it('ne se gère pas avec une clé', async () => {
+      const { agent } = await loginAs(app);
+      const key = await mintKey(agent, ['read', 'potions:write', 'analytics']);
+      const res = await request(app).post('/me/api-keys').set('X-API-Key', key).send({ name: 'y', scopes: ['read'] }).expect(403);
+      assert.equal(res.body.code, 'api_key_not_allowed');
+      await request(app).get('/auth/me').set('X-API-Key', key).expect(403);
+    });
+  });
+
+  describe('X-API-Key', () => {
+    it('donne accès aux routes de ses portées', async () => {
+      await createPotion();
+      const { agent } = await loginAs(app, { role: 'vendor' });
+      const key = await mintKey(agent, ['potions:write']);
+
+      const list = await request(app).get('/potions').set('X-API-Key', key).expect(200);
+      assert.equal(list.body.data.length, 1);
+      await request(app)
+        .post('/potions')
+        .set('X-API-Key', key)
+        .send({
+          name: 'Philtre de rapidité',
+          price: 12,
+          score: 3,
+          ratings: { strength: 3, flavor: 3 },
+          categories: ['vitesse'],
+          ingredients: [{ name: 'mandragore', quantity: 5, unit: 'g' }],
+          vendor_id: 'v1'
+        })
+        .expect(201);
+    });
+
+    it('refuse une route hors de ses portées, même publique', async () => {
+      const { agent } = await loginAs(app);
+      const key = await mintKey(agent, ['read']);
+      const res = await request(app).get('/analytics/average_score_by_vendor').set('X-API-Key', key).expect(403);
+      assert.equal(res.body.code, 'insufficient_scope');
+    });
+
+    it('reste limitée par le rôle de son propriétaire', async () => {
+      const { agent } = await loginAs(app);
+      const key = await mintKey(agent, ['potions:write']);
+      const res = await request(app).post('/potions').set('X-API-Key', key).send({}).expect(403);
+      assert.equal(res.body.code, 'forbidden');
+    });
+
+    it('refuse une clé inconnue', async () => {
+      const res = await request(app).get('/potions').set('X-API-Key', 'pk_inconnue').expect(401);
+      assert.equal(res.body.code, 'invalid_api_key');
+    });
+
+    it('refuse une clé expirée', async () => {
+      const { agent } = await loginAs(app);
+      const key = await mintKey(agent, ['read'], { expiresInDays: 1 });
+      await ApiKey.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+      await request(app).get('/potions').set('X-API-Key', key).expect(401);
+    });
+  });
+
+  describe('Authorization: Bearer', () => {
+    it('accepte le jeton d’accès renvoyé par /auth/login', async () => {
+      const { user } = await loginAs(app);
+      const login = await request(app).post('/auth/login').send({ username: user.username, password: PASSWORD }).expect(200);
+      const res = await request(app).get('/auth/me').set('Authorization', `Bearer ${login.body.accessToken}`).expect(200);
+      assert.equal(res.body.username, user.username);
+    });
+  });
+
+  describe('quotas', () => {
+    const { limits } = POLICIES.analytics;
+    const defaults = { ...limits };
+    beforeEach(() => Object.assign(limits, { key: 3, ip: 2 }));
+    after(() => Object.assign(limits, defaults));
+
+    it('annonce le quota restant dans les en-têtes RateLimit-*', async () => {
+      const res = await request(app).get('/potions').expect(200);
+      assert.equal(res.headers['ratelimit-limit'], String(POLICIES.api.limits.ip));
+      assert.equal(res.headers['ratelimit-remaining'], String(POLICIES.api.limits.ip - 1));
+      assert.ok(Number(res.headers['ratelimit-reset']) > 0);
+    });
+
+    it('applique le quota plus strict de /analytics par IP', async () => {
+      await request(app).get('/analytics/average_score_by_vendor').expect(200);
+      const last = await request(app).get('/analytics/average_score_by_vendor').expect(200);
+      assert.equal(last.headers['ratelimit-limit'], '2');
+      assert.equal(last.headers['ratelimit-remaining'], '0');
+
+      const res = await request(app).get('/analytics/average_score_by_vendor').expect(429);
+      assert.equal(res.body.code, 'too_many_requests');
+      assert.ok(Number(res.headers['retry-after']) > 0);
+      // Les autres routes gardent leur propre quota
+      await request(app).get('/potions').expect(200);
+    });
+
+    it('compte par IP les essais de clé avant de les vérifier', async () => {
+      const attempts = POLICIES.apiKeyAttempts.limits;
+      const { ip } = attempts;
+      attempts.ip = 2;
+      try {
+        await request(app).get('/potions').set('X-API-Key', 'pk_essai1').expect(401);
+        await request(app).get('/potions').set('X-API-Key', 'pk_essai2').expect(401);
+        const res = await request(app).get('/potions').set('X-API-Key', 'pk_essai3').expect(429);
+        assert.equal(res.body.code, 'too_many_requests');
+      } finally {
+        attempts.ip = ip;
+      }
+    });
+
+    it('compte séparément chaque clé d’API', async () => {
+      const { agent } = await loginAs(app);
+      const key = await mintKey(agent, ['analytics']);
+      for (let i = 0; i < 3; i++) {
+        await request(app).get('/analytics/average_score_by_vendor').set('X-API-Key', key).expect(200);
+      }
+      await request(app).get('/analytics/average_score_by_vendor').set('X-API-Key', key).expect(429);
+      // Le quota de l'IP n'a pas été consommé par la clé
+      await request(app).get('/analytics/average_score_by_vendor').expect(200);
+    });
+  });
+});
@@ -0,0 +1,300 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const createApp = require('../app');
+const User = require('../model/user');
+const { JWT_SECRET } = require('../lib/sessions');
+const { MemoryTransport, useTransport } = require('../lib/mailer');
+const { startDatabase, clearDatabase, stopDatabase } = require('./helpers/db');
+const { PASSWORD, createUser, createVendor } = require('./helpers/fixtures');
+const { loginAs, accessCookie } = require('./helpers/auth');
+
+const app = createApp();
+const mails = new MemoryTransport();
+useTransport(mails);
+
+const NEW_PASSWORD = 'Grimoire77Poussiereux';
+
+// Jeton transmis dans le dernier e-mail envoyé
+function lastMailToken() {
+  const { text } = mails.sent[mails.sent.length - 1];
+  return (/token=([\w-]+)/.exec(text) || /:\n([\w-]+)\n/.exec(text))[1];
+}
+
+describe('auth', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    mails.sent.length = 0;
+  });
+
+  describe('POST /auth/register', () => {
+    it('crée un compte client', async () => {
+      await request(app).post('/auth/register').send({ username: 'morgane', password: PASSWORD }).expect(201);
+      const user = await User.findOne({ username: 'morgane' });
+      assert.equal(user.role, 'customer');
+      assert.notEqual(user.password, PASSWORD);
+    });
+
+    it('refuse un nom d’utilisateur déjà pris', async () => {
+      await createUser({ username: 'morgane' });
+      const res = await request(app).post('/auth/register').send({ username: 'morgane', password: PASSWORD }).expect(409);
+      assert.equal(res.body.code, 'account_exists');
+    });
+
+    it('applique la politique de mot de passe', async () => {
+      const res = await request(app).post('/auth/register').send({ username: 'morgane', password: 'court' }).expect(400);
+      assert.equal(res.body.code, 'validation_failed');
+      assert.equal(res.body.errors[0].path, 'password');
+    });
+
+    it('ignore un rôle demandé dans le corps', async () => {
+      await request(app).post('/auth/register').send({ username: 'morgane', password: PASSWORD, role: 'admin' }).expect(201);
+      assert.equal((await User.findOne({ username: 'morgane' })).role, 'customer');
+    });
+  });
+
+  describe('POST /auth/login', () => {
+    it('pose les cookies de session', async () => {
+      await createUser({ username: 'morgane' });
+      const res = await request(app).post('/auth/login').send({ username: 'morgane', password: PASSWORD }).expect(200);
+      assert.equal(res.headers['set-cookie'].length, 2);
+    });
+
+    it('refuse des identifiants invalides', async () => {
+      await createUser({ username: 'morgane' });
+      const res = await request(app).post('/auth/login').send({ username: 'morgane', password: 'Mauvais123' }).expect(401);
+      assert.equal(res.body.code, 'invalid_credentials');
+    });
+
+    it('exige un nom d’utilisateur et un mot de passe', async () => {
+      const res = await request(app).post('/auth/login').send({ username: 'morgane' }).expect(400);
+      assert.equal(res.body.errors[0].path, 'password');
+    });
+
+    it('ralentit les échecs répétés sur un même compte', async () => {
+      await createUser({ username: 'morgane' });
+      for (let i = 0; i < 3; i++) {
+        await request(app).post('/auth/login').send({ username: 'morgane', password: 'Mauvais123' }).expect(401);
+      }
+      const res = await request(app).post('/auth/login').send({ username: 'morgane', password: PASSWORD }).expect(429);
+      assert.equal(res.body.code, 'too_many_requests');
+      assert.ok(Number(res.headers['retry-after']) >= 1);
+    });
+  });
+
+  describe('jeton d’accès', () => {
+    it('GET /auth/me exige une connexion', async () => {
+      const res = await request(app).get('/auth/me').expect(401);
+      assert.equal(res.body.code, 'unauthorized');
+    });
+
+    it('GET /auth/me renvoie le profil de l’utilisateur connecté', async () => {
+      const { agent } = await loginAs(app, { username: 'morgane' });
+      const res = await agent.get('/auth/me').expect(200);
+      assert.equal(res.body.username, 'morgane');
+      assert.equal(res.body.role, 'customer');
+      assert.equal(res.body.password, undefined);
+    });
+
+    it('refuse un JWT expiré', async () => {
+      const { accessToken } = await loginAs(app);
+      const { iat, exp, ...payload } = jwt.decode(accessToken);
+      const expired = jwt.sign({ ...payload, exp: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET);
+
+      const res = await request(app).get('/auth/me').set('Cookie', accessCookie(expired)).expect(401);
+      assert.equal(res.body.code, 'token_expired');
+    });
+
+    it('refuse un JWT signé avec un autre secret', async () => {
+      const { accessToken } = await loginAs(app);
+      const { iat, exp, ...payload } = jwt.decode(accessToken);
+      const forged = jwt.sign({ ...payload, role: 'admin' }, 'autre_secret');
+
+      const res = await request(app).get('/auth/me').set('Cookie', accessCookie(forged)).expect(401);
+      assert.equal(res.body.code, 'invalid_token');
+    });
+
+    it('refuse le jeton d’une session fermée', async () => {
+      const { agent, accessToken } = await loginAs(app);
+      await agent.get('/auth/logout').expect(200);
+
+      const res = await request(app).get('/auth/me').set('Cookie', accessCookie(accessToken)).expect(401);
+      assert.equal(res.body.code, 'session_revoked');
+    });
+  });
+
+  describe('sessions', () => {
+    it('POST /auth/refresh renouvelle la paire de jetons', async () => {
+      const { agent } = await loginAs(app);
+      const res = await agent.post('/auth/refresh').expect(200);
+      assert.equal(res.headers['set-cookie'].length, 2);
+      await agent.get('/auth/me').expect(200);
+    });
+
+    it('POST /auth/refresh refuse un refresh token absent', async () => {
+      const res = await request(app).post('/auth/refresh').expect(401);
+      assert.equal(res.body.code, 'invalid_refresh_token');
+    });
+
+    it('GET /auth/logout ferme la session', async () => {
+      const { agent } = await loginAs(app);
+      await agent.get('/auth/logout').expect(200);
+      await agent.get('/auth/me').expect(401);
+      await agent.post('/auth/refresh').expect(401);
+    });
+
+    it('GET /auth/sessions liste les sessions actives', async () => {
+      const { agent, user } = await loginAs(app);
+      await request(app).post('/auth/login').send({ username: user.username, password: PASSWORD }).expect(200);
+
+      const res = await agent.get('/auth/sessions').expect(200);
+      assert.equal(res.body.length, 2);
+      assert.equal(res.body.filter(session => session.current).length, 1);
+    });
+
+    it('DELETE /auth/sessions/:id révoque une session', async () => {
+      const { agent, user } = await loginAs(app);
+      await request(app).post('/auth/login').send({ username: user.username, password: PASSWORD }).expect(200);
+      const other = (await agent.get('/auth/sessions')).body.find(session => !session.current);
+
+      await agent.delete(`/auth/sessions/${other.id}`).expect(200);
+      await agent.delete(`/auth/sessions/${other.id}`).expect(404);
+      await agent.delete('/auth/sessions/pas-un-id').expect(400);
+      assert.equal((await agent.get('/auth/sessions')).body.length, 1);
+    });
+
+    it('DELETE /auth/sessions?keepCurrent=true garde la session courante', async () => {
+      const { agent, user } = await loginAs(app);
+      await request(app).post('/auth/login').send({ username: user.username, password: PASSWORD }).expect(200);
+
+      const res = await agent.delete('/auth/sessions?keepCurrent=true').expect(200);
+      assert.equal(res.body.revoked, 1);
+      await agent.get('/auth/me').expect(200);
+
+      await agent.delete('/auth/sessions').expect(200);
+      await agent.get('/auth/me').expect(401);
+    });
+  });
+
+  describe('administration des comptes', () => {
+    it('PATCH /auth/users/:id/role attribue un rôle (admin)', async () => {
+      await createVendor();
+      const target = await createUser({ username: 'morgane' });
+      const { agent } = await loginAs(app, { role: 'admin' });
+
+      const res = await agent.patch(`/auth/users/${target._id}/role`).send({ role: 'vendor', vendor_id: 'v1' }).expect(200);
+      assert.equal(res.body.role, 'vendor');
+      assert.equal(res.body.vendor_id, 'v1');
+
+      await agent.patch(`/auth/users/${target._id}/role`).send({ role: 'vendor', vendor_id: 'inconnu' }).expect(400);
+      await agent.patch(`/auth/users/${target._id}/role`).send({ role: 'sorcier' }).expect(400);
+    });
+
+    it('PATCH /auth/users/:id/role révoque les sessions de l’utilisateur', async () => {
+      const { agent: target, user } = await loginAs(app, { role: 'moderator' });
+      await target.get('/auth/me').expect(200);
+      const { agent } = await loginAs(app, { role: 'admin' });
+      await agent.patch(`/auth/users/${user._id}/role`).send({ role: 'customer' }).expect(200);
+
+      const res = await target.get('/auth/me').expect(401);
+      assert.equal(res.body.code, 'session_revoked');
+    });
+
+    it('PATCH /auth/users/:id/role est réservé aux admins', async () => {
+      const target = await createUser({ username: 'morgane' });
+      const { agent } = await loginAs(app, { role: 'moderator' });
+      await agent.patch(`/auth/users/${target._id}/role`).send({ role: 'admin' }).expect(403);
+    });
+
+    it('POST /auth/users/:id/unlock lève le verrouillage d’un compte', async () => {
+      const target = await createUser({ username: 'morgane' });
+      for (let i = 0; i < 3; i++) {
+        await request(app).post('/auth/login').send({ username: 'morgane', password: 'Mauvais123' }).expect(401);
+      }
+      const { agent } = await loginAs(app, { role: 'admin' });
+      await agent.post(`/auth/users/${target._id}/unlock`).expect(200);
+      await request(app).post('/auth/login').send({ username: 'morgane', password: PASSWORD }).expect(200);
+    });
+  });
+
+  describe('e-mail et mot de passe oublié', () => {
+    it('GET /auth/verify-email confirme l’adresse reçue à l’inscription', async () => {
+      await request(app).post('/auth/register').send({ username: 'morgane', password: PASSWORD, email: 'Morgane@Exemple.fr' }).expect(201);
+      assert.equal(mails.sent[0].to, 'morgane@exemple.fr');
+
+      await request(app).get(`/auth/verify-email?token=${lastMailToken()}`).expect(200);
+      assert.equal((await User.findOne({ username: 'morgane' })).emailVerified, true);
+      await request(app).get('/auth/verify-email?token=faux').expect(400);
+    });
+
+    it('POST /auth/resend-verification renvoie l’e-mail tant que l’adresse n’est pas vérifiée', async () => {
+      const { agent } = await loginAs(app, { email: 'morgane@exemple.fr' });
+      await agent.post('/auth/resend-verification').expect(200);
+      assert.equal(mails.sent.length, 1);
+
+      const { agent: withoutEmail } = await loginAs(app, { username: 'sans-adresse' });
+      await withoutEmail.post('/auth/resend-verification').expect(400);
+    });
+
+    it('POST /auth/forgot-password puis /auth/reset-password changent le mot de passe', async () => {
+      const { agent } = await loginAs(app, { username: 'morgane', email: 'morgane@exemple.fr' });
+
+      await request(app).post('/auth/forgot-password').send({ email: 'morgane@exemple.fr' }).expect(200);
+      await request(app).post('/auth/reset-password').send({ token: lastMailToken(), password: NEW_PASSWORD }).expect(200);
+
+      // Les sessions ouvertes sont révoquées
+      await agent.get('/auth/me').expect(401);
+      await request(app).post('/auth/login').send({ username: 'morgane', password: NEW_PASSWORD }).expect(200);
+    });
+
+    it('POST /auth/forgot-password ne révèle pas si l’adresse est connue', async () => {
+      await request(app).post('/auth/forgot-password').send({ email: 'inconnu@exemple.fr' }).expect(200);
+      assert.equal(mails.sent.length, 0);
+    });
+
+    it('POST /auth/reset-password refuse un jeton invalide', async () => {
+      await request(app).post('/auth/reset-password').send({ token: 'faux', password: NEW_PASSWORD }).expect(400);
+    });
+  });
+
+  describe('compte', () => {
+    it('PATCH /auth/me modifie le profil', async () => {
+      const { agent } = await loginAs(app, { username: 'morgane' });
+      const res = await agent.patch('/auth/me').send({ email: 'morgane@exemple.fr' }).expect(200);
+      assert.equal(res.body.email, 'morgane@exemple.fr');
+      assert.equal(res.body.emailVerified, false);
+      assert.equal(mails.sent.length, 1);
+
+      await agent.patch('/auth/me').send({ role: 'admin' }).expect(400);
+    });
+
+    it('PATCH /auth/me refuse un nom déjà pris', async () => {
+      await createUser({ username: 'viviane' });
+      const { agent } = await loginAs(app, { username: 'morgane' });
+      const res = await agent.patch('/auth/me').send({ username: 'viviane' }).expect(409);
+      assert.equal(res.body.code, 'account_exists');
+    });
+
+    it('POST /auth/change-password exige le mot de passe actuel', async () => {
+      const { agent, user } = await loginAs(app);
+      await agent.post('/auth/change-password').send({ currentPassword: 'Mauvais123', newPassword: NEW_PASSWORD }).expect(401);
+      await agent.post('/auth/change-password').send({ currentPassword: PASSWORD, newPassword: NEW_PASSWORD }).expect(200);
+
+      // La session courante reste ouverte
+      await agent.get('/auth/me').expect(200);
+      await request(app).post('/auth/login').send({ username: user.username, password: NEW_PASSWORD }).expect(200);
+    });
+
+    it('DELETE /auth/me supprime le compte', async () => {
+      const { agent, user } = await loginAs(app);
+      await agent.delete('/auth/me').send({ password: 'Mauvais123' }).expect(401);
+      await agent.delete('/auth/me').send({ password: PASSWORD }).expect(200);
+
+      assert.equal(await User.exists({ _id: user._id }), null);
+      await agent.get('/auth/me').expect(401);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// Vues matérialisées actives et rafraîchies vite pour ce fichier (lues au chargement de lib/analyticsViews)
+process.env.ANALYTICS_VIEWS = 'true';
+process.env.ANALYTICS_VIEWS_REFRESH_MS = '50';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const request = require('supertest');
+const createApp = require('../app');
+const { startAnalyticsViews, refreshAnalyticsViews } = require('../lib/analyticsViews');
+const { startDatabase, clearDatabase, stopDatabase } = require('./helpers/db');
+const { createVendor, createIngredient, createPotions } = require('./helpers/fixtures');
+const { loginAs } = require('./helpers/auth');
+
+const app = createApp();
+
+describe('cache', () => {
+  before(async () => {
+    await startDatabase();
+    await startAnalyticsViews();
+  });
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    await createVendor();
+    await createVendor({ _id: 'v2', name: 'Comptoir des brumes' });
+    await createPotions([
+      { name: 'A', price: 10, score: 4, vendor_id: 'v1', categories: ['soin'] },
+      { name: 'B', price: 20, score: 2, vendor_id: 'v1', categories: ['soin', 'force'] },
+      { name: 'C', price: 30, vendor_id: 'v2', categories: [] }
+    ]);
+    // Les fixtures n'émettent pas d'événement : calcul complet des vues
+    await refreshAnalyticsViews();
+  });
+
+  describe('réponses', () => {
+    it('sert la réponse en cache avec son ETag et répond 304 à If-None-Match', async () => {
+      const first = await request(app).get('/potions').expect(200);
+      assert.equal(first.headers['x-cache'], 'MISS');
+      assert.match(first.headers['cache-control'], /^public, max-age=\d+/);
+
+      const second = await request(app).get('/potions').expect(200);
+      assert.equal(second.headers['x-cache'], 'HIT');
+      assert.equal(second.headers.etag, first.headers.etag);
+      assert.deepEqual(second.body, first.body);
+
+      await request(app).get('/potions').set('If-None-Match', first.headers.etag).expect(304);
+    });
+
+    it('garde l’ETag de version de GET /potions/:id', async () => {
+      const { body } = await request(app).get('/potions').expect(200);
+      const { _id } = body.data[0];
+      const first = await request(app).get(`/potions/${_id}`).expect(200);
+      const second = await request(app).get(`/potions/${_id}`).set('If-None-Match', first.headers.etag).expect(304);
+      assert.equal(second.headers.etag, '"0"');
+    });
+
+    it('est invalidé par une écriture sur une potion', async () => {
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const path = '/analytics/query?groupBy=vendor_id&metrics=count';
+      const before = await request(app).get(path).expect(200);
+      await request(app).get(path).expect(200);
+
+      const { body } = await request(app).get('/potions?vendor_id=v2').expect(200);
+      await agent.delete(`/potions/${body.data[0]._id}`).expect(200);
+
+      const res = await request(app).get(path).set('If-None-Match', before.headers.etag).expect(200);
+      assert.equal(res.headers['x-cache'], 'MISS');
+      assert.deepEqual(res.body.data, [{ vendor_id: 'v1', count: 2 }]);
+    });
+
+    it('est invalidé par le renommage d’un ingrédient', async () => {
+      const ingredient = await createIngredient();
+      const { body } = await request(app).get('/potions').expect(200);
+      const { _id } = body.data[0];
+      const first = await request(app).get(`/potions/${_id}`).expect(200);
+
+      const { agent } = await loginAs(app, { role: 'admin' });
+      await agent.put(`/ingredients/${ingredient._id}`).send({ name: 'racine de mandragore', unit: 'g', unitCost: 0.5 }).expect(200);
+
+      const res = await request(app).get(`/potions/${_id}`).set('If-None-Match', first.headers.etag).expect(200);
+      assert.equal(res.headers['x-cache'], 'MISS');
+      assert.equal(res.body.ingredients[0].name, 'racine de mandragore');
+      const history = await agent.get(`/potions/${_id}/history`).expect(200);
+      assert.equal(history.body.data[0].details.source, 'ingredient');
+    });
+
+    it('contourne le cache avec ?fresh=true', async () => {
+      await request(app).get('/potions').expect(200);
+      const res = await request(app).get('/potions?fresh=true').expect(200);
+      assert.equal(res.headers['x-cache'], undefined);
+      assert.equal(res.headers['cache-control'], 'no-cache');
+    });
+  });
+
+  describe('vues matérialisées des analytics', () => {
+    for (const path of ['/analytics/average_score_by_vendor', '/analytics/average_score_by_category', '/analytics/group']) {
+      it(`${path} donne le même résultat que l’agrégation`, async () => {
+        const fromView = await request(app).get(path).expect(200);
+        const live = await request(app).get(`${path}?fresh=true`).expect(200);
+        assert.deepEqual(fromView.body, live.body);
+      });
+    }
+
+    it('recalcule les groupes touchés après une écriture', async () => {
+      const { agent } = await loginAs(app, { role: 'admin' });
+      await agent.post('/potions').send({
+        name: 'D',
+        price: 40,
+        score: 5,
+        ratings: { strength: 3, flavor: 3 },
+        categories: ['force'],
+        ingredients: [],
+        vendor_id: 'v2'
+      }).expect(201);
+      await sleep(200);
+
+      const res = await request(app).get('/analytics/average_score_by_vendor').expect(200);
+      assert.deepEqual(res.body, [{ _id: 'v1', averageScore: 3 }, { _id: 'v2', averageScore: 4.5 }]);
+      const categories = await request(app).get('/analytics/average_score_by_category').expect(200);
+      assert.deepEqual(categories.body, (await request(app).get('/analytics/average_score_by_category?fresh=true')).body);
+    });
+
+    it('agrège la collection quand la requête a des filtres', async () => {
+      const res = await request(app).get('/analytics/group?vendor_id=v2').expect(200);
+      assert.deepEqual(res.body, [{ _id: 'v2', averagePrice: 30, totalCount: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Potion = require('../model/potion');
+const { buildDataset } = require('../lib/seed');
+const { loadMigrations } = require('../lib/migrations');
+const { convertIngredient } = require('../migrations/001-structured-ingredients');
+
+// Parties de la CLI de base (npm run db) qui ne demandent pas de serveur MongoDB
+
+describe('seed', () => {
+  it('produit le même jeu de données pour une même graine', () => {
+    assert.deepEqual(buildDataset({ size: 30, seed: 7 }), buildDataset({ size: 30, seed: 7 }));
+    assert.notDeepEqual(buildDataset({ size: 30, seed: 7 }).potions, buildDataset({ size: 30, seed: 8 }).potions);
+  });
+
+  it('dimensionne le catalogue selon size', () => {
+    const { potions, vendors, users, reviews } = buildDataset({ size: 120 });
+    assert.equal(potions.length, 120);
+    assert.equal(vendors.length, 12);
+    assert.equal(users.filter(user => user.role === 'vendor').length, 12);
+    assert.equal(users.filter(user => user.role === 'customer').length, 24);
+    assert.equal(new Set(reviews.map(review => `${review.potion}:${review.user}`)).size, reviews.length);
+  });
+
+  it('génère des potions valides pour le schéma', () => {
+    const { potions, vendors } = buildDataset({ size: 200 });
+    const vendorIds = new Set(vendors.map(vendor => vendor._id));
+    for (const potion of potions) {
+      assert.equal(new Potion(potion).validateSync(), undefined);
+      assert.ok(vendorIds.has(potion.vendor_id));
+    }
+  });
+});
+
+describe('migrations', () => {
+  it('charge les scripts dans l’ordre de leur numéro', () => {
+    const names = loadMigrations().map(migration => migration.name);
+    assert.equal(names[0], '001-structured-ingredients');
+    assert.deepEqual(names, [...names].sort());
+  });
+
+  it('001 convertit les anciens ingrédients Mixed', () => {
+    assert.deepEqual(convertIngredient('mandragore'), { name: 'mandragore' });
+    assert.deepEqual(convertIngredient('10 g de mandragore'), { name: 'mandragore', quantity: 10, unit: 'g' });
+    assert.deepEqual(convertIngredient('2 gouttes d’essence de lune'), { name: 'essence de lune', quantity: 2, unit: 'goutte' });
+    assert.deepEqual(convertIngredient('1,5 kg racine'), { name: 'racine', quantity: 1.5, unit: 'kg' });
+    assert.deepEqual(convertIngredient('mandragore:10:g'), { name: 'mandragore', quantity: 10, unit: 'g' });
+    assert.deepEqual(convertIngredient({ nom: 'sel', quantite: '2 pincées', note: 'x' }), { name: 'sel', quantity: 2, unit: 'pincée' });
+    assert.deepEqual(convertIngredient({ name: 'ortie', quantity: 3, unit: 'cl' }), { name: 'ortie', quantity: 3 });
+  });
+
+  it('001 écarte les éléments sans nom', () => {
+    for (const value of [null, 42, '  ', { quantity: 2 }, ['mandragore']]) {
+      assert.equal(convertIngredient(value), null);
+    }
+  });
+});
@@ -0,0 +1,38 @@
+const request = require('supertest');
+const { PASSWORD, createUser } = require('./fixtures');
+
+// Même nom de cookie que router/auth
+const COOKIE_NAME = process.env.COOKIE_NAME || 'demo_node+mongo_token';
+
+// Valeur d'un cookie posé par une réponse (en-têtes Set-Cookie)
+function cookieValue(res, name) {
+  const header = (res.headers['set-cookie'] || []).find(cookie => cookie.startsWith(`${name}=`));
+  return header && decodeURIComponent(header.slice(name.length + 1).split(';')[0]);
+}
+
+/**
+ * Crée un utilisateur (rôle customer par défaut) puis se connecte avec POST /auth/login.
+ * L'agent supertest renvoie ensuite les cookies de session à chaque requête.
+ * Renvoie { agent, user, accessToken }.
+ */
+async function loginAs(app, overrides = {}) {
+  const user = await createUser(overrides);
+  const agent = request.agent(app);
+  const res = await agent
+    .post('/auth/login')
+    .send({ username: user.username, password: overrides.password || PASSWORD })
+    .expect(200);
+  return { agent, user, accessToken: cookieValue(res, COOKIE_NAME) };
+}
+
+// Cookie d'accès à poser à la main (jeton expiré, falsifié...)
+function accessCookie(token) {
+  return `${COOKIE_NAME}=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+  COOKIE_NAME,
+  cookieValue,
+  loginAs,
+  accessCookie
+};
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { connectDatabase, disconnectDatabase } = require('../../lib/db');
+const { clearVocabulary } = require('../../lib/potionSearch');
+const { invalidate } = require('../../lib/cache');
+
+// Base MongoDB en mémoire : une instance par fichier de test, vidée entre deux tests.
+
+let server;
+
+async function startDatabase() {
+  server = await MongoMemoryServer.create();
+  await connectDatabase(server.getUri());
+  // Index uniques (utilisateurs, ingrédients, avis...) : les 409 en dépendent
+  await mongoose.syncIndexes();
+}
+
+async function clearDatabase() {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+  // Vocabulaire de la recherche gardé en cache une minute
+  clearVocabulary();
+  // Les fixtures écrivent sans passer par les routes : les réponses en cache ne seraient pas périmées
+  await invalidate();
+}
+
+async function stopDatabase() {
+  await disconnectDatabase();
+  if (server) await server.stop();
+  server = null;
+}
+
+module.exports = {
+  startDatabase,
+  clearDatabase,
+  stopDatabase
+};
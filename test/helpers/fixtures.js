@@ -0,0 +1,57 @@
+const Potion = require('../../model/potion');
+const Vendor = require('../../model/vendor');
+const Ingredient = require('../../model/ingredient');
+const User = require('../../model/user');
+
+// Données de test écrites directement par les modèles (sans passer par l'API ni le journal d'audit).
+// Chaque fonction accepte des valeurs qui remplacent celles par défaut.
+
+// Respecte la politique de mot de passe par défaut (lib/passwordPolicy)
+const PASSWORD = 'Chaudron42Bouillonnant';
+
+function createVendor(overrides = {}) {
+  return Vendor.create({ _id: 'v1', name: 'Échoppe du marais', ...overrides });
+}
+
+function createIngredient(overrides = {}) {
+  return Ingredient.create({ name: 'mandragore', unit: 'g', unitCost: 0.5, ...overrides });
+}
+
+function createPotion(overrides = {}) {
+  return Potion.create({
+    name: 'Élixir de vigueur',
+    price: 10,
+    score: 4,
+    ratings: { strength: 4, flavor: 2 },
+    categories: ['soin'],
+    ingredients: [{ name: 'mandragore', quantity: 10, unit: 'g' }],
+    tryDate: new Date('2025-03-15T00:00:00Z'),
+    vendor_id: 'v1',
+    ...overrides
+  });
+}
+
+function createPotions(list) {
+  return Promise.all(list.map(createPotion));
+}
+
+// Le mot de passe est hashé par le modèle ; un vendeur est lié à v1 par défaut
+function createUser(overrides = {}) {
+  const role = overrides.role || 'customer';
+  return User.create({
+    username: role,
+    password: PASSWORD,
+    role,
+    vendor_id: role === 'vendor' ? 'v1' : undefined,
+    ...overrides
+  });
+}
+
+module.exports = {
+  PASSWORD,
+  createVendor,
+  createIngredient,
+  createPotion,
+  createPotions,
+  createUser
+};
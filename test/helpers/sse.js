@@ -0,0 +1,54 @@
+const http = require('http');
+
+/**
+ * Ouvre un flux Server-Sent Events sur l'application et lit ses événements jusqu'à
+ * en avoir reçu `count` ; la connexion est ensuite coupée. `onOpen` est appelé une fois
+ * le flux ouvert, pour déclencher les changements attendus.
+ * Renvoie { status, headers, events: [{ event, data, id }] }.
+ */
+function readEvents(app, path, { count = 1, timeout = 5000, onOpen } = {}) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, () => {
+      const events = [];
+      let buffer = '';
+      let req;
+      let done = false;
+      const timer = setTimeout(() => finish(new Error(`Flux ${path} : ${events.length}/${count} événement(s) reçu(s)`)), timeout);
+
+      function finish(err, res) {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        if (req) req.destroy();
+        server.close();
+        if (err) reject(err);
+        else resolve({ status: res.statusCode, headers: res.headers, events });
+      }
+
+      req = http.get({ port: server.address().port, path }, res => {
+        res.setEncoding('utf8');
+        if (onOpen) Promise.resolve().then(onOpen).catch(err => finish(err));
+        res.on('data', chunk => {
+          buffer += chunk;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          for (const block of blocks) {
+            const message = {};
+            for (const line of block.split('\n')) {
+              const [field, ...rest] = line.split(': ');
+              if (['event', 'data', 'id'].includes(field)) message[field] = rest.join(': ');
+            }
+            if (!message.event) continue;
+            events.push({ ...message, data: JSON.parse(message.data) });
+          }
+          if (events.length >= count) finish(null, res);
+        });
+      });
+      req.on('error', err => finish(err));
+    });
+  });
+}
+
+module.exports = {
+  readEvents
+};
@@ -0,0 +1,506 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const createApp = require('../app');
+const { startDatabase, clearDatabase, stopDatabase } = require('./helpers/db');
+const { createVendor, createIngredient, createPotion, createPotions } = require('./helpers/fixtures');
+const { loginAs } = require('./helpers/auth');
+const { readEvents } = require('./helpers/sse');
+const { CSV_COLUMNS } = require('../lib/potionTransfer');
+
+const app = createApp();
+
+// Corps valide pour POST et PUT /potions
+function potionBody(overrides = {}) {
+  return {
+    name: 'Philtre de rapidité',
+    price: 12,
+    score: 3,
+    ratings: { strength: 3, flavor: 3 },
+    categories: ['vitesse'],
+    ingredients: [{ name: 'mandragore', quantity: 5, unit: 'g' }],
+    vendor_id: 'v1',
+    ...overrides
+  };
+}
+
+const missingId = () => new mongoose.Types.ObjectId().toString();
+
+describe('potions', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    await createVendor();
+    await createVendor({ _id: 'v2', name: 'Comptoir des brumes' });
+    await createIngredient();
+  });
+
+  describe('GET /potions', () => {
+    it('liste les potions avec filtres, tri et pagination', async () => {
+      await createPotions([
+        { name: 'A', price: 5 },
+        { name: 'B', price: 15, vendor_id: 'v2' },
+        { name: 'C', price: 25 }
+      ]);
+
+      const res = await request(app).get('/potions?vendor_id=v1&sort=-price&limit=1').expect(200);
+      assert.equal(res.body.total, 2);
+      assert.deepEqual(res.body.data.map(p => p.name), ['C']);
+      assert.ok(res.body.links.next);
+      assert.equal(res.body.links.prev, null);
+
+      const next = await request(app).get(res.body.links.next).expect(200);
+      assert.deepEqual(next.body.data.map(p => p.name), ['A']);
+    });
+
+    it('accepte un champ et l’un de ses sous-champs dans fields et sort', async () => {
+      await createPotion();
+      const res = await request(app).get('/potions?fields=ratings,ratings.flavor,reviewStats&sort=ratings.strength,reviewStats.count').expect(200);
+      assert.deepEqual(res.body.data[0].ratings, { strength: 4, flavor: 2 });
+      assert.equal(res.body.data[0].name, undefined);
+    });
+
+    it('refuse un tri inconnu', async () => {
+      const res = await request(app).get('/potions?sort=secret').expect(400);
+      assert.equal(res.body.code, 'bad_request');
+      assert.match(res.headers['content-type'], /application\/problem\+json/);
+    });
+
+    it('réserve includeDeleted aux admins', async () => {
+      await request(app).get('/potions?includeDeleted=true').expect(401);
+      const { agent } = await loginAs(app, { role: 'customer' });
+      await agent.get('/potions?includeDeleted=true').expect(403);
+    });
+  });
+
+  describe('GET /potions/:id', () => {
+    it('renvoie la potion avec son ETag', async () => {
+      const potion = await createPotion();
+      const res = await request(app).get(`/potions/${potion._id}`).expect(200);
+      assert.equal(res.body.name, potion.name);
+      assert.equal(res.headers.etag, '"0"');
+    });
+
+    it('renvoie 400 invalid_id pour un ObjectId mal formé', async () => {
+      const res = await request(app).get('/potions/pas-un-id').expect(400);
+      assert.equal(res.body.code, 'invalid_id');
+      assert.equal(res.body.errors[0].path, '_id');
+    });
+
+    it('renvoie 404 pour une potion inexistante', async () => {
+      const res = await request(app).get(`/potions/${missingId()}`).expect(404);
+      assert.equal(res.body.code, 'not_found');
+      assert.ok(res.body.requestId);
+    });
+  });
+
+  describe('POST /potions', () => {
+    it('exige une connexion', async () => {
+      const res = await request(app).post('/potions').send(potionBody()).expect(401);
+      assert.equal(res.body.code, 'unauthorized');
+    });
+
+    it('refuse un client', async () => {
+      const { agent } = await loginAs(app, { role: 'customer' });
+      await agent.post('/potions').send(potionBody()).expect(403);
+    });
+
+    it('crée une potion (admin)', async () => {
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent.post('/potions').send(potionBody()).expect(201);
+      assert.equal(res.body.name, 'Philtre de rapidité');
+      assert.equal(res.headers.etag, '"0"');
+    });
+
+    it('rattache la potion au vendeur connecté', async () => {
+      const { agent } = await loginAs(app, { role: 'vendor', vendor_id: 'v2' });
+      const { vendor_id, ...body } = potionBody();
+      const res = await agent.post('/potions').send(body).expect(201);
+      assert.equal(res.body.vendor_id, 'v2');
+
+      await agent.post('/potions').send(potionBody({ vendor_id: 'v1' })).expect(403);
+    });
+
+    it('valide le document', async () => {
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent
+        .post('/potions')
+        .send(potionBody({ price: '12', vendor_id: 'inconnu', ingredients: [{ name: 'licorne' }], extra: true }))
+        .expect(400);
+      assert.equal(res.body.code, 'validation_failed');
+      const paths = res.body.errors.map(e => e.path);
+      assert.ok(paths.includes('price'));
+      assert.ok(paths.includes('vendor_id'));
+      assert.ok(paths.includes('ingredients[0].name'));
+    });
+  });
+
+  describe('PUT /potions/:id', () => {
+    it('remplace la potion et incrémente son ETag', async () => {
+      const potion = await createPotion();
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent.put(`/potions/${potion._id}`).send(potionBody({ price: 8 })).expect(200);
+      assert.equal(res.body.price, 8);
+      assert.equal(res.body.name, 'Philtre de rapidité');
+      assert.equal(res.headers.etag, '"1"');
+    });
+
+    it('renvoie 404 pour une potion inexistante', async () => {
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent.put(`/potions/${missingId()}`).send(potionBody()).expect(404);
+      assert.equal(res.body.detail, 'Potion not found');
+    });
+
+    it('renvoie 400 invalid_id pour un ObjectId mal formé', async () => {
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent.put('/potions/1234').send(potionBody()).expect(400);
+      assert.equal(res.body.code, 'invalid_id');
+    });
+
+    it('refuse un If-Match périmé', async () => {
+      const potion = await createPotion();
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent.put(`/potions/${potion._id}`).set('If-Match', '"7"').send(potionBody()).expect(412);
+      assert.equal(res.body.code, 'version_conflict');
+      await agent.put(`/potions/${potion._id}`).set('If-Match', '"0"').send(potionBody()).expect(200);
+    });
+
+    it('interdit à un vendeur les potions d’un autre vendeur', async () => {
+      const potion = await createPotion({ vendor_id: 'v2' });
+      const { agent } = await loginAs(app, { role: 'vendor' });
+      await agent.put(`/potions/${potion._id}`).send(potionBody()).expect(403);
+    });
+
+    it('garde les ingrédients hors catalogue déjà présents, refuse les nouveaux', async () => {
+      const ingredients = [{ name: 'poudre de lune', quantity: 2, unit: 'g' }];
+      const potion = await createPotion({ ingredients });
+      const { agent } = await loginAs(app, { role: 'admin' });
+      await agent.put(`/potions/${potion._id}`).send(potionBody({ ingredients })).expect(200);
+
+      const res = await agent.put(`/potions/${potion._id}`)
+        .send(potionBody({ ingredients: [...ingredients, { name: 'sel de lune' }] }))
+        .expect(400);
+      assert.deepEqual(res.body.errors.map(err => err.path), ['ingredients[1].name']);
+    });
+  });
+
+  describe('PATCH /potions/:id', () => {
+    it('applique un JSON Merge Patch', async () => {
+      const potion = await createPotion();
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent
+        .patch(`/potions/${potion._id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ price: 7, score: null }))
+        .expect(200);
+      assert.equal(res.body.price, 7);
+      assert.equal(res.body.score, undefined);
+    });
+
+    it('renvoie 409 quand une opération test de JSON Patch échoue', async () => {
+      const potion = await createPotion();
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent
+        .patch(`/potions/${potion._id}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([{ op: 'test', path: '/price', value: 99 }, { op: 'replace', path: '/price', value: 1 }]))
+        .expect(409);
+      assert.equal(res.body.code, 'patch_test_failed');
+      assert.equal(res.body.operation, 0);
+    });
+
+    it('refuse un autre type de contenu', async () => {
+      const potion = await createPotion();
+      const { agent } = await loginAs(app, { role: 'admin' });
+      await agent.patch(`/potions/${potion._id}`).set('Content-Type', 'text/plain').send('price=1').expect(415);
+    });
+  });
+
+  describe('corbeille', () => {
+    it('DELETE met la potion à la corbeille, restore la remet en service', async () => {
+      const potion = await createPotion();
+      const { agent } = await loginAs(app, { role: 'admin' });
+
+      await agent.delete(`/potions/${potion._id}`).expect(200);
+      await request(app).get(`/potions/${potion._id}`).expect(404);
+      await agent.get(`/potions/${potion._id}?includeDeleted=true`).expect(200);
+
+      const trash = await agent.get('/potions/trash').expect(200);
+      assert.equal(trash.body.total, 1);
+      assert.ok(trash.body.data[0].purgeAt);
+
+      await agent.post(`/potions/${potion._id}/restore`).expect(200);
+      await request(app).get(`/potions/${potion._id}`).expect(200);
+      await agent.post(`/potions/${potion._id}/restore`).expect(404);
+    });
+
+    it('POST /potions/trash/purge?all=true vide la corbeille (admin)', async () => {
+      const potion = await createPotion({ deletedAt: new Date() });
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent.post('/potions/trash/purge?all=true').expect(200);
+      assert.equal(res.body.purged, 1);
+      await agent.get(`/potions/${potion._id}?includeDeleted=true`).expect(404);
+    });
+
+    it('réserve la purge aux admins', async () => {
+      const { agent } = await loginAs(app, { role: 'vendor' });
+      await agent.post('/potions/trash/purge').expect(403);
+    });
+  });
+
+  describe('import et export', () => {
+    it('POST /potions/import importe du NDJSON et rapporte les lignes rejetées', async () => {
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const ndjson = [
+        JSON.stringify(potionBody({ name: 'Importée' })),
+        '{pas du json',
+        JSON.stringify(potionBody({ name: '', price: -1 }))
+      ].join('\n');
+      const res = await agent.post('/potions/import').set('Content-Type', 'application/x-ndjson').send(ndjson).expect(200);
+      assert.equal(res.body.created, 1);
+      assert.equal(res.body.rejected, 2);
+      assert.deepEqual(res.body.rows.map(row => row.status), ['created', 'rejected', 'rejected']);
+    });
+
+    it('POST /potions/import refuse une ligne dont la potion est dans la corbeille', async () => {
+      await createPotion({ name: 'Philtre de rapidité', deletedAt: new Date() });
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent.post('/potions/import').set('Content-Type', 'application/x-ndjson')
+        .send(JSON.stringify(potionBody()))
+        .expect(200);
+      assert.equal(res.body.rejected, 1);
+      assert.equal(res.body.rows[0].errors[0].path, 'name');
+      const list = await request(app).get('/potions').expect(200);
+      assert.equal(list.body.data.length, 0);
+    });
+
+    it('POST /potions/import refuse un type de contenu inconnu', async () => {
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent.post('/potions/import').set('Content-Type', 'text/plain').send('x').expect(415);
+      assert.equal(res.body.code, 'unsupported_media_type');
+    });
+
+    it('GET /potions/export exporte en CSV', async () => {
+      await createPotion();
+      const res = await request(app).get('/potions/export?format=csv').expect(200);
+      assert.match(res.headers['content-type'], /text\/csv/);
+      const [header, row] = res.text.trim().split('\n');
+      assert.equal(header, CSV_COLUMNS.join(','));
+      assert.match(row, /^Élixir de vigueur,10,4,4,2,/);
+    });
+
+    it('réimporte sans perte un export CSV aux valeurs ambiguës ou dangereuses', async () => {
+      await createIngredient({ name: 'sel|gemme' });
+      await createPotion({ name: '=SOMME(A1)', ingredients: [{ name: 'sel|gemme', quantity: 1, unit: 'g' }] });
+      const { text } = await request(app).get('/potions/export?format=csv').expect(200);
+      const row = text.trim().split('\n')[1];
+      assert.ok(row.startsWith("'=SOMME(A1)"));
+      assert.match(row, /\[\{""name"":""sel\|gemme""/);
+
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const res = await agent.post('/potions/import').set('Content-Type', 'text/csv').send(text).expect(200);
+      assert.deepEqual(res.body.rows.map(r => r.status), ['updated']);
+      const { body } = await request(app).get(`/potions/${res.body.rows[0].id}`).expect(200);
+      assert.equal(body.name, '=SOMME(A1)');
+      assert.deepEqual(body.ingredients.map(({ name, quantity, unit }) => ({ name, quantity, unit })), [{ name: 'sel|gemme', quantity: 1, unit: 'g' }]);
+    });
+
+    for (const format of ['json', 'ndjson']) {
+      it(`réimporte un export ${format}`, async () => {
+        await createPotion();
+        const { text } = await request(app).get(`/potions/export?format=${format}`).expect(200);
+        const { agent } = await loginAs(app, { role: 'admin' });
+        const contentType = format === 'json' ? 'application/json' : 'application/x-ndjson';
+        const res = await agent.post('/potions/import').set('Content-Type', contentType).send(text).expect(200);
+        assert.deepEqual(res.body.rows.map(row => row.status), ['updated']);
+      });
+    }
+
+    it('GET /potions/export refuse un format inconnu', async () => {
+      await request(app).get('/potions/export?format=xml').expect(400);
+    });
+  });
+
+  describe('recherche', () => {
+    it('GET /potions/search trie par pertinence et corrige les fautes', async () => {
+      await createPotions([{ name: 'Élixir de vigueur' }, { name: 'Philtre de sommeil' }]);
+      const res = await request(app).get('/potions/search?q=vigeur').expect(200);
+      assert.equal(res.body.total, 1);
+      assert.equal(res.body.data[0].name, 'Élixir de vigueur');
+      assert.deepEqual(res.body.corrections, [{ term: 'vigeur', suggestion: 'vigueur' }]);
+    });
+
+    it('GET /potions/search/suggest complète un préfixe', async () => {
+      await createPotion();
+      const res = await request(app).get('/potions/search/suggest?q=eli').expect(200);
+      assert.deepEqual(res.body[0], { value: 'Élixir de vigueur', type: 'potion' });
+      await request(app).get('/potions/search/suggest').expect(400);
+    });
+  });
+
+  describe('recettes', () => {
+    it('POST /potions/brewable calcule le nombre de préparations possibles', async () => {
+      await createPotions([
+        { name: 'Réalisable' },
+        { name: 'Trop gourmande', ingredients: [{ name: 'mandragore', quantity: 100, unit: 'g' }] },
+        { name: 'Autre ingrédient', ingredients: [{ name: 'bave de crapaud', quantity: 1 }] }
+      ]);
+      const res = await request(app)
+        .post('/potions/brewable')
+        .send({ inventory: [{ name: 'mandragore', quantity: 25, unit: 'g' }] })
+        .expect(200);
+      assert.equal(res.body.total, 1);
+      assert.equal(res.body.data[0].name, 'Réalisable');
+      assert.equal(res.body.data[0].batches, 2);
+    });
+
+    it('POST /potions/brewable valide l’inventaire', async () => {
+      const res = await request(app).post('/potions/brewable').send({ inventory: [] }).expect(400);
+      assert.equal(res.body.code, 'validation_failed');
+    });
+
+    it('GET /potions/:id/cost compare le coût de revient au prix', async () => {
+      const potion = await createPotion();
+      const res = await request(app).get(`/potions/${potion._id}/cost`).expect(200);
+      assert.equal(res.body.cost, 5);
+      assert.equal(res.body.margin, 5);
+      assert.equal(res.body.complete, true);
+      await request(app).get(`/potions/${missingId()}/cost`).expect(404);
+    });
+  });
+
+  describe('listes dérivées', () => {
+    it('GET /potions/vendor/:vendor_id liste les potions d’un vendeur', async () => {
+      await createPotions([{ name: 'A' }, { name: 'B', vendor_id: 'v2' }]);
+      const res = await request(app).get('/potions/vendor/v2').expect(200);
+      assert.deepEqual(res.body.data.map(p => p.name), ['B']);
+    });
+
+    it('GET /potions/price-range filtre par prix', async () => {
+      await createPotions([{ name: 'A', price: 5 }, { name: 'B', price: 15 }, { name: 'C', price: 25 }]);
+      const res = await request(app).get('/potions/price-range?min=10&max=20').expect(200);
+      assert.deepEqual(res.body.data.map(p => p.name), ['B']);
+    });
+
+    it('GET /potions/price-range refuse des bornes invalides', async () => {
+      const res = await request(app).get('/potions/price-range?min=abc&max=20').expect(400);
+      assert.equal(res.body.detail, 'Invalid price range');
+    });
+  });
+
+  describe('prix et alertes', () => {
+    it('GET /potions/:id/prices renvoie le prix en vigueur sans historique', async () => {
+      const potion = await createPotion();
+      const res = await request(app).get(`/potions/${potion._id}/prices`).expect(200);
+      assert.equal(res.body.price, 10);
+      assert.equal(res.body.min, 10);
+      assert.deepEqual(res.body.data, []);
+      await request(app).get(`/potions/${potion._id}/prices?from=hier`).expect(400);
+    });
+
+    it('POST /potions/:id/alerts crée une alerte sous le prix actuel', async () => {
+      const potion = await createPotion();
+      const { agent } = await loginAs(app);
+      const res = await agent.post(`/potions/${potion._id}/alerts`).send({ type: 'below', threshold: 8 }).expect(201);
+      assert.equal(res.body.referencePrice, 10);
+
+      const refused = await agent.post(`/potions/${potion._id}/alerts`).send({ type: 'below', threshold: 12 }).expect(400);
+      assert.equal(refused.body.errors[0].path, 'threshold');
+      await agent.post(`/potions/${missingId()}/alerts`).send({ type: 'drop', percent: 10 }).expect(404);
+    });
+  });
+
+  describe('historique', () => {
+    it('liste les versions, en lit une et y revient', async () => {
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const created = await agent.post('/potions').send(potionBody()).expect(201);
+      const id = created.body._id;
+      await agent.put(`/potions/${id}`).send(potionBody({ price: 30 })).expect(200);
+
+      const history = await agent.get(`/potions/${id}/history`).expect(200);
+      assert.equal(history.body.total, 2);
+      assert.deepEqual(history.body.data.map(entry => entry.action), ['update', 'create']);
+
+      const version = await agent.get(`/potions/${id}/history/0`).expect(200);
+      assert.equal(version.body.snapshot.price, 12);
+      await agent.get(`/potions/${id}/history/abc`).expect(400);
+      await agent.get(`/potions/${id}/history/9`).expect(404);
+
+      const reverted = await agent.post(`/potions/${id}/revert/0`).set('If-Match', '"1"').expect(200);
+      assert.equal(reverted.body.price, 12);
+      assert.equal(reverted.headers.etag, '"2"');
+    });
+
+    it('réserve l’historique aux vendeurs de la potion', async () => {
+      const potion = await createPotion({ vendor_id: 'v2' });
+      const { agent } = await loginAs(app, { role: 'vendor' });
+      await agent.get(`/potions/${potion._id}/history`).expect(403);
+      await agent.get(`/potions/${missingId()}/history`).expect(404);
+    });
+  });
+
+  describe('avis', () => {
+    it('rend la note du vendeur quand le seul avis est masqué', async () => {
+      const potion = await createPotion();
+      const { agent: customer } = await loginAs(app);
+      const { body: review } = await customer.post(`/potions/${potion._id}/reviews`)
+        .send({ score: 1, ratings: { strength: 1, flavor: 1 } })
+        .expect(201);
+      const rated = await request(app).get(`/potions/${potion._id}`).expect(200);
+      assert.notEqual(rated.body.score, 4);
+      assert.equal(rated.body.reviewStats.count, 1);
+
+      const { agent: admin } = await loginAs(app, { role: 'admin' });
+      await admin.patch(`/potions/${potion._id}/reviews/${review._id}/moderation`).send({ hidden: true }).expect(200);
+      const { body } = await request(app).get(`/potions/${potion._id}`).expect(200);
+      assert.equal(body.score, 4);
+      assert.deepEqual(body.ratings, { strength: 4, flavor: 2 });
+      assert.deepEqual(body.reviewStats, { count: 0 });
+    });
+
+    it('ne garde comme valeur du vendeur que les champs qu’il a changés', async () => {
+      const potion = await createPotion();
+      const { agent: customer } = await loginAs(app);
+      const { body: review } = await customer.post(`/potions/${potion._id}/reviews`)
+        .send({ score: 1, ratings: { strength: 1, flavor: 1 } })
+        .expect(201);
+
+      const { agent: admin } = await loginAs(app, { role: 'admin' });
+      await admin.patch(`/potions/${potion._id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send({ ratings: { flavor: 5 } })
+        .expect(200);
+      await admin.patch(`/potions/${potion._id}/reviews/${review._id}/moderation`).send({ hidden: true }).expect(200);
+      const { body } = await request(app).get(`/potions/${potion._id}`).expect(200);
+      assert.equal(body.score, 4);
+      assert.deepEqual(body.ratings, { strength: 4, flavor: 5 });
+    });
+  });
+
+  describe('GET /potions/stream', () => {
+    it('diffuse la création d’une potion', async () => {
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const { status, headers, events } = await readEvents(app, '/potions/stream?vendor_id=v1', {
+        onOpen: () => agent.post('/potions').send(potionBody()).expect(201)
+      });
+      assert.equal(status, 200);
+      assert.match(headers['content-type'], /text\/event-stream/);
+      assert.equal(events[0].event, 'potion.created');
+      assert.equal(events[0].data.potion.name, 'Philtre de rapidité');
+      assert.ok(events[0].id);
+    });
+
+    it('ne diffuse que l’identifiant d’une potion mise à la corbeille', async () => {
+      const potion = await createPotion();
+      const { agent } = await loginAs(app, { role: 'admin' });
+      const { events } = await readEvents(app, '/potions/stream', {
+        onOpen: () => agent.delete(`/potions/${potion._id}`).expect(200)
+      });
+      assert.equal(events[0].event, 'potion.deleted');
+      assert.deepEqual(events[0].data.potion, { _id: String(potion._id), vendor_id: 'v1', categories: potion.categories });
+      assert.equal(events[0].data.changes, undefined);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const { body, checkExact } = require('express-validator');
+const { SCOPES } = require('../middleware/permissions');
+
+const SCOPE_NAMES = Object.keys(SCOPES);
+const MAX_EXPIRY_DAYS = 365;
+
+// Clé d'API (POST /me/api-keys) : { name, scopes, expiresInDays? }, champs inconnus refusés
+const apiKeyRules = checkExact([
+  body('name')
+    .isString().withMessage('Le nom est requis.').bail()
+    .trim()
+    .notEmpty().withMessage('Le nom est requis.')
+    .isLength({ max: 100 }).withMessage('Le nom doit faire au plus 100 caractères.'),
+  body('scopes')
+    .isArray({ min: 1, max: SCOPE_NAMES.length }).withMessage('scopes doit être une liste non vide de portées.'),
+  body('scopes.*')
+    .isIn(SCOPE_NAMES).withMessage(`Portée inconnue. Valeurs acceptées : ${SCOPE_NAMES.join(', ')}.`),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: MAX_EXPIRY_DAYS }).withMessage(`expiresInDays doit être un entier entre 1 et ${MAX_EXPIRY_DAYS}.`)
+    .toInt()
+], { locations: ['body'] });
+
+module.exports = {
+  apiKeyRules
+};
@@ -0,0 +1,56 @@
+const { body, checkExact } = require('express-validator');
+const { INGREDIENT_UNITS } = require('../model/potion');
+const { RARITIES } = require('../model/ingredient');
+const { isNumberBetween, isObjectWithKeys } = require('./potion');
+
+// Fiche du catalogue (POST et PUT), champs inconnus refusés
+const ingredientRules = checkExact([
+  body('name')
+    .exists().withMessage('Le nom est requis.').bail()
+    .isString().withMessage('Le nom doit être une chaîne.').bail()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Le nom doit faire entre 1 et 100 caractères.'),
+  body('rarity')
+    .optional()
+    .isIn(RARITIES).withMessage(`Rareté invalide. Valeurs acceptées : ${RARITIES.join(', ')}.`),
+  body('unit')
+    .exists().withMessage('L’unité est requise.').bail()
+    .isIn(INGREDIENT_UNITS).withMessage(`Unité invalide. Valeurs acceptées : ${INGREDIENT_UNITS.join(', ')}.`),
+  body('unitCost')
+    .exists().withMessage('Le coût unitaire est requis.').bail()
+    .custom(isNumberBetween(0)),
+  body('allergens')
+    .optional()
+    .isArray({ max: 20 }).withMessage('allergens doit être une liste de 20 éléments au plus.'),
+  body('allergens.*')
+    .isString().withMessage('Chaque allergène doit être une chaîne.').bail()
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('Chaque allergène doit faire entre 1 et 50 caractères.'),
+  body('toxic')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('toxic doit être un booléen.')
+], { locations: ['body'] });
+
+// Inventaire de POST /potions/brewable : [{ name, quantity?, unit? }]
+const inventoryRules = checkExact([
+  body('inventory')
+    .isArray({ min: 1, max: 500 }).withMessage('inventory doit être une liste de 1 à 500 ingrédients.'),
+  body('inventory.*')
+    .custom(isObjectWithKeys(['name', 'quantity', 'unit'], 'Chaque élément doit être un objet { name, quantity, unit }.')).bail(),
+  body('inventory.*.name')
+    .exists().withMessage('Le nom de l’ingrédient est requis.').bail()
+    .isString().withMessage('Le nom de l’ingrédient doit être une chaîne.').bail()
+    .trim()
+    .notEmpty().withMessage('Le nom de l’ingrédient est requis.'),
+  body('inventory.*.quantity')
+    .optional()
+    .custom(isNumberBetween(0)),
+  body('inventory.*.unit')
+    .optional()
+    .isIn(INGREDIENT_UNITS).withMessage(`Unité invalide. Valeurs acceptées : ${INGREDIENT_UNITS.join(', ')}.`)
+], { locations: ['body'] });
+
+module.exports = {
+  ingredientRules,
+  inventoryRules
+};
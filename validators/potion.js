@@ -0,0 +1,120 @@
+const { body, checkExact } = require('express-validator');
+const Potion = require('../model/potion');
+const Vendor = require('../model/vendor');
+const Ingredient = require('../model/ingredient');
+
+const { CATEGORIES, INGREDIENT_UNITS, SCORE_RANGE, RATING_RANGE, normalizeCategory } = Potion;
+
+// Refuse les chaînes numériques ("4") : seuls de vrais nombres JSON sont acceptés
+function isNumberBetween(min, max) {
+  return value => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error('Doit être un nombre.');
+    if (min !== undefined && value < min) throw new Error(`Doit être supérieur ou égal à ${min}.`);
+    if (max !== undefined && value > max) throw new Error(`Doit être inférieur ou égal à ${max}.`);
+    return true;
+  };
+}
+
+// Objet ne contenant que les clés autorisées. checkExact considère connus tous les
+// sous-champs d'un champ validé, les objets imbriqués vérifient donc leurs clés eux-mêmes.
+function isObjectWithKeys(keys, message) {
+  return value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error(message);
+    const unknown = Object.keys(value).filter(key => !keys.includes(key));
+    if (unknown.length) throw new Error(`Champ(s) inconnu(s) : ${unknown.join(', ')}.`);
+    return true;
+  };
+}
+
+// Le vendor_id d'une potion doit désigner un vendeur existant
+async function vendorExists(value) {
+  if (!(await Vendor.exists({ _id: value }))) throw new Error('Vendeur inconnu.');
+  return true;
+}
+
+// Noms d'ingrédients du corps présents au catalogue, cherchés en une seule requête pour toute la liste
+const catalogueLookups = new WeakMap();
+
+function catalogueNames(req) {
+  if (!catalogueLookups.has(req)) {
+    const names = (Array.isArray(req.body.ingredients) ? req.body.ingredients : [])
+      .map(item => item?.name)
+      .filter(name => typeof name === 'string');
+    catalogueLookups.set(req, Ingredient.find({ name: { $in: names } }, 'name').lean()
+      .then(found => new Set(found.map(ingredient => ingredient.name))));
+  }
+  return catalogueLookups.get(req);
+}
+
+// Chaque ingrédient ajouté à une potion doit figurer au catalogue. Ceux qu'elle contient déjà (req.knownIngredients)
+// restent acceptés : une potion antérieure au catalogue reste modifiable
+async function ingredientExists(value, { req }) {
+  if (req.knownIngredients?.includes(value)) return true;
+  if (!(await catalogueNames(req)).has(value)) throw new Error('Ingrédient absent du catalogue.');
+  return true;
+}
+
+// Règles d'un document potion complet (POST et PUT), champs inconnus refusés
+const potionRules = checkExact([
+  body('name')
+    .exists().withMessage('Le nom est requis.').bail()
+    .isString().withMessage('Le nom doit être une chaîne.').bail()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Le nom doit faire entre 1 et 100 caractères.'),
+  body('price')
+    .exists().withMessage('Le prix est requis.').bail()
+    .custom(isNumberBetween(0)),
+  body('score')
+    .optional()
+    .custom(isNumberBetween(SCORE_RANGE.min, SCORE_RANGE.max)),
+  body('ratings')
+    .optional()
+    .custom(isObjectWithKeys(['strength', 'flavor'], 'ratings doit être un objet { strength, flavor }.')),
+  body('ratings.strength')
+    .optional()
+    .custom(isNumberBetween(RATING_RANGE.min, RATING_RANGE.max)),
+  body('ratings.flavor')
+    .optional()
+    .custom(isNumberBetween(RATING_RANGE.min, RATING_RANGE.max)),
+  body('ingredients')
+    .optional()
+    .isArray().withMessage('ingredients doit être une liste.'),
+  body('ingredients.*')
+    .custom(isObjectWithKeys(['name', 'quantity', 'unit'], 'Chaque ingrédient doit être un objet { name, quantity, unit }.')).bail(),
+  body('ingredients.*.name')
+    .exists().withMessage('Le nom de l’ingrédient est requis.').bail()
+    .isString().withMessage('Le nom de l’ingrédient doit être une chaîne.').bail()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Le nom de l’ingrédient doit faire entre 1 et 100 caractères.').bail()
+    .custom(ingredientExists),
+  body('ingredients.*.quantity')
+    .optional()
+    .custom(isNumberBetween(0)),
+  body('ingredients.*.unit')
+    .optional()
+    .isIn(INGREDIENT_UNITS).withMessage(`Unité invalide. Valeurs acceptées : ${INGREDIENT_UNITS.join(', ')}.`),
+  body('tryDate')
+    .optional()
+    .isISO8601().withMessage('tryDate doit être une date ISO 8601.'),
+  body('categories')
+    .optional()
+    .isArray().withMessage('categories doit être une liste.'),
+  body('categories.*')
+    .isString().withMessage('Chaque catégorie doit être une chaîne.').bail()
+    .customSanitizer(normalizeCategory)
+    .isIn(CATEGORIES).withMessage(`Catégorie inconnue. Valeurs acceptées : ${CATEGORIES.join(', ')}.`),
+  body('vendor_id')
+    .exists().withMessage('Le vendor_id est requis.').bail()
+    .isString().withMessage('Le vendor_id doit être une chaîne.').bail()
+    .trim()
+    .notEmpty().withMessage('Le vendor_id est requis.').bail()
+    .custom(vendorExists)
+], { locations: ['body'] });
+
+module.exports = {
+  potionRules,
+  isNumberBetween,
+  isObjectWithKeys,
+  vendorExists,
+  ingredientExists
+};
@@ -0,0 +1,28 @@
+const { body, checkExact } = require('express-validator');
+const { ALERT_TYPES } = require('../model/priceAlert');
+const { isNumberBetween } = require('./potion');
+
+// Abonnement à une alerte de prix : { type: 'below', threshold } ou { type: 'drop', percent }
+const priceAlertRules = checkExact([
+  body('type')
+    .exists().withMessage('Le type est requis.').bail()
+    .isIn(ALERT_TYPES).withMessage(`Type invalide. Valeurs acceptées : ${ALERT_TYPES.join(', ')}.`),
+  body('threshold')
+    .if(body('type').equals('below'))
+    .exists().withMessage('Le seuil est requis pour une alerte below.').bail()
+    .custom(isNumberBetween(0)),
+  body('threshold')
+    .if(body('type').not().equals('below'))
+    .not().exists().withMessage('threshold ne s’applique qu’aux alertes below.'),
+  body('percent')
+    .if(body('type').equals('drop'))
+    .exists().withMessage('Le pourcentage est requis pour une alerte drop.').bail()
+    .custom(isNumberBetween(1, 99)),
+  body('percent')
+    .if(body('type').not().equals('drop'))
+    .not().exists().withMessage('percent ne s’applique qu’aux alertes drop.')
+], { locations: ['body'] });
+
+module.exports = {
+  priceAlertRules
+};
@@ -0,0 +1,40 @@
+const { body, checkExact } = require('express-validator');
+const { SCORE_RANGE, RATING_RANGE } = require('../model/potion');
+const { isNumberBetween, isObjectWithKeys } = require('./potion');
+
+// Avis complet (POST et PUT), champs inconnus refusés
+const reviewRules = checkExact([
+  body('score')
+    .exists().withMessage('La note est requise.').bail()
+    .custom(isNumberBetween(SCORE_RANGE.min, SCORE_RANGE.max)),
+  body('ratings')
+    .optional()
+    .custom(isObjectWithKeys(['strength', 'flavor'], 'ratings doit être un objet { strength, flavor }.')),
+  body('ratings.strength')
+    .optional()
+    .custom(isNumberBetween(RATING_RANGE.min, RATING_RANGE.max)),
+  body('ratings.flavor')
+    .optional()
+    .custom(isNumberBetween(RATING_RANGE.min, RATING_RANGE.max)),
+  body('comment')
+    .optional()
+    .isString().withMessage('Le commentaire doit être une chaîne.').bail()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Le commentaire doit faire au plus 2000 caractères.')
+], { locations: ['body'] });
+
+const moderationRules = checkExact([
+  body('hidden')
+    .exists().withMessage('hidden est requis.').bail()
+    .isBoolean({ strict: true }).withMessage('hidden doit être un booléen.'),
+  body('reason')
+    .optional()
+    .isString().withMessage('Le motif doit être une chaîne.').bail()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Le motif doit faire au plus 500 caractères.')
+], { locations: ['body'] });
+
+module.exports = {
+  reviewRules,
+  moderationRules
+};
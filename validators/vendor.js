@@ -0,0 +1,56 @@
+const { body, checkExact } = require('express-validator');
+const Vendor = require('../model/vendor');
+const { isObjectWithKeys } = require('./potion');
+
+const { VENDOR_ID_PATTERN } = Vendor;
+
+function optionalText(field, max, label) {
+  return body(field)
+    .optional({ values: 'null' })
+    .isString().withMessage(`${label} doit être une chaîne.`).bail()
+    .trim()
+    .isLength({ max }).withMessage(`${label} doit faire au plus ${max} caractères.`);
+}
+
+// Profil du vendeur (POST et PUT) ; l'identifiant vient de l'URL en PUT
+const vendorProfileRules = [
+  body('name')
+    .exists().withMessage('Le nom est requis.').bail()
+    .isString().withMessage('Le nom doit être une chaîne.').bail()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Le nom doit faire entre 1 et 100 caractères.'),
+  optionalText('description', 2000, 'La description'),
+  body('location')
+    .optional()
+    .custom(isObjectWithKeys(['address', 'city', 'country'], 'location doit être un objet { address, city, country }.')),
+  optionalText('location.address', 200, 'L’adresse'),
+  optionalText('location.city', 100, 'La ville'),
+  optionalText('location.country', 100, 'Le pays'),
+  body('contact')
+    .optional()
+    .custom(isObjectWithKeys(['email', 'phone', 'website'], 'contact doit être un objet { email, phone, website }.')),
+  body('contact.email')
+    .optional({ values: 'null' })
+    .isEmail().withMessage('Adresse e-mail invalide.').bail()
+    .normalizeEmail({ gmail_remove_dots: false }),
+  optionalText('contact.phone', 30, 'Le téléphone'),
+  body('contact.website')
+    .optional({ values: 'null' })
+    .isURL({ protocols: ['http', 'https'] }).withMessage('Le site web doit être une URL http(s).')
+];
+
+const createVendorRules = checkExact([
+  body('vendor_id')
+    .exists().withMessage('Le vendor_id est requis.').bail()
+    .isString().withMessage('Le vendor_id doit être une chaîne.').bail()
+    .trim()
+    .matches(VENDOR_ID_PATTERN).withMessage('Le vendor_id ne contient que lettres, chiffres, - et _ (50 caractères au plus).'),
+  ...vendorProfileRules
+], { locations: ['body'] });
+
+const updateVendorRules = checkExact(vendorProfileRules, { locations: ['body'] });
+
+module.exports = {
+  createVendorRules,
+  updateVendorRules
+};
@@ -0,0 +1,26 @@
+const { body, checkExact } = require('express-validator');
+const { WEBHOOK_EVENTS } = require('../model/webhook');
+
+// Webhook (POST et PUT) : { url, events, description?, active? }, champs inconnus refusés.
+// require_tld est désactivé pour accepter un récepteur local (http://localhost:4000/hook).
+const webhookRules = checkExact([
+  body('url')
+    .exists().withMessage('L’URL est requise.').bail()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('L’URL doit être une URL http(s).'),
+  body('events')
+    .isArray({ min: 1, max: WEBHOOK_EVENTS.length + 1 }).withMessage('events doit être une liste non vide d’événements.'),
+  body('events.*')
+    .isIn([...WEBHOOK_EVENTS, '*']).withMessage(`Événement inconnu. Valeurs acceptées : ${WEBHOOK_EVENTS.join(', ')}, * (tous).`),
+  body('description')
+    .optional({ values: 'null' })
+    .isString().withMessage('La description doit être une chaîne.').bail()
+    .trim()
+    .isLength({ max: 500 }).withMessage('La description doit faire au plus 500 caractères.'),
+  body('active')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('active doit être un booléen.')
+], { locations: ['body'] });
+
+module.exports = {
+  webhookRules
+};